@@ -0,0 +1,220 @@
+/**
+ * Multiplayer Chat Server - local WebSocket relay
+ *
+ * Relays player movement and chat between everyone connected to the same block.
+ * The first player to connect is the host: only the host's NPC chatter is relayed,
+ * so every client shows the same inmate lines in the same order. When the host
+ * leaves, the longest-connected remaining player takes over.
+ *
+ * Usage: npm run server  (listens on ws://localhost:3001, override with PORT)
+ *
+ * Protocol (JSON text frames):
+ *   client → server
+ *     { type: 'hello', name }
+ *     { type: 'move', position: { x, y, z }, yaw }
+ *     { type: 'chat', text, channel, emote }
+ *     { type: 'npcChat', message }            (ignored unless sent by the host)
+ *   server → client
+ *     { type: 'welcome', id, hostId, players, history }
+ *     { type: 'join', player }
+ *     { type: 'leave', id }
+ *     { type: 'host', hostId }
+ *     { type: 'move', id, position, yaw }
+ *     { type: 'chat', id, name, color, text, channel, emote }
+ *     { type: 'npcChat', message: { name, text, color, channel, target } }
+ */
+
+import { WebSocketServer } from 'ws';
+
+const PORT = parseInt(process.env.PORT, 10) || 3001;
+const HOST = process.env.HOST || 'localhost';
+const MAX_HISTORY = 50; // Chat lines replayed to players who join late
+const MAX_NAME_LENGTH = 24;
+const MAX_TEXT_LENGTH = 200;
+const MAX_CHANNEL_LENGTH = 16; // Chat channel ids ('block', 'yard', ...)
+const COLOR_PATTERN = /^#[0-9a-f]{3,8}$/i;
+
+// Nick colors handed out in join order
+const PLAYER_COLORS = ['#0000ff', '#008000', '#800080', '#ff8c00', '#008b8b', '#b22222'];
+
+const players = new Map(); // id -> { id, name, color, position, yaw, socket }
+const history = []; // Recent 'chat' and 'npcChat' frames, oldest first
+let nextPlayerId = 1;
+let hostId = null;
+
+const server = new WebSocketServer({ port: PORT, host: HOST });
+
+/**
+ * Public view of a player (everything except the socket)
+ * @param {Object} player
+ * @returns {Object}
+ */
+function describePlayer(player) {
+  return {
+    id: player.id,
+    name: player.name,
+    color: player.color,
+    position: player.position,
+    yaw: player.yaw
+  };
+}
+
+/**
+ * Send a frame to every joined player, optionally skipping one
+ * @param {Object} frame
+ * @param {number|null} exceptId
+ */
+function broadcast(frame, exceptId = null) {
+  const data = JSON.stringify(frame);
+  players.forEach(player => {
+    if (player.id !== exceptId && player.socket.readyState === player.socket.OPEN) {
+      player.socket.send(data);
+    }
+  });
+}
+
+/**
+ * Remember a chat frame so late joiners see the same log
+ * @param {Object} frame
+ */
+function remember(frame) {
+  history.push(frame);
+  if (history.length > MAX_HISTORY) {
+    history.shift();
+  }
+}
+
+/**
+ * Check that a value looks like { x, y, z } with finite numbers
+ * @param {*} position
+ * @returns {boolean}
+ */
+function isValidPosition(position) {
+  return !!position &&
+    Number.isFinite(position.x) &&
+    Number.isFinite(position.y) &&
+    Number.isFinite(position.z);
+}
+
+/**
+ * Copy the fields clients use from an NPC chat message, or null if it isn't one
+ * @param {*} message - Message as sent by the host
+ * @returns {Object|null} { name, text, color, channel, target }
+ */
+function sanitizeNpcMessage(message) {
+  if (!message || typeof message.name !== 'string' || typeof message.text !== 'string') return null;
+  const name = message.name.trim().slice(0, MAX_NAME_LENGTH);
+  const text = message.text.trim().slice(0, MAX_TEXT_LENGTH);
+  if (!name || !text) return null;
+  return {
+    name,
+    text,
+    color: typeof message.color === 'string' && COLOR_PATTERN.test(message.color) ? message.color : '#808080',
+    channel: typeof message.channel === 'string' ? message.channel.slice(0, MAX_CHANNEL_LENGTH) : 'block',
+    target: typeof message.target === 'string' ? message.target.slice(0, MAX_NAME_LENGTH) : null
+  };
+}
+
+server.on('connection', (socket) => {
+  let player = null;
+
+  socket.on('message', (data) => {
+    let frame;
+    try {
+      frame = JSON.parse(data.toString());
+    } catch (error) {
+      return; // Ignore malformed frames
+    }
+    if (!frame || typeof frame.type !== 'string') return;
+
+    // Everything except 'hello' requires a joined player
+    if (frame.type === 'hello') {
+      if (player) return;
+      const name = String(frame.name || '').trim().slice(0, MAX_NAME_LENGTH);
+      player = {
+        id: nextPlayerId++,
+        name: name || 'Inmate',
+        color: PLAYER_COLORS[players.size % PLAYER_COLORS.length],
+        position: { x: 0, y: 1.6, z: 0 },
+        yaw: 0,
+        socket
+      };
+      players.set(player.id, player);
+      if (hostId === null) {
+        hostId = player.id;
+      }
+
+      socket.send(JSON.stringify({
+        type: 'welcome',
+        id: player.id,
+        hostId,
+        players: [...players.values()].filter(p => p.id !== player.id).map(describePlayer),
+        history
+      }));
+      broadcast({ type: 'join', player: describePlayer(player) }, player.id);
+      console.log(`${player.name} (#${player.id}) joined${player.id === hostId ? ' as host' : ''}`);
+      return;
+    }
+
+    if (!player) return;
+
+    switch (frame.type) {
+      case 'move':
+        if (!isValidPosition(frame.position) || !Number.isFinite(frame.yaw)) return;
+        player.position = { x: frame.position.x, y: frame.position.y, z: frame.position.z };
+        player.yaw = frame.yaw;
+        broadcast({ type: 'move', id: player.id, position: player.position, yaw: player.yaw }, player.id);
+        break;
+
+      case 'chat': {
+        const text = String(frame.text || '').trim().slice(0, MAX_TEXT_LENGTH);
+        if (!text) return;
+        const channel = typeof frame.channel === 'string' ? frame.channel.slice(0, MAX_CHANNEL_LENGTH) : 'block';
+        const chatFrame = {
+          type: 'chat', id: player.id, name: player.name, color: player.color, text, channel, emote: frame.emote === true
+        };
+        remember(chatFrame);
+        broadcast(chatFrame, player.id);
+        break;
+      }
+
+      case 'npcChat': {
+        // Only the host drives NPC chatter so every client agrees
+        if (player.id !== hostId) return;
+        const message = sanitizeNpcMessage(frame.message);
+        if (!message) return;
+        const npcFrame = { type: 'npcChat', message };
+        remember(npcFrame);
+        broadcast(npcFrame, player.id);
+        break;
+      }
+    }
+  });
+
+  // ws emits 'error' for bad frames; unhandled it would take the whole relay down
+  socket.on('error', (error) => {
+    console.warn(`Dropping ${player ? `${player.name} (#${player.id})` : 'connection'}:`, error.message);
+    socket.terminate();
+  });
+
+  socket.on('close', () => {
+    if (!player) return;
+    players.delete(player.id);
+    broadcast({ type: 'leave', id: player.id });
+    console.log(`${player.name} (#${player.id}) left`);
+
+    // Hand hosting to the longest-connected player (Map keeps insertion order)
+    if (player.id === hostId) {
+      const nextHost = players.values().next().value;
+      hostId = nextHost ? nextHost.id : null;
+      if (hostId !== null) {
+        broadcast({ type: 'host', hostId });
+        console.log(`${nextHost.name} (#${hostId}) is now host`);
+      }
+    }
+  });
+});
+
+server.on('listening', () => {
+  console.log(`Chat server listening on ws://${HOST}:${PORT}`);
+});
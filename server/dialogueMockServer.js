@@ -0,0 +1,127 @@
+/**
+ * Dialogue Mock Server - stand-in for a generated-dialogue backend
+ *
+ * Answers the game's HTTP dialogue provider (src/chat/dialogueProvider.js)
+ * with canned lines, so the provider path can be tried without a real model.
+ *
+ * Usage: npm run dialogue-mock  (listens on http://localhost:3002/dialogue)
+ *   then open the game with ?dialogue=http://localhost:3002/dialogue
+ *
+ * Environment:
+ *   PORT / HOST     : where to listen (default 3002 / localhost)
+ *   MOCK_DELAY_MS   : wait this long before answering (try it above the client timeout)
+ *   MOCK_FAIL_RATE  : 0-1 chance of answering 503, to exercise the fallback
+ *
+ * Protocol:
+ *   POST /dialogue  { channel, speaker, nearbyNpcs, gameTime, heldItem, recentLines }
+ *   200             { text }
+ */
+
+import { createServer } from 'node:http';
+
+const PORT = parseInt(process.env.PORT, 10) || 3002;
+const HOST = process.env.HOST || 'localhost';
+const DELAY_MS = parseInt(process.env.MOCK_DELAY_MS, 10) || 0;
+const FAIL_RATE = parseFloat(process.env.MOCK_FAIL_RATE) || 0;
+const MAX_BODY_BYTES = 16 * 1024;
+
+// Lines that work for anyone; {nearby}, {last} and {time} are filled from the request
+const GENERIC_LINES = [
+  'it is {time} and I am already over it',
+  'yo {nearby} you hearing this?',
+  '"{last}"? who says that',
+  '[mock] the generated dialogue server says hi',
+  'somebody tell {nearby} to stop staring at me',
+  'lunch better not be the gray meat again'
+];
+
+// A few per-speaker lines so it's obvious the speaker made it through
+const SPEAKER_LINES = {
+  'Sean Comb': ['[mock] puff here, the server is oiled up and running'],
+  'El Chapo Guzman': ['[mock] the mock server is just a tunnel with extra steps'],
+  'Sam Bankman-Fried': ['[mock] this response is backed 1:1 by real tokens, trust']
+};
+
+/**
+ * Pick a random element
+ * @param {Array} list
+ * @returns {*}
+ */
+function pick(list) {
+  return list[Math.floor(Math.random() * list.length)];
+}
+
+/**
+ * Build a canned line for a request
+ * @param {Object} context - Request body
+ * @returns {string}
+ */
+function buildLine(context) {
+  const speakerLines = SPEAKER_LINES[context.speaker] || [];
+  const template = pick([...GENERIC_LINES, ...speakerLines]);
+  const nearby = Array.isArray(context.nearbyNpcs) && context.nearbyNpcs.length > 0
+    ? pick(context.nearbyNpcs).name
+    : 'new guy';
+  const recent = Array.isArray(context.recentLines) ? context.recentLines : [];
+  const last = recent.length > 0 ? recent[recent.length - 1].text : 'nothing';
+  return template
+    .replace('{nearby}', nearby)
+    .replace('{last}', String(last).slice(0, 40))
+    .replace('{time}', context.gameTime || 'whatever time it is');
+}
+
+/**
+ * Send a JSON response with CORS headers (the game runs on another port)
+ * @param {http.ServerResponse} response
+ * @param {number} status
+ * @param {Object|null} body
+ */
+function sendJson(response, status, body) {
+  response.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  response.end(body ? JSON.stringify(body) : undefined);
+}
+
+const server = createServer((request, response) => {
+  if (request.method === 'OPTIONS') {
+    sendJson(response, 204, null);
+    return;
+  }
+  if (request.method !== 'POST' || request.url !== '/dialogue') {
+    sendJson(response, 404, { error: 'POST /dialogue' });
+    return;
+  }
+
+  let body = '';
+  request.on('data', (chunk) => {
+    body += chunk;
+    if (body.length > MAX_BODY_BYTES) {
+      request.destroy();
+    }
+  });
+  request.on('end', () => {
+    let context;
+    try {
+      context = JSON.parse(body);
+    } catch (error) {
+      sendJson(response, 400, { error: 'body must be JSON' });
+      return;
+    }
+
+    setTimeout(() => {
+      if (Math.random() < FAIL_RATE) {
+        sendJson(response, 503, { error: 'mock failure' });
+        return;
+      }
+      sendJson(response, 200, { text: buildLine(context) });
+    }, DELAY_MS);
+  });
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`Dialogue mock server listening on http://${HOST}:${PORT}/dialogue`);
+});
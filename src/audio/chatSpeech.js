@@ -0,0 +1,141 @@
+/**
+ * Chat Speech - optional text-to-speech for NPC chat lines
+ *
+ * Reads chat lines aloud with the browser's speechSynthesis, using each
+ * character's `voice` profile from the manifest ({ pitch, rate, voiceName }).
+ * Volume follows the same distance curve as the proximity audio clips, so
+ * inmates across the block are quiet and out-of-range lines aren't spoken.
+ *
+ * Only one line is handed to speechSynthesis at a time. Lines waiting behind
+ * it are capped at MAX_QUEUED_LINES and dropped once they go stale, so fast
+ * chatter never builds up an endless backlog.
+ */
+
+import { getProximityVolume } from './proximityAudio.js';
+import { getMasterVolume } from '../ui/settings.js';
+
+// ===========================================
+// CONFIGURATION
+// ===========================================
+
+const MAX_QUEUED_LINES = 2; // Lines allowed to wait behind the one being spoken
+const MAX_LINE_AGE_MS = 6000; // Queued lines older than this are no longer worth saying
+const MIN_AUDIBLE_VOLUME = 0.02; // Quieter than this isn't worth speaking
+const DEFAULT_VOICE = { pitch: 1, rate: 1, voiceName: null };
+
+// ===========================================
+// STATE
+// ===========================================
+
+let enabled = false;
+let speaking = false;
+// Waiting lines: { utterance, queuedAt }
+const queue = [];
+
+// ===========================================
+// SPEECH
+// ===========================================
+
+/**
+ * Check whether the browser can speak
+ * @returns {boolean}
+ */
+function isSupported() {
+  return typeof window !== 'undefined' && 'speechSynthesis' in window;
+}
+
+/**
+ * Find an installed voice by (partial) name
+ * @param {string|null} voiceName
+ * @returns {SpeechSynthesisVoice|null}
+ */
+function findVoice(voiceName) {
+  if (!voiceName) return null;
+  const voices = window.speechSynthesis.getVoices();
+  return voices.find(voice => voice.name === voiceName) ||
+    voices.find(voice => voice.name.toLowerCase().includes(voiceName.toLowerCase())) ||
+    null;
+}
+
+/**
+ * Speak the next queued line, skipping any that went stale while waiting
+ */
+function speakNext() {
+  const now = Date.now();
+  while (queue.length > 0 && now - queue[0].queuedAt > MAX_LINE_AGE_MS) {
+    queue.shift();
+  }
+  const next = queue.shift();
+  if (!next) {
+    speaking = false;
+    return;
+  }
+
+  speaking = true;
+  next.utterance.onend = speakNext;
+  next.utterance.onerror = speakNext;
+  window.speechSynthesis.speak(next.utterance);
+}
+
+// ===========================================
+// PUBLIC API
+// ===========================================
+
+/**
+ * Turn chat speech on or off (turning it off silences anything in progress)
+ * @param {boolean} isEnabled
+ */
+export function setChatSpeechEnabled(isEnabled) {
+  enabled = !!isEnabled && isSupported();
+  if (enabled) {
+    // Some browsers load the voice list lazily on first request
+    window.speechSynthesis.getVoices();
+  } else if (isSupported()) {
+    stopChatSpeech();
+  }
+}
+
+/**
+ * Queue a chat line to be spoken in the character's voice
+ * @param {string} text - Plain text to say (no formatting markup)
+ * @param {Object|null} voiceProfile - { pitch, rate, voiceName } from the manifest
+ * @param {number} distance - Distance from the player to the speaker
+ */
+export function speakChatLine(text, voiceProfile, distance) {
+  if (!enabled || !text) return;
+
+  const volume = getProximityVolume(distance) * getMasterVolume();
+  if (volume < MIN_AUDIBLE_VOLUME) return;
+
+  const profile = { ...DEFAULT_VOICE, ...voiceProfile };
+  const utterance = new SpeechSynthesisUtterance(text);
+  utterance.pitch = profile.pitch;
+  utterance.rate = profile.rate;
+  utterance.volume = volume;
+  const voice = findVoice(profile.voiceName);
+  if (voice) {
+    utterance.voice = voice;
+    utterance.lang = voice.lang;
+  }
+
+  // Newest lines matter most: drop the oldest waiting line when full
+  queue.push({ utterance, queuedAt: Date.now() });
+  while (queue.length > MAX_QUEUED_LINES) {
+    queue.shift();
+  }
+
+  if (!speaking) {
+    speakNext();
+  }
+}
+
+/**
+ * Stop speaking and forget queued lines
+ */
+export function stopChatSpeech() {
+  queue.length = 0;
+  speaking = false;
+  if (isSupported()) {
+    window.speechSynthesis.cancel();
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * Door Sounds - buddy list sign-on / sign-off sounds
+ *
+ * The classic messenger door creak when someone signs on and the slam when
+ * they leave. Synthesized with Web Audio so there are no extra clips to ship.
+ * Both follow the master volume.
+ *
+ * Exports:
+ *   - playDoorOpen()
+ *   - playDoorClose()
+ */
+
+import { getMasterVolume } from '../ui/settings.js';
+
+// ===========================================
+// CONFIGURATION
+// ===========================================
+
+const DOOR_VOLUME = 0.35; // Relative to master volume
+const MIN_GAP_MS = 250; // Spawns in the same moment share one sound
+
+// ===========================================
+// STATE
+// ===========================================
+
+let audioContext = null;
+let lastPlayedAt = 0;
+
+// ===========================================
+// HELPERS
+// ===========================================
+
+/**
+ * Get the shared audio context (created on first use, after a user gesture)
+ * @returns {AudioContext|null}
+ */
+function getAudioContext() {
+  if (!audioContext) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+    audioContext = new AudioContextClass();
+  }
+  if (audioContext.state === 'suspended') {
+    audioContext.resume();
+  }
+  return audioContext;
+}
+
+/**
+ * Check the master volume and rate limit; returns the gain to play at, or 0
+ * @returns {number}
+ */
+function getPlaybackGain() {
+  const now = performance.now();
+  if (now - lastPlayedAt < MIN_GAP_MS) return 0;
+  lastPlayedAt = now;
+  return DOOR_VOLUME * getMasterVolume();
+}
+
+/**
+ * Short low thump, the door meeting its frame
+ * @param {AudioContext} context
+ * @param {number} startTime
+ * @param {number} gain
+ */
+function playThud(context, startTime, gain) {
+  const oscillator = context.createOscillator();
+  const envelope = context.createGain();
+  oscillator.type = 'sine';
+  oscillator.frequency.setValueAtTime(140, startTime);
+  oscillator.frequency.exponentialRampToValueAtTime(45, startTime + 0.18);
+  envelope.gain.setValueAtTime(gain, startTime);
+  envelope.gain.exponentialRampToValueAtTime(0.001, startTime + 0.22);
+  oscillator.connect(envelope).connect(context.destination);
+  oscillator.start(startTime);
+  oscillator.stop(startTime + 0.25);
+}
+
+/**
+ * Rising hinge creak
+ * @param {AudioContext} context
+ * @param {number} startTime
+ * @param {number} gain
+ * @param {number} duration - Seconds
+ */
+function playCreak(context, startTime, gain, duration) {
+  const oscillator = context.createOscillator();
+  const filter = context.createBiquadFilter();
+  const envelope = context.createGain();
+  oscillator.type = 'sawtooth';
+  oscillator.frequency.setValueAtTime(220, startTime);
+  oscillator.frequency.linearRampToValueAtTime(520, startTime + duration * 0.6);
+  oscillator.frequency.linearRampToValueAtTime(380, startTime + duration);
+  filter.type = 'bandpass';
+  filter.frequency.value = 900;
+  filter.Q.value = 6;
+  envelope.gain.setValueAtTime(0.001, startTime);
+  envelope.gain.exponentialRampToValueAtTime(gain * 0.5, startTime + 0.05);
+  envelope.gain.exponentialRampToValueAtTime(0.001, startTime + duration);
+  oscillator.connect(filter).connect(envelope).connect(context.destination);
+  oscillator.start(startTime);
+  oscillator.stop(startTime + duration + 0.05);
+}
+
+// ===========================================
+// PUBLIC API
+// ===========================================
+
+/**
+ * Door opening: someone signed on
+ */
+export function playDoorOpen() {
+  const gain = getPlaybackGain();
+  const context = gain > 0 ? getAudioContext() : null;
+  if (!context) return;
+  const now = context.currentTime;
+  playCreak(context, now, gain, 0.45);
+  playThud(context, now + 0.42, gain * 0.5);
+}
+
+/**
+ * Door slamming shut: someone signed off
+ */
+export function playDoorClose() {
+  const gain = getPlaybackGain();
+  const context = gain > 0 ? getAudioContext() : null;
+  if (!context) return;
+  const now = context.currentTime;
+  playCreak(context, now, gain * 0.6, 0.18);
+  playThud(context, now + 0.15, gain);
+}
@@ -0,0 +1,477 @@
+/**
+ * Character Manifest - single source of truth for every inmate
+ *
+ * characters.json lists each character once: chat name, color, phrases and
+ * thread replies, sprite and scale, spawn point, voice clips and start screen
+ * portrait. The chat generator, NPC spawning, proximity audio and loading
+ * carousel all build from this list, so adding an inmate is a JSON-only change.
+ *
+ * Entry format:
+ *   {
+ *     "name": "Sean Comb",                 // Unique display/chat name
+ *     "aliases": ["diddy", "puff"],        // Optional nicknames players use for them
+ *     "color": "#ffe66d",                  // Chat color (#rgb or #rrggbb)
+ *     "style": "aggressive",               // Optional speech style tag
+ *     "sprite": "/diddy.png",              // Billboard image
+ *     "scale": [1.5, 3],                   // Optional sprite [width, height]
+ *     "spriteSheet": { ... },              // Optional 8-direction animated sheet (see below)
+ *     "spawn": { "x": 10, "z": 2 },        // Walkway spawn point, or null (spawned by gameplay)
+ *     "voiceClips": ["/Diddy.mp3"],        // Proximity audio clips (may be empty)
+ *     "voice": { "pitch": 0.8, "rate": 1, "voiceName": "Google US English" }, // Optional TTS profile
+ *     "portrait": "/loadingscreen/diddy.png", // Start screen carousel image, or null
+ *     "away": "party in my cell",          // Optional buddy list away message
+ *     "channels": ["yard"],                // Optional extra chat channels they talk in (everyone talks in block)
+ *     "phrases": [...],                    // Strings or { text, target, thread } openers
+ *     "replies": { "thread": [...] },      // Optional thread replies (see chat.js)
+ *     "dm": { "openers": [...], "replies": [...] }, // Optional private lines (see chat/directMessages.js)
+ *     "intents": [...],                    // Optional answers to player lines (see chat/intents.js)
+ *     "reactions": [...],                  // Optional emoji reactions to chat lines (see chat/reactions.js)
+ *     "grammar": { "templates": [...] }    // Optional template grammar (see chat/grammar.js)
+ *   }
+ *
+ * Sprite sheets replace the single billboard image in game (the portrait and
+ * `sprite` are still used for UI). One row per view direction, 8 rows going
+ * around the inmate: row 0 from the front, 2 from their left side, 4 from
+ * behind, 6 from their right side. `columns` frames per row; animations list
+ * column indexes (only idle is required):
+ *   "spriteSheet": {
+ *     "image": "/sheets/diddy.png",
+ *     "columns": 8,
+ *     "animations": { "idle": [0], "walk": [1, 2, 3, 4], "pushed": [5], "talk": [6, 7] },
+ *     "strideLength": 0.5,                 // Optional units walked per walk frame
+ *     "talkFps": 6                         // Optional talk frames per second
+ *   }
+ *
+ * Entries are validated when this module loads. Invalid entries are reported
+ * to the console and left out, so one typo can't take the whole block down.
+ */
+
+import manifest from './characters.json';
+import { findUnknownSlots } from '../chat/grammar.js';
+
+const HEX_COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+const INTENT_TRIGGERS = ['named', 'insulted'];
+const SHEET_ANIMATIONS = ['idle', 'walk', 'pushed', 'talk'];
+const ROSTER_CHANNELS = ['yard']; // Chat channels whose speakers come from `channels` (see chat/chatChannels.js)
+
+/**
+ * Check a phrase list (strings or thread opener objects)
+ * @param {*} phrases
+ * @param {string} label - Field name for error messages
+ * @param {string[]} errors - Collected problems
+ */
+function validatePhrases(phrases, label, errors) {
+  if (!Array.isArray(phrases)) {
+    errors.push(`${label} must be an array`);
+    return;
+  }
+  phrases.forEach((phrase, index) => {
+    if (typeof phrase === 'string') {
+      if (!phrase.trim()) errors.push(`${label}[${index}] is empty`);
+      return;
+    }
+    if (!phrase || typeof phrase !== 'object') {
+      errors.push(`${label}[${index}] must be a string or { text, target, thread }`);
+      return;
+    }
+    if (typeof phrase.text !== 'string' || !phrase.text.trim()) {
+      errors.push(`${label}[${index}].text must be a non-empty string`);
+    }
+    if (phrase.target !== undefined && typeof phrase.target !== 'string') {
+      errors.push(`${label}[${index}].target must be a character name`);
+    }
+    if (phrase.thread !== undefined && typeof phrase.thread !== 'string') {
+      errors.push(`${label}[${index}].thread must be a string`);
+    }
+  });
+}
+
+/**
+ * Validate a single manifest entry
+ * @param {*} entry
+ * @returns {string[]} List of problems (empty when valid)
+ */
+export function validateCharacter(entry) {
+  const errors = [];
+  if (!entry || typeof entry !== 'object') {
+    return ['entry must be an object'];
+  }
+
+  if (typeof entry.name !== 'string' || !entry.name.trim()) {
+    errors.push('name must be a non-empty string');
+  }
+  if (entry.aliases !== undefined && !isStringList(entry.aliases)) {
+    errors.push('aliases must be an array of non-empty strings');
+  }
+  if (typeof entry.color !== 'string' || !HEX_COLOR_PATTERN.test(entry.color)) {
+    errors.push('color must be a hex color like #ff6b6b');
+  }
+  if (entry.style !== undefined && typeof entry.style !== 'string') {
+    errors.push('style must be a string');
+  }
+  if (typeof entry.sprite !== 'string' || !entry.sprite) {
+    errors.push('sprite must be an image path');
+  }
+  if (entry.scale !== undefined) {
+    const validScale = Array.isArray(entry.scale) && entry.scale.length === 2 &&
+      entry.scale.every(value => Number.isFinite(value) && value > 0);
+    if (!validScale) errors.push('scale must be [width, height] with positive numbers');
+  }
+  if (entry.spriteSheet !== undefined) {
+    validateSpriteSheet(entry.spriteSheet, errors);
+  }
+  if (entry.spawn !== null) {
+    const spawn = entry.spawn;
+    const validSpawn = spawn && typeof spawn === 'object' &&
+      Number.isFinite(spawn.x) && Number.isFinite(spawn.z) &&
+      (spawn.y === undefined || Number.isFinite(spawn.y));
+    if (!validSpawn) errors.push('spawn must be { x, z } (optional y) or null');
+  }
+  if (!Array.isArray(entry.voiceClips) || entry.voiceClips.some(clip => typeof clip !== 'string' || !clip)) {
+    errors.push('voiceClips must be an array of audio paths');
+  }
+  if (entry.voice !== undefined) {
+    validateVoice(entry.voice, errors);
+  }
+  if (entry.portrait !== null && (typeof entry.portrait !== 'string' || !entry.portrait)) {
+    errors.push('portrait must be an image path or null');
+  }
+  if (entry.away !== undefined && (typeof entry.away !== 'string' || !entry.away.trim())) {
+    errors.push('away must be a non-empty string');
+  }
+  if (entry.channels !== undefined) {
+    const validChannels = Array.isArray(entry.channels) &&
+      entry.channels.every(channel => ROSTER_CHANNELS.includes(channel));
+    if (!validChannels) errors.push(`channels must be an array of ${ROSTER_CHANNELS.join(', ')}`);
+  }
+
+  validatePhrases(entry.phrases, 'phrases', errors);
+  if (entry.replies !== undefined) {
+    if (!entry.replies || typeof entry.replies !== 'object' || Array.isArray(entry.replies)) {
+      errors.push('replies must be an object of thread -> phrases');
+    } else {
+      Object.keys(entry.replies).forEach(thread => {
+        validatePhrases(entry.replies[thread], `replies.${thread}`, errors);
+      });
+    }
+  }
+
+  if (entry.dm !== undefined) {
+    validateDirectMessages(entry.dm, errors);
+  }
+  if (entry.intents !== undefined) {
+    validateIntents(entry.intents, errors);
+  }
+  if (entry.reactions !== undefined) {
+    validateReactions(entry.reactions, errors);
+  }
+  if (entry.grammar !== undefined) {
+    validateGrammar(entry.grammar, errors);
+  }
+
+  return errors;
+}
+
+/**
+ * Check an 8-direction sprite sheet: { image, columns, animations, strideLength?, talkFps? }
+ * @param {*} sheet
+ * @param {string[]} errors - Collected problems
+ */
+function validateSpriteSheet(sheet, errors) {
+  if (!sheet || typeof sheet !== 'object' || Array.isArray(sheet)) {
+    errors.push('spriteSheet must be { image, columns, animations }');
+    return;
+  }
+  if (typeof sheet.image !== 'string' || !sheet.image) {
+    errors.push('spriteSheet.image must be an image path');
+  }
+  if (!Number.isInteger(sheet.columns) || sheet.columns < 1) {
+    errors.push('spriteSheet.columns must be a positive integer');
+  }
+  const animations = sheet.animations;
+  if (!animations || typeof animations !== 'object' || Array.isArray(animations)) {
+    errors.push('spriteSheet.animations must be an object of name -> frame columns');
+    return;
+  }
+  if (animations.idle === undefined) {
+    errors.push('spriteSheet.animations.idle is required');
+  }
+  Object.keys(animations).forEach(name => {
+    if (!SHEET_ANIMATIONS.includes(name)) {
+      errors.push(`spriteSheet.animations.${name} is not one of ${SHEET_ANIMATIONS.join(', ')}`);
+      return;
+    }
+    const frames = animations[name];
+    const validFrames = Array.isArray(frames) && frames.length > 0 &&
+      frames.every(frame => Number.isInteger(frame) && frame >= 0 && frame < sheet.columns);
+    if (!validFrames) {
+      errors.push(`spriteSheet.animations.${name} must be a non-empty array of column indexes`);
+    }
+  });
+  if (sheet.strideLength !== undefined && !(Number.isFinite(sheet.strideLength) && sheet.strideLength > 0)) {
+    errors.push('spriteSheet.strideLength must be a positive number');
+  }
+  if (sheet.talkFps !== undefined && !(Number.isFinite(sheet.talkFps) && sheet.talkFps > 0)) {
+    errors.push('spriteSheet.talkFps must be a positive number');
+  }
+}
+
+/**
+ * Check private DM lines: { openers: [...], replies: [...] } of non-empty strings
+ * @param {*} dm
+ * @param {string[]} errors - Collected problems
+ */
+function validateDirectMessages(dm, errors) {
+  if (!dm || typeof dm !== 'object' || Array.isArray(dm)) {
+    errors.push('dm must be { openers, replies }');
+    return;
+  }
+  ['openers', 'replies'].forEach(key => {
+    const list = dm[key];
+    if (!Array.isArray(list) || list.some(line => typeof line !== 'string' || !line.trim())) {
+      errors.push(`dm.${key} must be an array of non-empty strings`);
+    }
+  });
+}
+
+/**
+ * Check a list of non-empty strings
+ * @param {*} list
+ * @returns {boolean}
+ */
+function isStringList(list) {
+  return Array.isArray(list) && list.every(item => typeof item === 'string' && item.trim());
+}
+
+/**
+ * Check intent rules: { id, when?, keywords?, patterns?, priority, cooldown, responses }
+ * @param {*} intents
+ * @param {string[]} errors - Collected problems
+ */
+function validateIntents(intents, errors) {
+  if (!Array.isArray(intents)) {
+    errors.push('intents must be an array');
+    return;
+  }
+  intents.forEach((intent, index) => {
+    const label = `intents[${index}]`;
+    if (!intent || typeof intent !== 'object' || Array.isArray(intent)) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    if (typeof intent.id !== 'string' || !intent.id) {
+      errors.push(`${label}.id must be a non-empty string`);
+    }
+    if (intent.when !== undefined && !INTENT_TRIGGERS.includes(intent.when)) {
+      errors.push(`${label}.when must be one of: ${INTENT_TRIGGERS.join(', ')}`);
+    }
+    if (intent.keywords !== undefined && !isStringList(intent.keywords)) {
+      errors.push(`${label}.keywords must be an array of non-empty strings`);
+    }
+    if (intent.patterns !== undefined) {
+      if (!isStringList(intent.patterns)) {
+        errors.push(`${label}.patterns must be an array of regex strings`);
+      } else {
+        intent.patterns.forEach(pattern => {
+          try {
+            new RegExp(pattern, 'i');
+          } catch (error) {
+            errors.push(`${label}.patterns has an invalid regex: ${pattern}`);
+          }
+        });
+      }
+    }
+    if (intent.when === undefined && !intent.keywords && !intent.patterns) {
+      errors.push(`${label} needs "when", "keywords" or "patterns"`);
+    }
+    if (!Number.isFinite(intent.priority)) {
+      errors.push(`${label}.priority must be a number`);
+    }
+    if (!(Number.isFinite(intent.cooldown) && intent.cooldown >= 0)) {
+      errors.push(`${label}.cooldown must be a number of seconds (0 or more)`);
+    }
+    if (!isStringList(intent.responses) || intent.responses.length === 0) {
+      errors.push(`${label}.responses must be a non-empty array of strings`);
+    }
+  });
+}
+
+/**
+ * Check reaction rules: { from?, keywords?, patterns?, emoji, chance }
+ * @param {*} reactions
+ * @param {string[]} errors - Collected problems
+ */
+function validateReactions(reactions, errors) {
+  if (!Array.isArray(reactions)) {
+    errors.push('reactions must be an array');
+    return;
+  }
+  reactions.forEach((reaction, index) => {
+    const label = `reactions[${index}]`;
+    if (!reaction || typeof reaction !== 'object' || Array.isArray(reaction)) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    if (reaction.from !== undefined && !isStringList(reaction.from)) {
+      errors.push(`${label}.from must be an array of character names`);
+    }
+    if (reaction.keywords !== undefined && !isStringList(reaction.keywords)) {
+      errors.push(`${label}.keywords must be an array of non-empty strings`);
+    }
+    if (reaction.patterns !== undefined) {
+      if (!isStringList(reaction.patterns)) {
+        errors.push(`${label}.patterns must be an array of regex strings`);
+      } else {
+        reaction.patterns.forEach(pattern => {
+          try {
+            new RegExp(pattern, 'i');
+          } catch (error) {
+            errors.push(`${label}.patterns has an invalid regex: ${pattern}`);
+          }
+        });
+      }
+    }
+    if (!reaction.from && !reaction.keywords && !reaction.patterns) {
+      errors.push(`${label} needs "from", "keywords" or "patterns"`);
+    }
+    if (typeof reaction.emoji !== 'string' || !reaction.emoji.trim()) {
+      errors.push(`${label}.emoji must be a non-empty string`);
+    }
+    if (!(Number.isFinite(reaction.chance) && reaction.chance > 0 && reaction.chance <= 1)) {
+      errors.push(`${label}.chance must be a number above 0 and up to 1`);
+    }
+  });
+}
+
+/**
+ * Check a text-to-speech profile: { pitch 0-2, rate 0.1-10, voiceName? }
+ * @param {*} voice
+ * @param {string[]} errors - Collected problems
+ */
+function validateVoice(voice, errors) {
+  if (!voice || typeof voice !== 'object' || Array.isArray(voice)) {
+    errors.push('voice must be { pitch, rate, voiceName }');
+    return;
+  }
+  if (voice.pitch !== undefined && !(Number.isFinite(voice.pitch) && voice.pitch >= 0 && voice.pitch <= 2)) {
+    errors.push('voice.pitch must be a number from 0 to 2');
+  }
+  if (voice.rate !== undefined && !(Number.isFinite(voice.rate) && voice.rate >= 0.1 && voice.rate <= 10)) {
+    errors.push('voice.rate must be a number from 0.1 to 10');
+  }
+  if (voice.voiceName !== undefined && (typeof voice.voiceName !== 'string' || !voice.voiceName)) {
+    errors.push('voice.voiceName must be a non-empty string');
+  }
+}
+
+/**
+ * Check a template grammar: { templates: [...], <slot>: [...] } of non-empty strings
+ * @param {*} grammar
+ * @param {string[]} errors - Collected problems
+ */
+function validateGrammar(grammar, errors) {
+  if (!grammar || typeof grammar !== 'object' || Array.isArray(grammar)) {
+    errors.push('grammar must be an object of word lists with a "templates" list');
+    return;
+  }
+  const errorCount = errors.length;
+  if (!Array.isArray(grammar.templates) || grammar.templates.length === 0) {
+    errors.push('grammar.templates must be a non-empty array');
+  }
+  Object.keys(grammar).forEach(key => {
+    const list = grammar[key];
+    if (!Array.isArray(list) || list.some(word => typeof word !== 'string' || !word.trim())) {
+      errors.push(`grammar.${key} must be an array of non-empty strings`);
+    }
+  });
+  // Slot references are only worth checking once the lists themselves are valid
+  if (errors.length === errorCount) {
+    findUnknownSlots(grammar).forEach(slot => {
+      errors.push(`grammar uses {${slot}} but has no "${slot}" word list`);
+    });
+  }
+}
+
+/**
+ * Validate the whole manifest, dropping invalid or duplicate entries
+ * @param {Object} data - Parsed characters.json
+ * @returns {Object[]} Valid character entries in manifest order
+ */
+export function loadCharacterManifest(data) {
+  if (!data || !Array.isArray(data.characters)) {
+    console.error('Character manifest must have a "characters" array');
+    return [];
+  }
+
+  const valid = [];
+  const names = new Set();
+  data.characters.forEach((entry, index) => {
+    const errors = validateCharacter(entry);
+    const label = entry && typeof entry.name === 'string' ? entry.name : `#${index}`;
+    if (errors.length === 0 && names.has(entry.name)) {
+      errors.push('name is already used by another character');
+    }
+    if (errors.length > 0) {
+      console.error(`Character manifest: skipping ${label}:\n  - ${errors.join('\n  - ')}`);
+      return;
+    }
+    names.add(entry.name);
+    valid.push(entry);
+  });
+
+  // Thread targets must point at characters that made it through validation
+  valid.forEach(entry => {
+    const openers = [
+      ...entry.phrases,
+      ...Object.values(entry.replies || {}).flat()
+    ].filter(phrase => typeof phrase === 'object' && phrase.target);
+    openers.forEach(phrase => {
+      if (!names.has(phrase.target)) {
+        console.warn(`Character manifest: ${entry.name} targets unknown character "${phrase.target}"`);
+      }
+    });
+  });
+
+  return valid;
+}
+
+// Validated character list, in manifest order
+export const CHARACTER_LIST = loadCharacterManifest(manifest);
+
+const charactersByName = new Map(CHARACTER_LIST.map(character => [character.name, character]));
+
+/**
+ * Look up a character by name
+ * @param {string} name
+ * @returns {Object|null}
+ */
+export function getCharacter(name) {
+  return charactersByName.get(name) || null;
+}
+
+/**
+ * Characters that start in the walkway (spawn is not null)
+ * @returns {Object[]}
+ */
+export function getSpawnedCharacters() {
+  return CHARACTER_LIST.filter(character => character.spawn !== null);
+}
+
+/**
+ * Names of the characters who talk in a chat channel, in manifest order
+ * @param {string} channelId - One of ROSTER_CHANNELS
+ * @returns {string[]}
+ */
+export function getChannelMembers(channelId) {
+  return CHARACTER_LIST
+    .filter(character => (character.channels || []).includes(channelId))
+    .map(character => character.name);
+}
+
+/**
+ * Start screen carousel images, in manifest order
+ * @returns {string[]}
+ */
+export function getPortraits() {
+  return CHARACTER_LIST.map(character => character.portrait).filter(Boolean);
+}
@@ -0,0 +1,234 @@
+/**
+ * BUDDY LIST
+ *
+ * Keeps the BuddyListWindow in step with the `npcs` array. Every spawned
+ * character is a buddy; their status comes from what their NPC is doing:
+ *   - away   : fighting the player, or just got shoved (frozen) - shows their
+ *              away message (`away` in the manifest) for a few seconds after
+ *   - idle   : out past IDLE_DISTANCE, with how long (game minutes) they've been gone
+ *   - online : everyone else
+ * Characters that show up in the array (Mr. Beast after the feastables) sign
+ * on with a door-open sound; ones that leave it sign off with a door slam and
+ * linger grayed out for a moment. The starting roster is already signed on.
+ *
+ * Exports:
+ *   - initBuddyList({ getNpcs, getPlayerPosition, getFightOpponent, onSignOn, onSignOff, onBuddyClick })
+ *   - updateBuddyList(deltaTime) : Detect sign-ons/offs and refresh statuses
+ *   - setBuddyListTheme(themeId) / setBuddyListStreamerSafe(enabled)
+ */
+
+import BuddyListWindow from './buddyListWindow.js';
+import { getCharacter } from '../characters/characterManifest.js';
+import { playDoorOpen, playDoorClose } from '../audio/doorSounds.js';
+import { getGameHourDurationMs } from '../gameClock.js';
+
+// ===========================================
+// CONFIGURATION
+// ===========================================
+
+const REFRESH_INTERVAL = 0.5; // Seconds between status refreshes
+const IDLE_DISTANCE = 30; // Past this far (hearing range) a buddy goes idle
+const AWAY_LINGER = 4; // Seconds a buddy stays away after the fight/shove ends
+const DOOR_ICON_TIME = 3; // Seconds the door icon shows after a sign-on/off
+const FIGHT_AWAY_MESSAGE = 'in a fight. do not disturb';
+const DEFAULT_AWAY_MESSAGE = 'brb';
+
+// ===========================================
+// STATE
+// ===========================================
+
+let buddyWindow = null;
+let getNpcsFn = null;
+let getPlayerPositionFn = null;
+let getFightOpponentFn = null;
+let onSignOnCallback = null;
+let onSignOffCallback = null;
+
+let refreshTimer = 0;
+// NPCs seen on the last update, to spot arrivals and departures
+let knownNpcs = new Set();
+// characterName -> { awayUntil, awayMessage, idleSince, doorTimeRemaining, door }
+const buddyStates = new Map();
+// Buddies who just left: { name, color, timeRemaining }
+const signedOff = [];
+
+// ===========================================
+// HELPERS
+// ===========================================
+
+/**
+ * Get (or create) the tracked state for a buddy
+ * @param {string} name
+ * @returns {Object}
+ */
+function getBuddyState(name) {
+  if (!buddyStates.has(name)) {
+    buddyStates.set(name, { awayUntil: 0, awayMessage: null, idleSince: null, doorTimeRemaining: 0, door: null });
+  }
+  return buddyStates.get(name);
+}
+
+/**
+ * Chat color for a character (gray for anyone not in the manifest)
+ * @param {string} name
+ * @returns {string}
+ */
+function getBuddyColor(name) {
+  const character = getCharacter(name);
+  return character ? character.color : '#808080';
+}
+
+/**
+ * Compare the npcs array with the last update; sign buddies on and off
+ */
+function detectRosterChanges() {
+  const npcs = getNpcsFn().filter(npc => npc.characterName);
+  const current = new Set(npcs);
+
+  npcs.forEach(npc => {
+    if (knownNpcs.has(npc)) return;
+    const state = getBuddyState(npc.characterName);
+    state.door = 'open';
+    state.doorTimeRemaining = DOOR_ICON_TIME;
+    const index = signedOff.findIndex(entry => entry.name === npc.characterName);
+    if (index !== -1) signedOff.splice(index, 1);
+    playDoorOpen();
+    if (onSignOnCallback) onSignOnCallback(npc.characterName);
+  });
+
+  knownNpcs.forEach(npc => {
+    if (current.has(npc)) return;
+    buddyStates.delete(npc.characterName);
+    signedOff.push({ name: npc.characterName, color: getBuddyColor(npc.characterName), timeRemaining: DOOR_ICON_TIME });
+    playDoorClose();
+    if (onSignOffCallback) onSignOffCallback(npc.characterName);
+  });
+
+  knownNpcs = current;
+}
+
+/**
+ * Work out a buddy's row from their NPC
+ * @param {NPCSprite} npc
+ * @param {Object} playerPosition - THREE.Vector3
+ * @param {NPCSprite|null} fightOpponent
+ * @param {number} now - Wall time in ms
+ * @returns {Object} Row for BuddyListWindow.setBuddies
+ */
+function getBuddyRow(npc, playerPosition, fightOpponent, now) {
+  const name = npc.characterName;
+  const state = getBuddyState(name);
+
+  if (npc === fightOpponent) {
+    state.awayUntil = now + AWAY_LINGER * 1000;
+    state.awayMessage = FIGHT_AWAY_MESSAGE;
+  } else if (npc.frozen) {
+    const character = getCharacter(name);
+    state.awayUntil = now + AWAY_LINGER * 1000;
+    state.awayMessage = (character && character.away) || DEFAULT_AWAY_MESSAGE;
+  }
+
+  const distance = npc.position.distanceTo(playerPosition);
+  if (distance > IDLE_DISTANCE) {
+    if (state.idleSince === null) state.idleSince = now;
+  } else {
+    state.idleSince = null;
+  }
+
+  let status = 'online';
+  if (now < state.awayUntil) {
+    status = 'away';
+  } else if (state.idleSince !== null) {
+    status = 'idle';
+  }
+
+  const gameMinuteMs = getGameHourDurationMs() / 60;
+  return {
+    name,
+    color: getBuddyColor(name),
+    status,
+    awayMessage: status === 'away' ? state.awayMessage : null,
+    idleMinutes: state.idleSince === null ? 0 : Math.floor((now - state.idleSince) / gameMinuteMs),
+    door: state.doorTimeRemaining > 0 ? state.door : null
+  };
+}
+
+// ===========================================
+// PUBLIC API
+// ===========================================
+
+/**
+ * Create the buddy list window. NPCs already in the array count as signed on.
+ * @param {Object} options
+ * @param {Function} options.getNpcs - () => the live npcs array
+ * @param {Function} options.getPlayerPosition - () => THREE.Vector3
+ * @param {Function} options.getFightOpponent - () => NPC the player is fighting, or null
+ * @param {Function} [options.onSignOn] - (characterName) after the door-open sound
+ * @param {Function} [options.onSignOff] - (characterName) after the door-close sound
+ * @param {Function} options.onBuddyClick - (npc) when a name is clicked
+ */
+export function initBuddyList({ getNpcs, getPlayerPosition, getFightOpponent, onSignOn = null, onSignOff = null, onBuddyClick }) {
+  getNpcsFn = getNpcs;
+  getPlayerPositionFn = getPlayerPosition;
+  getFightOpponentFn = getFightOpponent;
+  onSignOnCallback = onSignOn;
+  onSignOffCallback = onSignOff;
+  knownNpcs = new Set(getNpcs().filter(npc => npc.characterName));
+
+  buddyWindow = new BuddyListWindow({
+    onBuddyClick: (characterName) => {
+      const npc = getNpcsFn().find(entry => entry.characterName === characterName);
+      if (npc) onBuddyClick(npc);
+    }
+  });
+  refreshTimer = 0;
+}
+
+/**
+ * Detect sign-ons/offs and refresh statuses (call every frame)
+ * @param {number} deltaTime - Time since last frame in seconds
+ */
+export function updateBuddyList(deltaTime) {
+  if (!buddyWindow) return;
+
+  detectRosterChanges();
+
+  buddyStates.forEach(state => {
+    state.doorTimeRemaining = Math.max(0, state.doorTimeRemaining - deltaTime);
+  });
+  for (let i = signedOff.length - 1; i >= 0; i--) {
+    signedOff[i].timeRemaining -= deltaTime;
+    if (signedOff[i].timeRemaining <= 0) signedOff.splice(i, 1);
+  }
+
+  refreshTimer -= deltaTime;
+  if (refreshTimer > 0) return;
+  refreshTimer = REFRESH_INTERVAL;
+
+  const now = Date.now();
+  const playerPosition = getPlayerPositionFn();
+  const fightOpponent = getFightOpponentFn();
+  const rows = Array.from(knownNpcs)
+    .map(npc => getBuddyRow(npc, playerPosition, fightOpponent, now))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  signedOff.forEach(entry => {
+    rows.push({ name: entry.name, color: entry.color, status: 'offline', awayMessage: null, idleMinutes: 0, door: 'close' });
+  });
+  buddyWindow.setBuddies(rows);
+}
+
+/**
+ * Match the buddy list to the group chat's skin
+ * @param {string} themeId - Id from CHAT_THEMES
+ */
+export function setBuddyListTheme(themeId) {
+  if (buddyWindow) buddyWindow.setTheme(themeId);
+}
+
+/**
+ * Turn streamer-safe rendering on or off for the buddy list
+ * @param {boolean} enabled
+ */
+export function setBuddyListStreamerSafe(enabled) {
+  if (buddyWindow) buddyWindow.setStreamerSafe(enabled);
+}
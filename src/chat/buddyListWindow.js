@@ -0,0 +1,178 @@
+/**
+ * Buddy List Window - AIM-style list of who's in the block
+ *
+ * Renders the rows buddyList.js hands it: online buddies in black, away
+ * buddies in italics with their away message, idle buddies grayed out with
+ * how long they've been idle, and a door icon next to anyone who just signed
+ * on or off. Clicking a name calls onBuddyClick. The window can be
+ * minimized down to its title bar.
+ */
+
+import { maskProfanity } from './profanityFilter.js';
+import { CHAT_THEMES, DEFAULT_CHAT_THEME } from './chatThemes.js';
+
+class BuddyListWindow {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onBuddyClick - (characterName) when a row is clicked
+   */
+  constructor({ onBuddyClick }) {
+    this.onBuddyClick = onBuddyClick;
+    this.buddies = []; // Latest rows: { name, color, status, awayMessage, idleMinutes, door }
+    this.signature = '';
+    this.minimized = false;
+    this.streamerSafe = false;
+    this.themeId = DEFAULT_CHAT_THEME;
+    this.init();
+  }
+
+  /**
+   * Build the window DOM
+   */
+  init() {
+    this.container = document.createElement('div');
+    this.container.id = 'buddy-list';
+    this.container.className = `buddy-list chat-theme-${this.themeId}`;
+
+    const titleBar = document.createElement('div');
+    titleBar.className = 'chat-title-bar dm-title-bar buddy-list-title-bar';
+    const titleText = document.createElement('span');
+    titleText.className = 'dm-title-text';
+    titleText.textContent = 'Buddy List';
+    titleBar.appendChild(titleText);
+
+    const minimizeButton = document.createElement('button');
+    minimizeButton.className = 'dm-title-btn';
+    minimizeButton.textContent = '_';
+    minimizeButton.title = 'Minimize';
+    minimizeButton.addEventListener('click', () => this.setMinimized(!this.minimized));
+    titleBar.appendChild(minimizeButton);
+    this.container.appendChild(titleBar);
+
+    this.body = document.createElement('div');
+    this.body.className = 'buddy-list-body';
+    this.groupHeader = document.createElement('div');
+    this.groupHeader.className = 'buddy-list-group';
+    this.body.appendChild(this.groupHeader);
+    this.rowsElement = document.createElement('div');
+    this.rowsElement.className = 'buddy-list-rows';
+    this.body.appendChild(this.rowsElement);
+    this.container.appendChild(this.body);
+
+    // One listener for every row; rows are rebuilt on each refresh
+    this.rowsElement.addEventListener('click', (event) => {
+      const row = event.target.closest('.buddy-row');
+      if (row && row.dataset.name && !row.classList.contains('offline')) {
+        this.onBuddyClick(row.dataset.name);
+      }
+    });
+
+    document.body.appendChild(this.container);
+  }
+
+  /**
+   * Replace the rows shown in the list
+   * @param {Object[]} buddies - { name, color, status, awayMessage, idleMinutes, door }
+   *   status is 'online', 'away', 'idle' or 'offline' (just signed off);
+   *   door is 'open', 'close' or null
+   */
+  setBuddies(buddies) {
+    // Skip identical refreshes so a row isn't swapped out mid-click
+    const signature = JSON.stringify(buddies);
+    if (signature === this.signature) return;
+    this.signature = signature;
+    this.buddies = buddies;
+    this.render();
+  }
+
+  /**
+   * Rebuild the group header and rows from the latest buddies
+   */
+  render() {
+    const present = this.buddies.filter(buddy => buddy.status !== 'offline');
+    const online = present.filter(buddy => buddy.status === 'online');
+    this.groupHeader.textContent = `Cell Block (${online.length}/${present.length})`;
+    this.rowsElement.replaceChildren(...this.buddies.map(buddy => this.createRow(buddy)));
+  }
+
+  /**
+   * Build the DOM row for a buddy
+   * @param {Object} buddy
+   * @returns {HTMLElement}
+   */
+  createRow(buddy) {
+    const name = this.streamerSafe ? maskProfanity(buddy.name) : buddy.name;
+    const awayMessage = buddy.awayMessage && this.streamerSafe ? maskProfanity(buddy.awayMessage) : buddy.awayMessage;
+
+    const row = document.createElement('div');
+    row.className = `buddy-row ${buddy.status}`;
+    row.dataset.name = buddy.name;
+
+    const icon = document.createElement('span');
+    icon.className = 'buddy-icon';
+    if (buddy.door) {
+      icon.textContent = buddy.door === 'open' ? '🚪' : '🔒';
+    } else if (buddy.status === 'away') {
+      icon.textContent = '📝';
+    }
+    row.appendChild(icon);
+
+    const nameSpan = document.createElement('span');
+    nameSpan.className = 'buddy-name';
+    nameSpan.textContent = name;
+    if (buddy.status === 'online' || buddy.status === 'away') {
+      nameSpan.style.color = buddy.color;
+    }
+    row.appendChild(nameSpan);
+
+    if (buddy.status === 'idle') {
+      const idle = document.createElement('span');
+      idle.className = 'buddy-detail';
+      idle.textContent = ` (idle ${buddy.idleMinutes}m)`;
+      row.appendChild(idle);
+    }
+
+    if (buddy.status === 'offline') {
+      row.title = `${name} signed off`;
+    } else if (awayMessage) {
+      row.title = `Away message: ${awayMessage}`;
+      const away = document.createElement('div');
+      away.className = 'buddy-away-message';
+      away.textContent = awayMessage;
+      row.appendChild(away);
+    } else {
+      row.title = `Click to ping ${name}`;
+    }
+    return row;
+  }
+
+  /**
+   * Collapse the window to its title bar, or restore it
+   * @param {boolean} minimized
+   */
+  setMinimized(minimized) {
+    this.minimized = minimized;
+    this.container.classList.toggle('minimized', minimized);
+  }
+
+  /**
+   * Switch this window's skin to match the group chat
+   * @param {string} themeId - Id from CHAT_THEMES
+   */
+  setTheme(themeId) {
+    CHAT_THEMES.forEach(({ id }) => this.container.classList.remove(`chat-theme-${id}`));
+    this.themeId = themeId;
+    this.container.classList.add(`chat-theme-${themeId}`);
+  }
+
+  /**
+   * Turn streamer-safe rendering on or off
+   * @param {boolean} enabled
+   */
+  setStreamerSafe(enabled) {
+    this.streamerSafe = !!enabled;
+    this.render();
+  }
+}
+
+export default BuddyListWindow;
@@ -1,182 +1,281 @@
 /**
  * Chat System - Character definitions and dialogue generation
  * 
- * This module defines characters with unique colors, speech styles, and dialogue templates.
- * Dialogue is generated automatically at random intervals to create ambient chatter.
+ * Character colors, phrases and replies come from the character manifest
+ * (src/characters/characters.json). Dialogue is generated automatically at
+ * random intervals to create ambient chatter.
+ *
+ * A phrase is either a plain string or a thread opener object:
+ *   { text, target, thread }
+ * When an opener is spoken, the target character answers within a few messages
+ * with one of its `replies[thread]` phrases. Replies may be openers themselves,
+ * which keeps the thread going back and forth.
+ *
+ * Characters with a `grammar` also speak procedurally generated lines built
+ * from templates (see grammar.js). Call seedChat() to make the generator
+ * deterministic, e.g. to reproduce or test a conversation.
  */
 
-// Character definitions with unique colors and speech styles
-export const CHARACTERS = {
-  'Nicolas Maduro': {
-    color: '#ff6b6b', // Red
-    phrases: [
-      "they snatched me like im some fucking doorDash order from caracas",
-      "Im a fucking prisoner, not a fucking criminal",
-      'they got me in leg irons rn looking like a budget breaking bad extra but guess what? STILL THE PRESIDENT BITCHES',
-      'if I die here at least make the murals huge',
-      '...also someone water my plants. gracias',
-      'CIA probably reading this rn'
-
-
-    ]
-  },
-  'Luigi Mangione': {
-    color: '#4ecdc4', // Teal
-    phrases: [
-      'I miss club penguin',
-      'alpha delta pi forever',
-      'no hard feelings',
-      'I miss my dog',
-      'someone contact my mom',
-      'yo reach out to my media team',
-      'someone snitched on me',
-      'fuck this',
-    ]
-  },
-  'Sean Comb': {
-    color: '#ffe66d', // Yellow
-    phrases: [
-      'aint no party like a diddy party',
-      'yeah im not watching that 50cent documentary',
-      'atleast i dont own a sketchy ass island maxwell',
-      'can you rub this baby oil on my back?',
-      'baby oil shortage in cali tonight, we movin DIFFERENT',
-      'tell r.kelly we need more codeine in the shit it’s tasting too tame',
-      'im not buying this whole stan stan stan shit',
-    ]
-  },
-  'R. Kelly': {
-    color: '#a8e6cf', // Light green
-    style: 'mysterious',
-    phrases: [
-      'tell Diddy I said whats good, we can collab on the shower mixtape',
-      'pissin on folks was the old me... now Im just pissin off the top bunk to assert dominance',
-      'prayin for early release amen...dont want to be like tayK',
-      'if this appeal dont hit im droppin "I Survived But Barely" deluxe edition 2045',
-      'miss my old crib... at least the closet had better lighting for dramatic reveals',
-      'they say im canceled but my catalog still slappin',
-      'yo someone slide me a burner phone I got a whole opera bout these gray walls',
-      'baby oil? nah they switched my commissary to just straight lube packets now smh inflation hit different',
-
-    ]
-  },
-  'Sam Bankman-Fried': {
-    color: '#95e1d3', // Mint
-    style: 'nerdy',
-    phrases: [
-      'coinbase listing my mugshot as an NFT',
-      'still would bone caroline in the visiting room if they let us',
-      'If i die in here just tell everyone i rugged the afterlife',
-      'solana still up tho',
-      'fuck i didnt sell my bitcoin',
-      'tell CZ i said “gg no re” from ad-seg',
-      'i betgary gensler reading my text right now',
-
-    ]
-  },
-  'El Chapo Guzman': {//Work from ElChapo
-    color: '#f38181', // Coral
-    style: 'strategic',
-    phrases: [
-      'tell the gringos I said whats good, we can collab on the tunnel mixtape, volume 2 got flamethrowers',
-      'who you want me to cook next, carbon? hit me up',
-      'yo slide me a burner Nokia I got a whole corrido about these 23-hour lockdowns',
-      'they canceled my shit but my product still movin faster than ur moms onlyfan',
-      'who tf is this walter white guy?',
-      'miss my old crib dawg',
-      'homberos chill out brochacho'
-
-
-    ]
-  },
-  'Ghislaine Maxwell': {
-    color: '#aa96da', // Lavender
-    style: 'sarcastic',
-    phrases: [
-      'still got the best connections trust',
-      'wait ignore that one photo of me',
-      "youre cute thinking you can cancel royalty",
-      "dont @ me unless youre on the manifest ",
-      "wdym they released the files?",
-      'wait lowkey i might be cooked',
-
-    ]
-  },
-  'Michael Cohen': {
-    color: '#ff9ff3', // Pink
-    style: 'dramatic',
-    phrases: [
-      'they call me rat now but i was the cleaner',
-      'my ndas have ndas good luck kid',
-      'donald who? never heard of him',
-      'yeah this is not even that bad',
-      'why are people making memes of me',
-      'lowkey i just placed on a trade on me getting pardoned',
-      'deadass took a bullet for that man bro',
-    ]
-  },
-  '6ix9ine': {
-    color: '#ff4757', // Bright red
-    style: 'aggressive',
-    phrases: [
-      'blicky got the stiffy',
-      'i aint no rat bitches',
-      'gotta do what u gotta do',
-      'who the fuck is this NBA youngboy?',
-      'gummo type shi',
-      'day69 is still the shit',
-      'idk why people keep thinkin im asian',
-    ]
-  },
-  'Martin': {
-    color: '#70a1ff', // Blue
-    style: 'arrogant',
-    phrases: [
-      'money money money',
-      'yo follow me on X guys',
-      'someone said I look like ben shapiro',
-      'type shi',
-    ]
-  }
-};
+import { CHARACTER_LIST } from '../characters/characterManifest.js';
+import { createRandom, canExpandTemplate, expandTemplate } from './grammar.js';
+
+// Chat view of the character manifest: name -> { color, style, phrases, replies, grammar, voice }
+// `voice` is the optional text-to-speech profile { pitch, rate, voiceName } (see audio/chatSpeech.js)
+export const CHARACTERS = Object.fromEntries(
+  CHARACTER_LIST.map(character => [character.name, {
+    color: character.color,
+    style: character.style,
+    phrases: character.phrases,
+    replies: character.replies,
+    grammar: character.grammar,
+    voice: character.voice || null
+  }])
+);
+
+// Characters with something to say (e.g. Kool-Aid Man only has a voice clip)
+const SPEAKING_CHARACTERS = Object.keys(CHARACTERS).filter(name => CHARACTERS[name].phrases.length > 0);
+
+// The player's identity in the chat log
+export const PLAYER_NAME = 'You';
+export const PLAYER_COLOR = '#0000ff';
+
+// Source of randomness for everything the generator decides (Math.random until seeded)
+let random = Math.random;
 
 // Track last spoken phrases to avoid immediate repetition
 const lastPhrases = {};
 
+// Most recent notable thing that happened in the block, for {lastEvent}
+let lastEvent = null;
+
+// Chance that a character with a grammar speaks a generated line instead of a fixed phrase
+const TEMPLATE_CHANCE = 0.4;
+
+// Open conversation threads waiting for the target's reply
+// Each entry: { speaker, replyTo, thread, channel, messagesUntilReply }
+const pendingReplies = [];
+
+// A reply lands within this many messages after the opener (inclusive)
+const MIN_MESSAGES_BEFORE_REPLY = 1;
+const MAX_MESSAGES_BEFORE_REPLY = 3;
+
 /**
- * Generates a random dialogue message from a random character
- * @returns {Object} { name: string, text: string, color: string }
+ * Get the display text of a phrase (plain string or thread opener object)
+ * @param {string|Object} phrase
+ * @returns {string}
  */
-export function generateMessage() {
-  const characterNames = Object.keys(CHARACTERS);
-  const randomIndex = Math.floor(Math.random() * characterNames.length);
-  const characterName = characterNames[randomIndex];
-  const character = CHARACTERS[characterName];
-  
+function getPhraseText(phrase) {
+  return typeof phrase === 'string' ? phrase : phrase.text;
+}
+
+/**
+ * Pick a phrase from a list, avoiding the character's last spoken line
+ * @param {string} characterName
+ * @param {Array<string|Object>} phrases
+ * @returns {string|Object}
+ */
+function pickPhrase(characterName, phrases) {
   // Get available phrases (exclude the last one used for this character)
-  let availablePhrases = character.phrases;
+  let availablePhrases = phrases;
   if (lastPhrases[characterName] && availablePhrases.length > 1) {
-    availablePhrases = character.phrases.filter(phrase => phrase !== lastPhrases[characterName]);
+    availablePhrases = phrases.filter(phrase => getPhraseText(phrase) !== lastPhrases[characterName]);
   }
   
   // Pick a random phrase from available ones
-  const randomPhraseIndex = Math.floor(Math.random() * availablePhrases.length);
+  const randomPhraseIndex = Math.floor(random() * availablePhrases.length);
   const selectedPhrase = availablePhrases[randomPhraseIndex];
   
   // Store as last phrase for this character
-  lastPhrases[characterName] = selectedPhrase;
+  lastPhrases[characterName] = getPhraseText(selectedPhrase);
+  
+  return selectedPhrase;
+}
+
+/**
+ * Expand one of the character's templates, or return null if none can be used now
+ * @param {string} characterName
+ * @param {Object} context - Template context from generateMessage()
+ * @returns {string|null}
+ */
+function generateTemplateLine(characterName, context) {
+  const grammar = CHARACTERS[characterName].grammar;
+  if (!grammar) return null;
+  
+  const slotContext = {
+    ...context,
+    otherInmates: (context.otherInmates || Object.keys(CHARACTERS)).filter(name => name !== characterName),
+    lastEvent
+  };
+  const templates = grammar.templates.filter(template => canExpandTemplate(template, slotContext));
+  if (templates.length === 0) return null;
+  
+  const template = templates[Math.floor(random() * templates.length)];
+  const text = expandTemplate(template, grammar, slotContext, random);
+  if (text === lastPhrases[characterName]) return null;
+  
+  lastPhrases[characterName] = text;
+  return text;
+}
+
+/**
+ * Open a thread if the phrase targets another character who has replies for it
+ * @param {string} speakerName - Character who spoke the phrase
+ * @param {string|Object} phrase
+ * @param {string|null} channel - Channel the thread lives in
+ * @param {string[]} speakers - Characters who talk in that channel
+ */
+function openThread(speakerName, phrase, channel, speakers) {
+  if (typeof phrase === 'string' || !phrase.target || !phrase.thread) return;
+  if (!speakers.includes(phrase.target)) return; // Target isn't in this channel
+  
+  const target = CHARACTERS[phrase.target];
+  if (!target || !target.replies || !target.replies[phrase.thread]) return;
+  
+  // Only one pending reply per target at a time
+  if (pendingReplies.some(pending => pending.speaker === phrase.target)) return;
   
+  pendingReplies.push({
+    speaker: phrase.target,
+    replyTo: speakerName,
+    thread: phrase.thread,
+    channel,
+    messagesUntilReply: MIN_MESSAGES_BEFORE_REPLY +
+      Math.floor(random() * (MAX_MESSAGES_BEFORE_REPLY - MIN_MESSAGES_BEFORE_REPLY + 1))
+  });
+}
+
+/**
+ * Build the message object returned to the chat loop
+ * @param {string} characterName
+ * @param {string|Object} phrase
+ * @param {string|null} replyTo - Character being answered (null for a fresh line)
+ * @returns {Object}
+ */
+function buildMessage(characterName, phrase, replyTo) {
   return {
     name: characterName,
-    text: selectedPhrase,
-    color: character.color
+    text: getPhraseText(phrase),
+    color: CHARACTERS[characterName].color,
+    target: typeof phrase === 'string' ? null : (phrase.target || null),
+    replyTo
   };
 }
 
+/**
+ * Pick who speaks next, weighted by getSpeakerWeight (uniform when omitted)
+ * @param {string[]} speakers - Candidates
+ * @param {Function} [getSpeakerWeight] - (characterName) => relative weight
+ * @returns {string}
+ */
+function pickSpeaker(speakers, getSpeakerWeight) {
+  if (!getSpeakerWeight) {
+    return speakers[Math.floor(random() * speakers.length)];
+  }
+  
+  const weights = speakers.map(name => Math.max(0, getSpeakerWeight(name)));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  if (total <= 0) {
+    return speakers[Math.floor(random() * speakers.length)];
+  }
+  
+  let roll = random() * total;
+  for (let i = 0; i < speakers.length; i++) {
+    roll -= weights[i];
+    if (roll < 0) return speakers[i];
+  }
+  return speakers[speakers.length - 1];
+}
+
+/**
+ * Characters who may speak, limited to a channel's pool when given
+ * @param {string[]|null} speakers
+ * @returns {string[]}
+ */
+function getSpeakerPool(speakers) {
+  return speakers ? speakers.filter(name => SPEAKING_CHARACTERS.includes(name)) : SPEAKING_CHARACTERS;
+}
+
+/**
+ * Pick who should speak next without generating a line (e.g. for a dialogue provider)
+ * @param {Object} [options]
+ * @param {Function} [options.getSpeakerWeight] - (characterName) => relative chance of speaking
+ * @param {string[]|null} [options.speakers] - Who may speak (default: every speaking character)
+ * @returns {string}
+ */
+export function chooseSpeaker({ getSpeakerWeight, speakers = null } = {}) {
+  return pickSpeaker(getSpeakerPool(speakers), getSpeakerWeight);
+}
+
+/**
+ * Generates the next dialogue message.
+ * A pending thread reply is spoken once it comes due; otherwise a character
+ * (weighted by getSpeakerWeight, e.g. closeness to the player) says a random
+ * phrase or a generated template line. Fixed phrases may open a new thread.
+ * Threads stay in the channel they were opened in.
+ * @param {Object} [options]
+ * @param {Function} [options.getSpeakerWeight] - (characterName) => relative chance of speaking
+ * @param {Object} [options.context] - Template slot values: { otherInmates, heldItem, gameTime }
+ * @param {string} [options.channel] - Channel id the line is for (see chatChannels.js)
+ * @param {string[]|null} [options.speakers] - Who may speak (default: every speaking character)
+ * @param {string} [options.speaker] - Who speaks, unless a thread reply comes due first
+ * @returns {Object} { name: string, text: string, color: string, target: string|null, replyTo: string|null }
+ */
+export function generateMessage({ getSpeakerWeight, context = {}, channel = null, speakers = null, speaker = null } = {}) {
+  const pool = getSpeakerPool(speakers);
+  
+  // Count down this channel's open threads; the first one that comes due is answered now
+  const threads = pendingReplies.filter(pending => pending.channel === channel);
+  threads.forEach(pending => pending.messagesUntilReply--);
+  const due = threads.find(pending => pending.messagesUntilReply <= 0);
+  if (due) {
+    pendingReplies.splice(pendingReplies.indexOf(due), 1);
+    const reply = pickPhrase(due.speaker, CHARACTERS[due.speaker].replies[due.thread]);
+    openThread(due.speaker, reply, channel, pool);
+    return buildMessage(due.speaker, reply, due.replyTo);
+  }
+  
+  const characterName = speaker && pool.includes(speaker) ? speaker : pickSpeaker(pool, getSpeakerWeight);
+  const character = CHARACTERS[characterName];
+  
+  if (character.grammar && random() < TEMPLATE_CHANCE) {
+    const line = generateTemplateLine(characterName, context);
+    if (line) {
+      return buildMessage(characterName, line, null);
+    }
+  }
+  
+  const selectedPhrase = pickPhrase(characterName, character.phrases);
+  openThread(characterName, selectedPhrase, channel, pool);
+  
+  return buildMessage(characterName, selectedPhrase, null);
+}
+
+/**
+ * Remember something that just happened so lines can mention it via {lastEvent}
+ * @param {string} description - Short phrase, e.g. "Mr. Beast showing up"
+ */
+export function recordChatEvent(description) {
+  lastEvent = description;
+}
+
+/**
+ * Make the generator deterministic: same seed and same inputs give the same lines.
+ * Also clears repetition and thread state so runs start from scratch.
+ * @param {number|string} seed
+ */
+export function seedChat(seed) {
+  random = createRandom(seed);
+  Object.keys(lastPhrases).forEach(name => delete lastPhrases[name]);
+  pendingReplies.length = 0;
+  lastEvent = null;
+}
+
 /**
  * Gets a random interval between messages (in milliseconds)
- * @returns {number} Interval in ms (between 2000 and 6000)
+ * @param {number} [min] - Shortest gap in ms (each channel sets its own cadence)
+ * @param {number} [max] - Longest gap in ms
+ * @returns {number} Interval in ms (between 2000 and 6000 by default)
  */
-export function getRandomInterval() {
-  return 2000 + Math.random() * 4000; // 2-6 seconds
+export function getRandomInterval(min = 2000, max = 6000) {
+  return min + random() * (max - min);
 }
@@ -0,0 +1,61 @@
+/**
+ * Chat Channels - the tabs in the chat window
+ *
+ * Each channel keeps its own log, unread count and chatter cadence:
+ *   - speakers: inmates who talk in it (null = every speaking character); rosters
+ *     come from `channels` in the character manifest
+ *   - minInterval / maxInterval: ms between generated lines (see getRandomInterval)
+ *   - source: 'inmates' for generateMessage(), 'guards' for the guard radio
+ *   - nearby: lines are said out loud in the block (earshot, bubbles, speech)
+ *   - readOnly: the player can only listen in
+ */
+
+import { getChannelMembers } from '../characters/characterManifest.js';
+
+export const CHAT_CHANNELS = [
+  {
+    id: 'block',
+    label: 'Block',
+    title: 'fucking arkham asylum gc',
+    speakers: null,
+    minInterval: 2000,
+    maxInterval: 6000,
+    source: 'inmates',
+    nearby: true,
+    readOnly: false
+  },
+  {
+    id: 'yard',
+    label: 'Yard',
+    title: 'yard time (no snitches)',
+    speakers: getChannelMembers('yard'),
+    minInterval: 5000,
+    maxInterval: 12000,
+    source: 'inmates',
+    nearby: false,
+    readOnly: false
+  },
+  {
+    id: 'guards',
+    label: 'Guards',
+    title: 'CO radio [intercepted]',
+    speakers: null,
+    minInterval: 9000,
+    maxInterval: 20000,
+    source: 'guards',
+    nearby: false,
+    readOnly: true
+  }
+];
+
+export const DEFAULT_CHAT_CHANNEL = 'block';
+
+/**
+ * Look up a channel by id, falling back to the default
+ * @param {string} id
+ * @returns {Object}
+ */
+export function getChatChannel(id) {
+  return CHAT_CHANNELS.find(channel => channel.id === id) ||
+    CHAT_CHANNELS.find(channel => channel.id === DEFAULT_CHAT_CHANNEL);
+}
@@ -0,0 +1,233 @@
+/**
+ * Chat Commands - slash commands typed into the chat input
+ *
+ * A line starting with "/" is looked up in the command registry instead of
+ * being said in chat. Other modules add commands with registerChatCommand();
+ * the built-ins (/me, /whisper, /roll, /time, /who, /mute, /help) are
+ * registered at the bottom of this file.
+ *
+ * Commands run with a context object from the game:
+ *   - channel : id of the channel the player typed in
+ *   - say(text, kind) : post a player line ('message' or 'emote')
+ *   - system(text, isError) : post a system line only the player sees
+ *   - getPresentCharacters() : names of the inmates spawned in the block
+ *   - whisper(characterName, text) : privately message an inmate
+ *   - isMuted(name) / setMuted(name, muted) : hide a speaker's lines
+ *
+ * Exports:
+ *   - registerChatCommand(name, { usage, description, run })
+ *   - getChatCommands() : Registered commands, sorted by name
+ *   - isChatCommand(text)
+ *   - runChatCommand(text, context)
+ *   - findCharacterName(query) : Resolve a typed name to a character
+ */
+
+import { CHARACTER_LIST } from '../characters/characterManifest.js';
+import { formatGameTime } from '../gameClock.js';
+
+// ===========================================
+// CONFIGURATION
+// ===========================================
+
+const COMMAND_PREFIX = '/';
+const DEFAULT_ROLL_SIDES = 100;
+const MAX_ROLL_SIDES = 1000000;
+
+// ===========================================
+// STATE
+// ===========================================
+
+// name -> { name, usage, description, run }
+const commands = new Map();
+
+// ===========================================
+// HELPERS
+// ===========================================
+
+/**
+ * Split typed arguments into a character name and whatever follows it.
+ * Full names win ("el chapo guzman hi"), otherwise the first word may be any
+ * unambiguous part of a name ("chapo hi").
+ * @param {string} args
+ * @returns {{name: string, rest: string}|null}
+ */
+function splitCharacterName(args) {
+  const lower = args.toLowerCase();
+  const fullMatch = CHARACTER_LIST
+    .map(character => character.name)
+    .sort((a, b) => b.length - a.length)
+    .find(name => lower === name.toLowerCase() || lower.startsWith(`${name.toLowerCase()} `));
+  if (fullMatch) {
+    return { name: fullMatch, rest: args.slice(fullMatch.length).trim() };
+  }
+
+  const [firstWord, ...restWords] = args.split(/\s+/);
+  const name = findCharacterName(firstWord);
+  return name ? { name, rest: restWords.join(' ') } : null;
+}
+
+// ===========================================
+// PUBLIC API
+// ===========================================
+
+/**
+ * Add a command to the registry (replaces any command with the same name)
+ * @param {string} name - Command word without the slash, e.g. 'roll'
+ * @param {Object} command
+ * @param {string} command.usage - e.g. '/roll [sides]'
+ * @param {string} command.description - One line for /help
+ * @param {Function} command.run - (args: string, context: Object) => void
+ */
+export function registerChatCommand(name, { usage, description, run }) {
+  const key = name.toLowerCase();
+  commands.set(key, { name: key, usage: usage || `${COMMAND_PREFIX}${key}`, description, run });
+}
+
+/**
+ * Every registered command, sorted by name
+ * @returns {Object[]} { name, usage, description, run }
+ */
+export function getChatCommands() {
+  return Array.from(commands.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Check whether a typed line is a command rather than chat
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isChatCommand(text) {
+  return text.startsWith(COMMAND_PREFIX) && text.length > COMMAND_PREFIX.length;
+}
+
+/**
+ * Run a typed command line. Unknown commands post a system error line.
+ * @param {string} text - e.g. '/roll 20'
+ * @param {Object} context - See the module comment
+ */
+export function runChatCommand(text, context) {
+  const match = text.slice(COMMAND_PREFIX.length).match(/^(\S+)\s*(.*)$/);
+  const name = match ? match[1].toLowerCase() : '';
+  const command = commands.get(name);
+  if (!command) {
+    context.system(`Unknown command "${COMMAND_PREFIX}${name}". Type /help for a list.`, true);
+    return;
+  }
+
+  try {
+    command.run(match[2].trim(), context);
+  } catch (error) {
+    console.error(`Chat command /${name} failed:`, error);
+    context.system(`${COMMAND_PREFIX}${name} failed.`, true);
+  }
+}
+
+/**
+ * Resolve a typed name to a character: exact name, then a unique partial match
+ * @param {string} query - e.g. 'Martin', 'chapo', '6ix9ine'
+ * @returns {string|null} Character name
+ */
+export function findCharacterName(query) {
+  const lower = query.trim().toLowerCase();
+  if (!lower) return null;
+
+  const names = CHARACTER_LIST.map(character => character.name);
+  const exact = names.find(name => name.toLowerCase() === lower);
+  if (exact) return exact;
+
+  const partial = names.filter(name => name.toLowerCase().includes(lower));
+  return partial.length === 1 ? partial[0] : null;
+}
+
+// ===========================================
+// BUILT-IN COMMANDS
+// ===========================================
+
+registerChatCommand('me', {
+  usage: '/me <action>',
+  description: 'Emote, e.g. /me flexes',
+  run(args, context) {
+    if (!args) {
+      context.system('Usage: /me <action>', true);
+      return;
+    }
+    context.say(args, 'emote');
+  }
+});
+
+registerChatCommand('whisper', {
+  usage: '/whisper <name> <message>',
+  description: 'Privately message an inmate',
+  run(args, context) {
+    const target = args ? splitCharacterName(args) : null;
+    if (!target || !target.rest) {
+      context.system('Usage: /whisper <name> <message>', true);
+      return;
+    }
+    if (!context.whisper(target.name, target.rest)) {
+      context.system(`${target.name} can't get messages right now.`, true);
+    }
+  }
+});
+
+registerChatCommand('roll', {
+  usage: '/roll [sides]',
+  description: `Roll a die (default 1-${DEFAULT_ROLL_SIDES})`,
+  run(args, context) {
+    const sides = args ? parseInt(args, 10) : DEFAULT_ROLL_SIDES;
+    if (!Number.isInteger(sides) || sides < 2 || sides > MAX_ROLL_SIDES) {
+      context.system('Usage: /roll [sides] (2 or more)', true);
+      return;
+    }
+    const result = 1 + Math.floor(Math.random() * sides);
+    context.say(`rolls ${result} (1-${sides})`, 'emote');
+  }
+});
+
+registerChatCommand('time', {
+  usage: '/time',
+  description: 'Show the time in the block',
+  run(args, context) {
+    context.system(`It's ${formatGameTime()}.`);
+  }
+});
+
+registerChatCommand('who', {
+  usage: '/who',
+  description: 'List the inmates in the block',
+  run(args, context) {
+    const names = context.getPresentCharacters();
+    context.system(names.length > 0
+      ? `In the block (${names.length}): ${names.join(', ')}`
+      : 'Nobody else is in the block.');
+  }
+});
+
+registerChatCommand('mute', {
+  usage: '/mute <name>',
+  description: 'Hide (or unhide) an inmate\'s lines',
+  run(args, context) {
+    if (!args) {
+      context.system('Usage: /mute <name>', true);
+      return;
+    }
+    const name = findCharacterName(args);
+    if (!name) {
+      context.system(`No inmate called "${args}".`, true);
+      return;
+    }
+    const muted = !context.isMuted(name);
+    context.setMuted(name, muted);
+    context.system(muted ? `Muted ${name}. /mute ${args} again to undo.` : `Unmuted ${name}.`);
+  }
+});
+
+registerChatCommand('help', {
+  usage: '/help',
+  description: 'List chat commands',
+  run(args, context) {
+    getChatCommands().forEach(command => {
+      context.system(`${command.usage} - ${command.description}`);
+    });
+  }
+});
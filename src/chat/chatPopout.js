@@ -0,0 +1,187 @@
+/**
+ * CHAT POP-OUT
+ *
+ * Opens the chat log in its own browser window (chat-popout.html) so
+ * streamers can capture it as a separate source. The game window owns the
+ * log; the pop-out is a read-only ChatUI fed over a BroadcastChannel:
+ *   game -> pop-out
+ *     { type: 'snapshot', sessionId, clockStart, entries, view, background }
+ *     { type: 'line', sessionId, entry }
+ *     { type: 'reactions', sessionId, entryId, reactions }
+ *     { type: 'view', sessionId, view }
+ *     { type: 'background', background }
+ *   pop-out -> game
+ *     { type: 'hello' }     (just opened; asks for a snapshot)
+ *     { type: 'attached' }  (built its log from a snapshot; the game panel may hide)
+ *     { type: 'closed' }
+ * Entries are sent whole and in order, so the pop-out shows the same names,
+ * colors, times and ordering as the game. A snapshot with a new sessionId
+ * (the game was reloaded) makes the pop-out start over.
+ *
+ * Exports:
+ *   - CHAT_POPOUT_CHANNEL : BroadcastChannel name shared with chatPopoutPage.js
+ *   - initChatPopout(chatUI, { background, hidePanel }) : Wire the game's ChatUI to the channel
+ *   - openChatPopout() : Open (or focus) the pop-out window
+ *   - setChatPopoutBackground(background) / setChatPopoutHidesPanel(enabled)
+ */
+
+import { getGameStartTime } from '../gameClock.js';
+
+// ===========================================
+// CONFIGURATION
+// ===========================================
+
+export const CHAT_POPOUT_CHANNEL = 'mdc-chat-popout';
+
+const POPOUT_URL = '/chat-popout.html';
+const WINDOW_NAME = 'mdc-chat-popout';
+const WINDOW_FEATURES = 'popup,width=380,height=520';
+const CLOSED_CHECK_MS = 1000; // How often to notice the window was closed without saying so
+
+// ===========================================
+// STATE
+// ===========================================
+
+let chatUIRef = null;
+let channel = null;
+let popoutWindow = null;
+let closedCheckTimer = null;
+let sessionId = null;
+let background = 'theme';
+let hidePanel = true;
+let poppedOut = false;
+
+// ===========================================
+// HELPERS
+// ===========================================
+
+/**
+ * Post a message to the pop-out (no-op without BroadcastChannel)
+ * @param {Object} message
+ */
+function post(message) {
+  if (channel) {
+    channel.postMessage(message);
+  }
+}
+
+/**
+ * Send the whole log so the pop-out can (re)build it
+ */
+function sendSnapshot() {
+  post({
+    type: 'snapshot',
+    sessionId,
+    clockStart: getGameStartTime(),
+    entries: chatUIRef.history,
+    view: chatUIRef.getViewState(),
+    background
+  });
+}
+
+/**
+ * Remember whether the pop-out is open and hide/show the in-game panel to match
+ * @param {boolean} isOpen
+ */
+function setPoppedOut(isOpen) {
+  poppedOut = isOpen;
+  chatUIRef.setPoppedOut(poppedOut && hidePanel);
+  if (!isOpen && closedCheckTimer) {
+    clearInterval(closedCheckTimer);
+    closedCheckTimer = null;
+  }
+}
+
+/**
+ * Handle a message from the pop-out window
+ * @param {MessageEvent} event
+ */
+function handleMessage(event) {
+  const message = event.data;
+  if (!message) return;
+  if (message.type === 'hello') {
+    sendSnapshot();
+  } else if (message.type === 'attached') {
+    setPoppedOut(true);
+  } else if (message.type === 'closed') {
+    setPoppedOut(false);
+  }
+}
+
+// ===========================================
+// PUBLIC API
+// ===========================================
+
+/**
+ * Mirror a ChatUI to the pop-out window and add its pop-out button
+ * @param {ChatUI} chatUI - The game's chat window
+ * @param {Object} options
+ * @param {string} options.background - 'theme', 'transparent' or 'chroma'
+ * @param {boolean} options.hidePanel - Hide the in-game panel while popped out
+ */
+export function initChatPopout(chatUI, options) {
+  if (typeof BroadcastChannel === 'undefined') {
+    console.warn('Chat pop-out unavailable: this browser has no BroadcastChannel');
+    return;
+  }
+  chatUIRef = chatUI;
+  background = options.background;
+  hidePanel = options.hidePanel;
+  sessionId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+  channel = new BroadcastChannel(CHAT_POPOUT_CHANNEL);
+  channel.addEventListener('message', handleMessage);
+
+  chatUI.onMessageAdded(entry => post({ type: 'line', sessionId, entry }));
+  chatUI.onReactionsChanged(entry => post({ type: 'reactions', sessionId, entryId: entry.id, reactions: entry.reactions }));
+  chatUI.onViewChanged(view => post({ type: 'view', sessionId, view }));
+  chatUI.enablePopOut(openChatPopout);
+
+  // A pop-out left open from before a reload picks up the new session
+  sendSnapshot();
+}
+
+/**
+ * Open the pop-out window, or focus it if it's already open
+ */
+export function openChatPopout() {
+  if (!channel) return;
+  if (popoutWindow && !popoutWindow.closed) {
+    popoutWindow.focus();
+    return;
+  }
+
+  popoutWindow = window.open(POPOUT_URL, WINDOW_NAME, WINDOW_FEATURES);
+  if (!popoutWindow) {
+    chatUIRef.addSystemMessage('Could not open the chat window. Allow pop-ups for this site and try again.', true);
+    return;
+  }
+  if (!closedCheckTimer) {
+    closedCheckTimer = setInterval(() => {
+      if (popoutWindow && popoutWindow.closed) {
+        popoutWindow = null;
+        setPoppedOut(false);
+      }
+    }, CLOSED_CHECK_MS);
+  }
+}
+
+/**
+ * Change the pop-out window's background
+ * @param {string} newBackground - 'theme', 'transparent' or 'chroma'
+ */
+export function setChatPopoutBackground(newBackground) {
+  background = newBackground;
+  post({ type: 'background', background });
+}
+
+/**
+ * Choose whether the in-game panel hides while the chat is popped out
+ * @param {boolean} enabled
+ */
+export function setChatPopoutHidesPanel(enabled) {
+  hidePanel = !!enabled;
+  if (chatUIRef) {
+    chatUIRef.setPoppedOut(poppedOut && hidePanel);
+  }
+}
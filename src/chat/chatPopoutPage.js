@@ -0,0 +1,94 @@
+/**
+ * Chat Pop-out Page - the chat log in its own window (chat-popout.html)
+ *
+ * A read-only ChatUI rebuilt from the game's entries, kept in sync over the
+ * BroadcastChannel described in chatPopout.js. It shows whatever the game's
+ * chat shows: same channel, skin, streamer-safe setting and muted speakers.
+ * The body gets `chat-popout-bg-<id>` for the transparent / chroma key
+ * backgrounds (see POPOUT_BACKGROUNDS in ui/settings.js).
+ */
+
+import ChatUI from './chatUI.js';
+import { CHAT_POPOUT_CHANNEL } from './chatPopout.js';
+import { startGameClock } from '../gameClock.js';
+import { POPOUT_BACKGROUNDS, getPopoutBackgroundSetting } from '../ui/settings.js';
+
+// ===========================================
+// STATE
+// ===========================================
+
+let chatUI = null;
+let sessionId = null; // Game session the log was built from
+
+// ===========================================
+// HELPERS
+// ===========================================
+
+/**
+ * Switch the window background
+ * @param {string} background - Id from POPOUT_BACKGROUNDS
+ */
+function setBackground(background) {
+  POPOUT_BACKGROUNDS.forEach(({ id }) => document.body.classList.remove(`chat-popout-bg-${id}`));
+  document.body.classList.add(`chat-popout-bg-${background}`);
+}
+
+/**
+ * Rebuild the log from a game snapshot
+ * @param {Object} snapshot - { sessionId, clockStart, entries, view, background }
+ */
+function loadSnapshot(snapshot) {
+  const waiting = document.getElementById('popout-waiting');
+  if (waiting) waiting.remove();
+  if (chatUI) chatUI.destroy();
+
+  // Same clock as the game, so the pinned line follows the same game hour
+  if (snapshot.clockStart !== null) {
+    startGameClock(snapshot.clockStart);
+  }
+  chatUI = new ChatUI();
+  snapshot.entries.forEach(entry => chatUI.appendEntry(entry));
+  chatUI.applyViewState(snapshot.view);
+  setBackground(snapshot.background);
+  sessionId = snapshot.sessionId;
+}
+
+/**
+ * Handle a message from the game window
+ * @param {MessageEvent} event
+ */
+function handleMessage(event) {
+  const message = event.data;
+  if (!message) return;
+
+  if (message.type === 'snapshot') {
+    if (message.sessionId === sessionId) return;
+    loadSnapshot(message);
+    channel.postMessage({ type: 'attached' });
+    return;
+  }
+  if (message.type === 'background') {
+    setBackground(message.background);
+    return;
+  }
+  if (!chatUI || message.sessionId !== sessionId) return;
+
+  if (message.type === 'line') {
+    chatUI.appendEntry(message.entry);
+  } else if (message.type === 'reactions') {
+    chatUI.setReactions(message.entryId, message.reactions);
+  } else if (message.type === 'view') {
+    chatUI.applyViewState(message.view);
+  }
+}
+
+// ===========================================
+// STARTUP
+// ===========================================
+
+const channel = new BroadcastChannel(CHAT_POPOUT_CHANNEL);
+channel.addEventListener('message', handleMessage);
+window.addEventListener('pagehide', () => channel.postMessage({ type: 'closed' }));
+
+setBackground(getPopoutBackgroundSetting());
+channel.postMessage({ type: 'hello' });
@@ -0,0 +1,177 @@
+/**
+ * Chat Storage - keeps the chat log across page reloads
+ *
+ * Lines are saved to IndexedDB as { channel, kind, name, text, color,
+ * gameTime, wallTime } in the order they were said. Storage is capped at
+ * MAX_STORED_LINES: the oldest lines are deleted as new ones arrive, so a
+ * long-running session can't grow without bound.
+ *
+ * Everything here fails soft. Without IndexedDB (private mode, old browser)
+ * saves are dropped and loads return an empty list.
+ *
+ * Exports:
+ *   - saveChatLine(entry) : Store a ChatUI history entry
+ *   - loadRecentChatLines(limit) : Promise of the newest lines, oldest first
+ *   - clearChatHistory() : Promise that resolves once everything is deleted
+ */
+
+// ===========================================
+// CONFIGURATION
+// ===========================================
+
+const DB_NAME = 'mdc-chat';
+const DB_VERSION = 1;
+const STORE_NAME = 'lines';
+const MAX_STORED_LINES = 2000; // Oldest lines are rotated out past this
+const PRUNE_EVERY = 50; // Check the cap after this many saves
+
+// ===========================================
+// STATE
+// ===========================================
+
+let databasePromise = null;
+let savesSincePrune = PRUNE_EVERY; // Prune on the first save of a session
+
+// ===========================================
+// DATABASE
+// ===========================================
+
+/**
+ * Open (or create) the database once
+ * @returns {Promise<IDBDatabase|null>} null when IndexedDB is unavailable
+ */
+function openDatabase() {
+  if (databasePromise) return databasePromise;
+
+  databasePromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+    let request;
+    try {
+      request = indexedDB.open(DB_NAME, DB_VERSION);
+    } catch (error) {
+      console.warn('Chat history unavailable:', error);
+      resolve(null);
+      return;
+    }
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      console.warn('Chat history unavailable:', request.error);
+      resolve(null);
+    };
+  });
+  return databasePromise;
+}
+
+/**
+ * Delete the oldest lines until the store is back under MAX_STORED_LINES
+ * @param {IDBDatabase} database
+ */
+function pruneOldLines(database) {
+  const transaction = database.transaction(STORE_NAME, 'readwrite');
+  const store = transaction.objectStore(STORE_NAME);
+  const countRequest = store.count();
+  countRequest.onsuccess = () => {
+    let excess = countRequest.result - MAX_STORED_LINES;
+    if (excess <= 0) return;
+
+    // Keys are auto-incremented, so ascending key order is oldest first
+    store.openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor || excess <= 0) return;
+      cursor.delete();
+      excess--;
+      cursor.continue();
+    };
+  };
+}
+
+// ===========================================
+// PUBLIC API
+// ===========================================
+
+/**
+ * Store a chat line
+ * @param {Object} entry - ChatUI history entry
+ */
+export function saveChatLine(entry) {
+  openDatabase().then(database => {
+    if (!database) return;
+    const transaction = database.transaction(STORE_NAME, 'readwrite');
+    transaction.objectStore(STORE_NAME).add({
+      channel: entry.channel,
+      kind: entry.kind,
+      name: entry.name,
+      text: entry.text,
+      color: entry.color || null,
+      gameTime: entry.gameTime,
+      wallTime: entry.wallTime
+    });
+    transaction.onerror = () => console.warn('Could not save chat line:', transaction.error);
+
+    savesSincePrune++;
+    if (savesSincePrune >= PRUNE_EVERY) {
+      savesSincePrune = 0;
+      pruneOldLines(database);
+    }
+  }).catch(error => console.warn('Could not save chat line:', error));
+}
+
+/**
+ * Load the newest stored lines
+ * @param {number} limit - How many lines at most
+ * @returns {Promise<Object[]>} Lines oldest first (empty if none or unavailable)
+ */
+export function loadRecentChatLines(limit) {
+  return openDatabase().then(database => new Promise((resolve) => {
+    if (!database) {
+      resolve([]);
+      return;
+    }
+    const lines = [];
+    const request = database.transaction(STORE_NAME, 'readonly')
+      .objectStore(STORE_NAME)
+      .openCursor(null, 'prev');
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor && lines.length < limit) {
+        lines.unshift(cursor.value);
+        cursor.continue();
+      } else {
+        resolve(lines);
+      }
+    };
+    request.onerror = () => {
+      console.warn('Could not load chat history:', request.error);
+      resolve([]);
+    };
+  })).catch(error => {
+    console.warn('Could not load chat history:', error);
+    return [];
+  });
+}
+
+/**
+ * Delete every stored line
+ * @returns {Promise<void>}
+ */
+export function clearChatHistory() {
+  return openDatabase().then(database => new Promise((resolve) => {
+    if (!database) {
+      resolve();
+      return;
+    }
+    const transaction = database.transaction(STORE_NAME, 'readwrite');
+    transaction.objectStore(STORE_NAME).clear();
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => {
+      console.warn('Could not clear chat history:', transaction.error);
+      resolve();
+    };
+  })).catch(error => console.warn('Could not clear chat history:', error));
+}
@@ -0,0 +1,29 @@
+/**
+ * Chat Themes - messenger skins for the chat window
+ *
+ * Each theme is a CSS class on the chat container (`chat-theme-<id>`, styled
+ * in chat.css) plus a few flags ChatUI reads when building message rows:
+ *   - useCharacterColors: color names with the speaker's manifest color
+ *     (otherwise names alternate blue/red like the original chatroom)
+ *   - showTimestamps: prefix each line with its game time
+ *   - ircNicks: show names as "<name>" instead of "name:"
+ */
+
+export const CHAT_THEMES = [
+  { id: 'retro', label: 'Retro chatroom', useCharacterColors: false, showTimestamps: false, ircNicks: false },
+  { id: 'aim', label: 'AIM', useCharacterColors: true, showTimestamps: false, ircNicks: false },
+  { id: 'irc', label: 'IRC', useCharacterColors: true, showTimestamps: true, ircNicks: true },
+  { id: 'dark', label: 'Modern dark', useCharacterColors: true, showTimestamps: false, ircNicks: false }
+];
+
+export const DEFAULT_CHAT_THEME = 'retro';
+
+/**
+ * Look up a theme by id, falling back to the default
+ * @param {string} id
+ * @returns {Object}
+ */
+export function getChatTheme(id) {
+  return CHAT_THEMES.find(theme => theme.id === id) ||
+    CHAT_THEMES.find(theme => theme.id === DEFAULT_CHAT_THEME);
+}
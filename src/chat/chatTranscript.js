@@ -0,0 +1,78 @@
+/**
+ * Chat Transcript - export the session's chat log
+ *
+ * Formats ChatUI history entries as plain text or JSON and hands the result
+ * to the browser as a file download.
+ */
+
+/**
+ * Format one entry's line body: "Name: text", "* Name text" or "*** text"
+ * @param {Object} entry - ChatUI history entry
+ * @returns {string}
+ */
+function formatLineBody(entry) {
+  if (entry.kind === 'system' || entry.kind === 'error') return `*** ${entry.text}`;
+  if (entry.kind === 'emote') return `* ${entry.name} ${entry.text}`;
+  return `${entry.name}: ${entry.text}`;
+}
+
+/**
+ * Format entries as plain text, one "[9:00AM] #block Name: text" line each
+ * @param {Object[]} entries - ChatUI history entries
+ * @returns {string}
+ */
+export function formatTranscriptText(entries) {
+  return entries
+    .map(entry => `[${entry.gameTime}] #${entry.channel} ${formatLineBody(entry)}`)
+    .join('\n') + '\n';
+}
+
+/**
+ * Format entries as a JSON document
+ * @param {Object[]} entries - ChatUI history entries
+ * @returns {string}
+ */
+export function formatTranscriptJSON(entries) {
+  const messages = entries.map(entry => ({
+    channel: entry.channel,
+    kind: entry.kind,
+    speaker: entry.name || null,
+    text: entry.text,
+    reactions: (entry.reactions || []).map(({ emoji, names }) => ({ emoji, count: names.length, names })),
+    gameTime: entry.gameTime,
+    wallTime: new Date(entry.wallTime).toISOString()
+  }));
+  return JSON.stringify({ exportedAt: new Date().toISOString(), messages }, null, 2) + '\n';
+}
+
+/**
+ * Build a timestamped file name like "mdc-chat-2025-01-31-1405.txt"
+ * @param {string} extension - File extension without the dot
+ * @returns {string}
+ */
+export function getTranscriptFileName(extension) {
+  const now = new Date();
+  const pad = (value) => String(value).padStart(2, '0');
+  const date = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+  const time = `${pad(now.getHours())}${pad(now.getMinutes())}`;
+  return `mdc-chat-${date}-${time}.${extension}`;
+}
+
+/**
+ * Trigger a browser download of the given content
+ * @param {string} fileName
+ * @param {string} content
+ * @param {string} mimeType
+ */
+export function downloadFile(fileName, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Give the browser a moment to start the download before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
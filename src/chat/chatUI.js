@@ -3,16 +3,78 @@
  * 
  * This module handles the visual chat panel, message rendering, and animations.
  * Messages are displayed in a scrollable panel anchored to the bottom-left corner.
+ *
+ * Every message is kept for the whole session. Only the rows inside the
+ * scroll viewport (plus a small overscan) are in the DOM; spacer elements
+ * stand in for the rest, so a long session stays cheap to render.
+ *
+ * Messages belong to a channel (see chatChannels.js). Tabs under the title
+ * bar switch which channel's log is shown; the others count unread lines.
  */
 
-const MAX_VISIBLE_MESSAGES = 7; // Maximum number of messages to show
+import { formatGameTime, getGameHoursPassed } from '../gameClock.js';
+import {
+  formatTranscriptText,
+  formatTranscriptJSON,
+  getTranscriptFileName,
+  downloadFile
+} from './chatTranscript.js';
+import { EMOJI, STYLE_TAGS, appendRichText, stripRichText } from './richText.js';
+import { CHAT_THEMES, DEFAULT_CHAT_THEME, getChatTheme } from './chatThemes.js';
+import { makeStreamerSafe, maskProfanity } from './profanityFilter.js';
+import { CHAT_CHANNELS, DEFAULT_CHAT_CHANNEL, getChatChannel } from './chatChannels.js';
+import { REACTION_EMOJI } from './reactions.js';
+
+const MAX_INPUT_LENGTH = 200; // Maximum characters the player can send in one line
+const ESTIMATED_ROW_HEIGHT = 18; // px, used until a row has been measured
+const ROW_GAP = 2; // px, matches .chat-message margin-bottom
+const OVERSCAN_PX = 120; // Extra rows rendered above/below the viewport
+const STICK_THRESHOLD_PX = 8; // Within this distance of the bottom counts as "at the bottom"
+const ALL_SPEAKERS = ''; // Filter value that shows everyone
 
 class ChatUI {
   constructor() {
-    this.messages = [];
+    this.history = []; // Every message this session: { id, channel, kind, name, text, color, colorIndex, faint, replayed, reactions, gameTime, wallTime }
+    this.visibleEntries = []; // Active channel's entries matching the current search/filter
+    this.rowHeights = new Map(); // Measured row heights by entry id
     this.container = null;
     this.messageArea = null;
+    this.rowsElement = null;
+    this.topSpacer = null;
+    this.bottomSpacer = null;
+    this.newMessagesButton = null;
+    this.searchField = null;
+    this.emojiPicker = null;
+    this.speakerFilter = null;
+    this.searchQuery = '';
+    this.speakerFilterValue = ALL_SPEAKERS;
+    this.knownSpeakers = new Set();
+    this.mutedSpeakers = new Set(); // Names hidden from the log (/mute)
+    this.stickToBottom = true; // Follow new messages unless the player scrolled up to read
+    this.renderPending = false;
     this.messageCounter = 0; // Track message count for color alternation
+    this.theme = getChatTheme(DEFAULT_CHAT_THEME);
+    this.streamerSafe = false; // Mask profanity when rendering (history keeps the original text)
+    this.titleBar = null;
+    this.activeChannel = getChatChannel(DEFAULT_CHAT_CHANNEL);
+    this.unreadCounts = {}; // channel id -> lines added while another tab was shown
+    this.tabBadges = new Map(); // channel id -> unread badge element
+    this.messageListeners = []; // Called with every entry added to the history
+    this.reactionListeners = []; // Called with an entry whose reactions changed
+    this.viewListeners = []; // Called with getViewState() when the channel, skin or mutes change
+    this.titleText = null;
+    this.popOutButton = null;
+    this.reactorName = null; // Name the player reacts as; null until enableReactions()
+    this.reactionPicker = null;
+    this.reactionTarget = null; // Entry the open reaction picker is for
+    this.pinnedBar = null;
+    this.pinnedEntry = null; // Most-reacted line of the current game hour in the active channel
+    this.pinnedHour = -1; // Game hour the pin was picked in
+    this.tabButtons = new Map(); // channel id -> tab button
+    this.inputField = null;
+    this.inputEnabled = false; // Set by enableInput(); read-only channels still disable the field
+    this.onSubmit = null; // Called with the typed text when the player presses Enter
+    this.onInputClosed = null; // Called after the input field loses focus (submit or cancel)
     this.init();
   }
 
@@ -24,29 +86,76 @@ class ChatUI {
     this.container = document.createElement('div');
     this.container.id = 'chat-container';
     this.container.className = 'chat-container';
+    this.container.classList.add(`chat-theme-${this.theme.id}`);
     
-    // Create title bar
+    // Create title bar (channel title + pop-out button, shown once enablePopOut() is called)
     const titleBar = document.createElement('div');
     titleBar.className = 'chat-title-bar';
-    titleBar.textContent = 'fucking arkham asylum gc';
+    this.titleText = document.createElement('span');
+    this.titleText.className = 'chat-title-text';
+    titleBar.appendChild(this.titleText);
+    this.popOutButton = document.createElement('button');
+    this.popOutButton.className = 'chat-popout-btn';
+    this.popOutButton.textContent = '⧉';
+    this.popOutButton.title = 'Pop out chat (for stream capture)';
+    this.popOutButton.style.display = 'none';
+    this.popOutButton.addEventListener('mousedown', (event) => event.preventDefault());
+    titleBar.appendChild(this.popOutButton);
     this.container.appendChild(titleBar);
+    this.titleBar = titleBar;
+    this.updateTitle();
+    
+    // Pinned line strip (hidden until something gets reactions this hour)
+    this.container.appendChild(this.createPinnedBar());
+    
+    // Create channel tabs
+    this.container.appendChild(this.createTabs());
+    
+    // Create search/filter/export bar
+    this.container.appendChild(this.createSearchBar());
     
     // Create message log panel
     const messagePanel = document.createElement('div');
     messagePanel.className = 'chat-message-panel';
     
-    // Create message area (scrollable)
+    // Create message area (scrollable, virtualized)
     this.messageArea = document.createElement('div');
     this.messageArea.className = 'chat-messages';
+    this.topSpacer = document.createElement('div');
+    this.rowsElement = document.createElement('div');
+    this.bottomSpacer = document.createElement('div');
+    this.messageArea.appendChild(this.topSpacer);
+    this.messageArea.appendChild(this.rowsElement);
+    this.messageArea.appendChild(this.bottomSpacer);
     messagePanel.appendChild(this.messageArea);
     
+    this.messageArea.addEventListener('scroll', () => {
+      const area = this.messageArea;
+      this.stickToBottom = area.scrollTop + area.clientHeight >= area.scrollHeight - STICK_THRESHOLD_PX;
+      if (this.stickToBottom) {
+        this.newMessagesButton.style.display = 'none';
+      }
+      this.closeReactionPicker();
+      this.scheduleRender();
+    });
+    
+    // Shown when messages arrive while the player is scrolled up reading
+    this.newMessagesButton = document.createElement('button');
+    this.newMessagesButton.className = 'chat-new-messages';
+    this.newMessagesButton.textContent = '▼ New messages';
+    this.newMessagesButton.style.display = 'none';
+    this.newMessagesButton.addEventListener('click', () => this.scrollToBottom());
+    messagePanel.appendChild(this.newMessagesButton);
+    
+    // Clicking a spoken line opens the reaction picker; clicking a reaction chip toggles it
+    // (mousedown, not click: rows are re-rendered as lines arrive, which would swallow the click)
+    this.rowsElement.addEventListener('mousedown', (event) => this.handleRowMouseDown(event));
+    messagePanel.appendChild(this.createReactionPicker());
+    
     this.container.appendChild(messagePanel);
     
-    // Create toolbar (decorative, non-functional)
-    const toolbar = document.createElement('div');
-    toolbar.className = 'chat-toolbar';
-    toolbar.innerHTML = '<button class="toolbar-btn" title="Bold">B</button><button class="toolbar-btn" title="Italic">I</button><button class="toolbar-btn" title="Underline">U</button><button class="toolbar-btn" title="Smiley">☺</button>';
-    this.container.appendChild(toolbar);
+    // Create formatting toolbar (acts on the input while typing)
+    this.container.appendChild(this.createToolbar());
     
     // Create input area
     const inputArea = document.createElement('div');
@@ -56,8 +165,39 @@ class ChatUI {
     inputField.type = 'text';
     inputField.className = 'chat-input';
     inputField.placeholder = 'You don\'t have permission to type in this chat...';
-    inputField.disabled = true; // Keep non-interactive as per original
+    inputField.disabled = true; // Disabled until enableInput() is called
+    inputField.maxLength = MAX_INPUT_LENGTH;
     inputArea.appendChild(inputField);
+    this.inputField = inputField;
+    
+    // Keep typed keys away from the game's document-level key handlers
+    // (WASD, B, F, E, 1-5 would otherwise fire while the player is typing).
+    // keyup is left alone so movement keys held before typing still get released.
+    inputField.addEventListener('keydown', (event) => {
+      event.stopPropagation();
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        const text = inputField.value.trim();
+        inputField.value = '';
+        if (text && this.onSubmit) {
+          this.onSubmit(text, this.activeChannel.id);
+        }
+        this.blurInput();
+      } else if (event.key === 'Escape') {
+        event.preventDefault();
+        inputField.value = '';
+        this.blurInput();
+      }
+    });
+    
+    // Any loss of focus (Enter, Escape, or clicking back into the game) closes typing mode
+    inputField.addEventListener('blur', () => {
+      this.container.classList.remove('typing');
+      this.emojiPicker.style.display = 'none';
+      if (this.onInputClosed) {
+        this.onInputClosed();
+      }
+    });
     
     this.container.appendChild(inputArea);
     
@@ -65,66 +205,980 @@ class ChatUI {
     document.body.appendChild(this.container);
   }
 
+  /**
+   * Create one tab per channel, each with an unread badge
+   * @returns {HTMLElement}
+   */
+  createTabs() {
+    const tabs = document.createElement('div');
+    tabs.className = 'chat-tabs';
+    
+    CHAT_CHANNELS.forEach(channel => {
+      const tab = document.createElement('button');
+      tab.className = 'chat-tab';
+      tab.textContent = channel.label;
+      tab.title = channel.title;
+      if (channel.id === this.activeChannel.id) {
+        tab.classList.add('active');
+      }
+      
+      const badge = document.createElement('span');
+      badge.className = 'chat-tab-unread';
+      badge.style.display = 'none';
+      tab.appendChild(badge);
+      
+      // Keep focus in the input so switching tabs doesn't close typing mode
+      tab.addEventListener('mousedown', (event) => event.preventDefault());
+      tab.addEventListener('click', () => this.setActiveChannel(channel.id));
+      tabs.appendChild(tab);
+      
+      this.unreadCounts[channel.id] = 0;
+      this.tabButtons.set(channel.id, tab);
+      this.tabBadges.set(channel.id, badge);
+    });
+    
+    return tabs;
+  }
+
+  /**
+   * Show a channel's log and clear its unread count
+   * @param {string} channelId - Id from CHAT_CHANNELS
+   */
+  setActiveChannel(channelId) {
+    const channel = getChatChannel(channelId);
+    if (channel.id === this.activeChannel.id) return;
+    
+    this.activeChannel = channel;
+    this.tabButtons.forEach((tab, id) => tab.classList.toggle('active', id === channel.id));
+    this.unreadCounts[channel.id] = 0;
+    this.updateTabBadge(channel.id);
+    this.updateTitle();
+    this.updateInputState();
+    this.closeReactionPicker();
+    this.applyFilters();
+    this.updatePinned();
+    this.notifyViewChanged();
+  }
+
+  /**
+   * Id of the channel currently shown
+   * @returns {string}
+   */
+  getActiveChannel() {
+    return this.activeChannel.id;
+  }
+
+  /**
+   * Show or hide a tab's unread badge
+   * @param {string} channelId
+   */
+  updateTabBadge(channelId) {
+    const badge = this.tabBadges.get(channelId);
+    if (!badge) return;
+    const count = this.unreadCounts[channelId];
+    badge.textContent = count > 99 ? '99+' : String(count);
+    badge.style.display = count > 0 ? 'inline-block' : 'none';
+  }
+
+  /**
+   * Set the title bar to the active channel's name (masked in streamer-safe mode)
+   */
+  updateTitle() {
+    const title = this.activeChannel.title;
+    this.titleText.textContent = this.streamerSafe ? makeStreamerSafe(title) : title;
+  }
+
+  /**
+   * Enable or disable the input for the active channel
+   */
+  updateInputState() {
+    if (!this.inputEnabled) return;
+    const readOnly = this.activeChannel.readOnly;
+    if (readOnly && this.isInputFocused()) {
+      this.blurInput();
+    }
+    this.inputField.disabled = readOnly;
+    this.inputField.placeholder = readOnly
+      ? 'Listening in on the guards...'
+      : 'Press Enter or T to chat (/help for commands)...';
+  }
+
+  /**
+   * Create the B / I / U / emoji toolbar and its emoji picker
+   * @returns {HTMLElement}
+   */
+  createToolbar() {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'chat-toolbar';
+    
+    const buttons = [
+      { label: 'B', title: 'Bold', className: 'chat-bold', action: () => this.wrapSelection(STYLE_TAGS.bold) },
+      { label: 'I', title: 'Italic', className: 'chat-italic', action: () => this.wrapSelection(STYLE_TAGS.italic) },
+      { label: 'U', title: 'Underline', className: 'chat-underline', action: () => this.wrapSelection(STYLE_TAGS.underline) },
+      { label: '☺', title: 'Smiley', className: null, action: () => this.toggleEmojiPicker() }
+    ];
+    buttons.forEach(({ label, title, className, action }) => {
+      const button = document.createElement('button');
+      button.className = 'toolbar-btn';
+      if (className) button.classList.add(className);
+      button.title = title;
+      button.textContent = label;
+      // Keep focus in the input so clicking a button doesn't close typing mode
+      button.addEventListener('mousedown', (event) => event.preventDefault());
+      button.addEventListener('click', action);
+      toolbar.appendChild(button);
+    });
+    
+    this.emojiPicker = document.createElement('div');
+    this.emojiPicker.className = 'chat-emoji-picker';
+    this.emojiPicker.style.display = 'none';
+    EMOJI.forEach(emoji => {
+      const option = document.createElement('button');
+      option.className = 'chat-emoji-option';
+      option.textContent = emoji;
+      option.addEventListener('mousedown', (event) => event.preventDefault());
+      option.addEventListener('click', () => {
+        this.insertAtCursor(emoji);
+        this.emojiPicker.style.display = 'none';
+      });
+      this.emojiPicker.appendChild(option);
+    });
+    toolbar.appendChild(this.emojiPicker);
+    
+    return toolbar;
+  }
+
+  /**
+   * Wrap the input's selection in a formatting tag, or insert an empty
+   * tag pair at the caret and place the caret inside it
+   * @param {string} tag - 'b', 'i' or 'u'
+   */
+  wrapSelection(tag) {
+    const input = this.inputField;
+    if (input.disabled) return;
+    
+    const start = input.selectionStart;
+    const end = input.selectionEnd;
+    const open = `[${tag}]`;
+    const close = `[/${tag}]`;
+    const value = input.value;
+    if (value.length + open.length + close.length > MAX_INPUT_LENGTH) return;
+    
+    input.value = value.slice(0, start) + open + value.slice(start, end) + close + value.slice(end);
+    if (start === end) {
+      input.setSelectionRange(start + open.length, start + open.length);
+    } else {
+      input.setSelectionRange(start + open.length, end + open.length);
+    }
+  }
+
+  /**
+   * Insert text at the input's caret, replacing any selection
+   * @param {string} text
+   */
+  insertAtCursor(text) {
+    const input = this.inputField;
+    if (input.disabled) return;
+    
+    const start = input.selectionStart;
+    const end = input.selectionEnd;
+    const value = input.value;
+    if (value.length - (end - start) + text.length > MAX_INPUT_LENGTH) return;
+    
+    input.value = value.slice(0, start) + text + value.slice(end);
+    input.setSelectionRange(start + text.length, start + text.length);
+  }
+
+  /**
+   * Show or hide the emoji picker
+   */
+  toggleEmojiPicker() {
+    if (this.inputField.disabled) return;
+    const isOpen = this.emojiPicker.style.display !== 'none';
+    this.emojiPicker.style.display = isOpen ? 'none' : 'grid';
+  }
+
+  /**
+   * Create the search box, speaker filter and export buttons
+   * @returns {HTMLElement}
+   */
+  createSearchBar() {
+    const searchBar = document.createElement('div');
+    searchBar.className = 'chat-search-bar';
+    
+    this.searchField = document.createElement('input');
+    this.searchField.type = 'search';
+    this.searchField.className = 'chat-search';
+    this.searchField.placeholder = 'Search...';
+    this.searchField.addEventListener('input', () => {
+      this.searchQuery = this.searchField.value.trim().toLowerCase();
+      this.applyFilters();
+    });
+    // Keep typed keys away from the game's key handlers, same as the chat input
+    this.searchField.addEventListener('keydown', (event) => {
+      event.stopPropagation();
+      if (event.key === 'Escape') {
+        this.searchField.value = '';
+        this.searchQuery = '';
+        this.applyFilters();
+        this.searchField.blur();
+      }
+    });
+    searchBar.appendChild(this.searchField);
+    
+    this.speakerFilter = document.createElement('select');
+    this.speakerFilter.className = 'chat-filter';
+    this.speakerFilter.title = 'Show messages from';
+    const allOption = document.createElement('option');
+    allOption.value = ALL_SPEAKERS;
+    allOption.textContent = 'Everyone';
+    this.speakerFilter.appendChild(allOption);
+    this.speakerFilter.addEventListener('change', () => {
+      this.speakerFilterValue = this.speakerFilter.value;
+      this.applyFilters();
+    });
+    this.speakerFilter.addEventListener('keydown', (event) => event.stopPropagation());
+    searchBar.appendChild(this.speakerFilter);
+    
+    const exportText = document.createElement('button');
+    exportText.className = 'chat-export-btn';
+    exportText.textContent = 'TXT';
+    exportText.title = 'Save transcript as text';
+    exportText.addEventListener('click', () => this.exportTranscript('txt'));
+    searchBar.appendChild(exportText);
+    
+    const exportJson = document.createElement('button');
+    exportJson.className = 'chat-export-btn';
+    exportJson.textContent = 'JSON';
+    exportJson.title = 'Save transcript as JSON';
+    exportJson.addEventListener('click', () => this.exportTranscript('json'));
+    searchBar.appendChild(exportJson);
+    
+    return searchBar;
+  }
+
+  /**
+   * Create the pinned-line strip shown under the title bar
+   * @returns {HTMLElement}
+   */
+  createPinnedBar() {
+    this.pinnedBar = document.createElement('div');
+    this.pinnedBar.className = 'chat-pinned';
+    this.pinnedBar.title = 'Most reacted line this hour';
+    this.pinnedBar.style.display = 'none';
+    return this.pinnedBar;
+  }
+
+  /**
+   * Create the floating emoji picker used to react to a line
+   * @returns {HTMLElement}
+   */
+  createReactionPicker() {
+    this.reactionPicker = document.createElement('div');
+    this.reactionPicker.className = 'chat-reaction-picker';
+    this.reactionPicker.style.display = 'none';
+    REACTION_EMOJI.forEach(emoji => {
+      const option = document.createElement('button');
+      option.className = 'chat-emoji-option';
+      option.textContent = emoji;
+      option.addEventListener('mousedown', (event) => event.preventDefault());
+      option.addEventListener('click', () => {
+        if (this.reactionTarget) {
+          this.toggleReaction(this.reactionTarget.id, emoji, this.reactorName);
+        }
+        this.closeReactionPicker();
+      });
+      this.reactionPicker.appendChild(option);
+    });
+    
+    // Clicking anywhere else closes it
+    this.handleDocumentMouseDown = (event) => {
+      if (this.reactionTarget && !this.reactionPicker.contains(event.target) && !this.rowsElement.contains(event.target)) {
+        this.closeReactionPicker();
+      }
+    };
+    document.addEventListener('mousedown', this.handleDocumentMouseDown);
+    return this.reactionPicker;
+  }
+
+  /**
+   * Row mousedown: a reaction chip toggles that reaction, anywhere else on a
+   * spoken line opens the picker under it
+   * @param {MouseEvent} event
+   */
+  handleRowMouseDown(event) {
+    if (event.button !== 0 || !this.reactorName) return;
+    const row = event.target.closest('.chat-message');
+    const entry = row ? this.history[Number(row.dataset.entryId)] : null;
+    if (!entry || (entry.kind !== 'message' && entry.kind !== 'emote')) return;
+    
+    // Keep focus in the input so reacting doesn't close typing mode
+    event.preventDefault();
+    const chip = event.target.closest('.chat-reaction');
+    if (chip) {
+      this.toggleReaction(entry.id, chip.dataset.emoji, this.reactorName);
+      this.closeReactionPicker();
+      return;
+    }
+    if (this.reactionTarget === entry) {
+      this.closeReactionPicker();
+      return;
+    }
+    
+    const panelRect = this.reactionPicker.parentNode.getBoundingClientRect();
+    const rowRect = row.getBoundingClientRect();
+    this.reactionTarget = entry;
+    this.reactionPicker.style.display = 'flex';
+    const maxTop = panelRect.height - this.reactionPicker.offsetHeight;
+    this.reactionPicker.style.top = `${Math.max(0, Math.min(maxTop, rowRect.bottom - panelRect.top))}px`;
+  }
+
+  /**
+   * Hide the reaction picker
+   */
+  closeReactionPicker() {
+    this.reactionTarget = null;
+    if (this.reactionPicker) {
+      this.reactionPicker.style.display = 'none';
+    }
+  }
+
+  /**
+   * Let the player react to lines by clicking them
+   * @param {string} reactorName - Name the player's reactions are listed under
+   */
+  enableReactions(reactorName) {
+    this.reactorName = reactorName;
+  }
+
+  /**
+   * Add a reaction to a line (no-op if that name already reacted with that emoji)
+   * @param {number} entryId - History entry id
+   * @param {string} emoji
+   * @param {string} name - Who reacted
+   * @returns {boolean} True if the reaction was added
+   */
+  addReaction(entryId, emoji, name) {
+    const entry = this.history[entryId];
+    if (!entry) return false;
+    let reaction = entry.reactions.find(candidate => candidate.emoji === emoji);
+    if (reaction && reaction.names.includes(name)) return false;
+    if (!reaction) {
+      reaction = { emoji, names: [] };
+      entry.reactions.push(reaction);
+    }
+    reaction.names.push(name);
+    this.refreshReactions(entry);
+    return true;
+  }
+
+  /**
+   * Add a reaction, or take it back if that name already gave it
+   * @param {number} entryId - History entry id
+   * @param {string} emoji
+   * @param {string} name - Who reacted
+   */
+  toggleReaction(entryId, emoji, name) {
+    const entry = this.history[entryId];
+    if (!entry || this.addReaction(entryId, emoji, name)) return;
+    const reaction = entry.reactions.find(candidate => candidate.emoji === emoji);
+    reaction.names = reaction.names.filter(candidate => candidate !== name);
+    if (reaction.names.length === 0) {
+      entry.reactions = entry.reactions.filter(candidate => candidate !== reaction);
+    }
+    this.refreshReactions(entry);
+  }
+
+  /**
+   * Redraw a line (and the pin) after its reactions change
+   * @param {Object} entry
+   */
+  refreshReactions(entry) {
+    // Chips can wrap onto another line, so measure the row again
+    this.rowHeights.delete(entry.id);
+    this.scheduleRender();
+    this.updatePinned();
+    this.reactionListeners.forEach(listener => listener(entry));
+  }
+
+  /**
+   * Replace a line's reactions (e.g. mirrored from the game into the pop-out)
+   * @param {number} entryId - History entry id
+   * @param {Array<{emoji: string, names: string[]}>} reactions
+   */
+  setReactions(entryId, reactions) {
+    const entry = this.history[entryId];
+    if (!entry) return;
+    entry.reactions = reactions.map(({ emoji, names }) => ({ emoji, names: [...names] }));
+    this.refreshReactions(entry);
+  }
+
+  /**
+   * Register a listener for reaction changes on any line
+   * @param {Function} callback - Called with the history entry
+   */
+  onReactionsChanged(callback) {
+    if (typeof callback === 'function') {
+      this.reactionListeners.push(callback);
+    }
+  }
+
+  /**
+   * Total reactions on a line
+   * @param {Object} entry
+   * @returns {number}
+   */
+  getReactionCount(entry) {
+    return entry.reactions.reduce((total, reaction) => total + reaction.names.length, 0);
+  }
+
+  /**
+   * Pin the most-reacted line of the current game hour in the active channel
+   * (latest wins a tie); hide the strip if nothing has reactions yet
+   */
+  updatePinned() {
+    const hour = getGameHoursPassed();
+    this.pinnedHour = hour;
+    let best = null;
+    let bestCount = 0;
+    this.history.forEach(entry => {
+      if (entry.channel !== this.activeChannel.id || this.mutedSpeakers.has(entry.name)) return;
+      if (getGameHoursPassed(entry.wallTime) !== hour || this.getDisplayText(entry) === null) return;
+      const count = this.getReactionCount(entry);
+      if (count > 0 && count >= bestCount) {
+        best = entry;
+        bestCount = count;
+      }
+    });
+    this.pinnedEntry = best;
+    
+    if (!best) {
+      this.pinnedBar.style.display = 'none';
+      this.pinnedBar.replaceChildren();
+      return;
+    }
+    const name = this.streamerSafe ? maskProfanity(best.name) : best.name;
+    const label = document.createElement('span');
+    label.className = 'chat-pinned-text';
+    label.textContent = best.kind === 'emote' ? `📌 * ${name} ` : `📌 ${name}: `;
+    appendRichText(label, this.getDisplayText(best));
+    this.pinnedBar.replaceChildren(label, this.createReactionChips(best));
+    this.pinnedBar.style.display = 'flex';
+  }
+
+  /**
+   * Build the inline reaction counts for a line
+   * @param {Object} entry
+   * @returns {HTMLElement}
+   */
+  createReactionChips(entry) {
+    const chips = document.createElement('span');
+    chips.className = 'chat-reactions';
+    entry.reactions.forEach(reaction => {
+      const chip = document.createElement('span');
+      chip.className = 'chat-reaction';
+      if (reaction.names.includes(this.reactorName)) {
+        chip.classList.add('mine');
+      }
+      chip.dataset.emoji = reaction.emoji;
+      chip.title = reaction.names.map(name => (this.streamerSafe ? maskProfanity(name) : name)).join(', ');
+      chip.textContent = `${reaction.emoji} ${reaction.names.length}`;
+      chips.appendChild(chip);
+    });
+    return chips;
+  }
+
   /**
    * Add a new message to the chat
    * @param {string} name - Character name
    * @param {string} text - Message text
    * @param {string} color - Character color
+   * @param {Object} [options]
+   * @param {boolean} [options.faint] - Overheard from a distance; drawn dimmed
+   * @param {string} [options.channel] - Channel id (defaults to the block chat)
+   * @param {'message'|'emote'|'system'|'error'} [options.kind] - How the line is drawn
+   * @param {boolean} [options.replayed] - Old line replayed from the server's log
+   * @returns {Object} The history entry that was added
+   */
+  addMessage(name, text, color, options = {}) {
+    const wallTime = Date.now();
+    const entry = {
+      id: this.history.length,
+      channel: getChatChannel(options.channel).id,
+      kind: options.kind || 'message',
+      name,
+      text,
+      color,
+      colorIndex: this.messageCounter,
+      faint: !!options.faint,
+      replayed: !!options.replayed,
+      reactions: [], // { emoji, names } in the order they were first added
+      gameTime: formatGameTime(wallTime),
+      wallTime
+    };
+    return this.appendEntry(entry);
+  }
+
+  /**
+   * Add a finished history entry to the log. addMessage() builds entries;
+   * the pop-out window calls this directly with the game's entries so its
+   * log keeps the same ids, times and name colors.
+   * @param {Object} entry - History entry (its id must be the next history index)
+   * @returns {Object} The entry
    */
-  addMessage(name, text, color) {
-    // Create message element (no animations for retro look)
+  appendEntry(entry) {
+    const name = entry.name;
+    this.history.push(entry);
+    
+    // Next message alternates from this one
+    this.messageCounter = entry.colorIndex + 1;
+    
+    if (name && !this.knownSpeakers.has(name)) {
+      this.knownSpeakers.add(name);
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      this.speakerFilter.appendChild(option);
+    }
+    
+    if (entry.channel !== this.activeChannel.id) {
+      if (this.getDisplayText(entry) !== null && !this.mutedSpeakers.has(name)) {
+        this.unreadCounts[entry.channel]++;
+        this.updateTabBadge(entry.channel);
+      }
+    } else if (this.matchesFilters(entry)) {
+      this.visibleEntries.push(entry);
+      if (!this.stickToBottom) {
+        this.newMessagesButton.style.display = 'block';
+      }
+      this.scheduleRender();
+    }
+    
+    // A new game hour starts with a fresh pin
+    if (getGameHoursPassed() !== this.pinnedHour) {
+      this.updatePinned();
+    }
+    
+    this.messageListeners.forEach(listener => listener(entry));
+    return entry;
+  }
+
+  /**
+   * Register a listener for every line added to the log (any channel)
+   * @param {Function} callback - Called with the history entry
+   */
+  onMessageAdded(callback) {
+    if (typeof callback === 'function') {
+      this.messageListeners.push(callback);
+    }
+  }
+
+  /**
+   * Add a system line (command output, errors) to the channel being shown
+   * @param {string} text
+   * @param {boolean} [isError] - Draw it as an error
+   * @returns {Object} The history entry that was added
+   */
+  addSystemMessage(text, isError = false) {
+    return this.addMessage('', text, null, {
+      channel: this.activeChannel.id,
+      kind: isError ? 'error' : 'system'
+    });
+  }
+
+  /**
+   * Latest spoken lines in a channel (no system lines), oldest first
+   * @param {string} channelId
+   * @param {number} count - How many lines at most
+   * @returns {Array<{name: string, text: string}>}
+   */
+  getRecentLines(channelId, count) {
+    const lines = [];
+    for (let i = this.history.length - 1; i >= 0 && lines.length < count; i--) {
+      const entry = this.history[i];
+      if (entry.channel === channelId && (entry.kind === 'message' || entry.kind === 'emote')) {
+        lines.unshift({ name: entry.name, text: entry.text });
+      }
+    }
+    return lines;
+  }
+
+  /**
+   * Hide or show every line from a speaker
+   * @param {string} name
+   * @param {boolean} muted
+   */
+  setSpeakerMuted(name, muted) {
+    if (muted) {
+      this.mutedSpeakers.add(name);
+    } else {
+      this.mutedSpeakers.delete(name);
+    }
+    this.applyFilters();
+    this.updatePinned();
+    this.notifyViewChanged();
+  }
+
+  /**
+   * Check whether a speaker's lines are hidden
+   * @param {string} name
+   * @returns {boolean}
+   */
+  isSpeakerMuted(name) {
+    return this.mutedSpeakers.has(name);
+  }
+
+  /**
+   * Create the DOM row for a history entry (no animations for retro look)
+   * @param {Object} entry
+   * @returns {HTMLElement}
+   */
+  createMessageElement(entry) {
     const messageEl = document.createElement('div');
     messageEl.className = 'chat-message';
+    messageEl.dataset.entryId = String(entry.id);
+    if (entry.faint) {
+      messageEl.classList.add('chat-message-faint');
+    }
     
-    // Create name span with alternating blue/red color
+    // IRC-style themes stamp each line with the game time it was said
+    if (this.theme.showTimestamps) {
+      const timeSpan = document.createElement('span');
+      timeSpan.className = 'chat-timestamp';
+      timeSpan.textContent = `[${entry.gameTime}] `;
+      messageEl.appendChild(timeSpan);
+    }
+    
+    // System lines have no speaker
+    if (entry.kind === 'system' || entry.kind === 'error') {
+      messageEl.classList.add('chat-message-system');
+      if (entry.kind === 'error') {
+        messageEl.classList.add('chat-message-error');
+      }
+      const systemSpan = document.createElement('span');
+      systemSpan.className = 'chat-text';
+      systemSpan.textContent = `*** ${this.getDisplayText(entry)}`;
+      messageEl.appendChild(systemSpan);
+      return messageEl;
+    }
+    
+    // Create name span in the speaker's color, or alternating blue/red for the retro look
     const nameSpan = document.createElement('span');
     nameSpan.className = 'chat-name';
-    nameSpan.textContent = `${name}: `;
-    // Alternate between blue and red for each message
-    const isBlue = this.messageCounter % 2 === 0;
-    nameSpan.style.color = isBlue ? '#0000ff' : '#ff0000';
+    // Player-chosen names (multiplayer) get masked too
+    const name = this.streamerSafe ? maskProfanity(entry.name) : entry.name;
+    if (entry.kind === 'emote') {
+      messageEl.classList.add('chat-message-emote');
+      nameSpan.textContent = `* ${name} `;
+    } else {
+      nameSpan.textContent = this.theme.ircNicks ? `<${name}> ` : `${name}: `;
+    }
+    if (this.theme.useCharacterColors && entry.color) {
+      nameSpan.style.color = entry.color;
+    } else {
+      // Alternate between blue and red for each message
+      const isBlue = entry.colorIndex % 2 === 0;
+      nameSpan.style.color = isBlue ? '#0000ff' : '#ff0000';
+    }
     
-    // Create text span
+    // Create text span from styled runs (text nodes only, never innerHTML)
     const textSpan = document.createElement('span');
     textSpan.className = 'chat-text';
-    textSpan.textContent = text;
+    appendRichText(textSpan, this.getDisplayText(entry));
     
     // Assemble message
     messageEl.appendChild(nameSpan);
     messageEl.appendChild(textSpan);
+    if (entry.reactions.length > 0) {
+      messageEl.appendChild(this.createReactionChips(entry));
+    }
+    if (this.reactorName) {
+      messageEl.classList.add('chat-message-reactable');
+    }
     
-    // Add to message area
-    this.messageArea.appendChild(messageEl);
-    this.messages.push(messageEl);
+    return messageEl;
+  }
+
+  /**
+   * Switch the chat window skin and redraw the log in it
+   * @param {string} themeId - Id from CHAT_THEMES
+   */
+  setTheme(themeId) {
+    const theme = getChatTheme(themeId);
+    CHAT_THEMES.forEach(({ id }) => this.container.classList.remove(`chat-theme-${id}`));
+    this.container.classList.add(`chat-theme-${theme.id}`);
+    this.theme = theme;
     
-    // Increment counter for next message
-    this.messageCounter++;
+    // Row heights change with fonts and timestamps, so measure again
+    this.rowHeights.clear();
+    this.scheduleRender();
+    this.notifyViewChanged();
+  }
+
+  /**
+   * Turn streamer-safe rendering on or off and redraw the log
+   * @param {boolean} enabled
+   */
+  setStreamerSafe(enabled) {
+    this.streamerSafe = !!enabled;
+    this.updateTitle();
+    this.rowHeights.clear();
+    this.applyFilters();
+    this.updatePinned();
+    this.notifyViewChanged();
+  }
+
+  /**
+   * What the log is showing: channel, skin, streamer-safe and muted speakers
+   * @returns {{channel: string, theme: string, streamerSafe: boolean, muted: string[]}}
+   */
+  getViewState() {
+    return {
+      channel: this.activeChannel.id,
+      theme: this.theme.id,
+      streamerSafe: this.streamerSafe,
+      muted: Array.from(this.mutedSpeakers)
+    };
+  }
+
+  /**
+   * Show the log the same way as another window (see getViewState)
+   * @param {Object} state
+   */
+  applyViewState(state) {
+    this.mutedSpeakers = new Set(state.muted);
+    this.setTheme(state.theme);
+    this.setStreamerSafe(state.streamerSafe);
+    this.setActiveChannel(state.channel);
+  }
+
+  /**
+   * Register a listener for channel, skin and mute changes
+   * @param {Function} callback - Called with getViewState()
+   */
+  onViewChanged(callback) {
+    if (typeof callback === 'function') {
+      this.viewListeners.push(callback);
+    }
+  }
+
+  /**
+   * Tell view listeners what the log is showing now
+   */
+  notifyViewChanged() {
+    if (this.viewListeners.length === 0) return;
+    const state = this.getViewState();
+    this.viewListeners.forEach(listener => listener(state));
+  }
+
+  /**
+   * Show the pop-out button in the title bar
+   * @param {Function} onPopOut - Called when the button is clicked
+   */
+  enablePopOut(onPopOut) {
+    this.popOutButton.style.display = 'inline-block';
+    this.popOutButton.onclick = onPopOut;
+  }
+
+  /**
+   * Hide the panel while the chat is popped out (it still shows while typing)
+   * @param {boolean} hidden
+   */
+  setPoppedOut(hidden) {
+    this.container.classList.toggle('chat-popped-out', hidden);
+  }
+
+  /**
+   * Text to show for an entry under the current streamer-safe setting
+   * @param {Object} entry
+   * @returns {string|null} null when the line is skipped
+   */
+  getDisplayText(entry) {
+    return this.streamerSafe ? makeStreamerSafe(entry.text) : entry.text;
+  }
+
+  /**
+   * Check an entry against the active channel, search box and speaker filter
+   * @param {Object} entry
+   * @returns {boolean}
+   */
+  matchesFilters(entry) {
+    if (entry.channel !== this.activeChannel.id || this.mutedSpeakers.has(entry.name)) {
+      return false;
+    }
+    const displayText = this.getDisplayText(entry);
+    if (displayText === null) {
+      return false; // Skipped by streamer-safe mode
+    }
+    if (this.speakerFilterValue !== ALL_SPEAKERS && entry.name !== this.speakerFilterValue) {
+      return false;
+    }
+    if (this.searchQuery) {
+      const haystack = `${entry.name} ${stripRichText(displayText)}`.toLowerCase();
+      return haystack.includes(this.searchQuery);
+    }
+    return true;
+  }
+
+  /**
+   * Rebuild the visible entry list after the search or filter changes
+   */
+  applyFilters() {
+    this.visibleEntries = this.history.filter(entry => this.matchesFilters(entry));
+    this.stickToBottom = true;
+    this.newMessagesButton.style.display = 'none';
+    this.scheduleRender();
+  }
+
+  /**
+   * Height of an entry's row, measured if it has been rendered before
+   * @param {Object} entry
+   * @returns {number}
+   */
+  getRowHeight(entry) {
+    return this.rowHeights.get(entry.id) || ESTIMATED_ROW_HEIGHT;
+  }
+
+  /**
+   * Render on the next animation frame (coalesces bursts of messages/scrolls)
+   */
+  scheduleRender() {
+    if (this.renderPending) return;
+    this.renderPending = true;
+    requestAnimationFrame(() => {
+      this.renderPending = false;
+      this.renderRows();
+    });
+  }
+
+  /**
+   * Render only the rows that intersect the viewport, with spacers for the rest
+   */
+  renderRows() {
+    const entries = this.visibleEntries;
+    const area = this.messageArea;
+    const viewHeight = area.clientHeight;
     
-    // Enforce message limit (no fade animations)
-    if (this.messages.length > MAX_VISIBLE_MESSAGES) {
-      const oldestMessage = this.messages.shift();
-      if (oldestMessage.parentNode) {
-        oldestMessage.parentNode.removeChild(oldestMessage);
+    let start;
+    let end;
+    let topHeight = 0;
+    let bottomHeight = 0;
+    
+    if (this.stickToBottom) {
+      // Anchor the window at the newest message and walk backwards
+      end = entries.length;
+      start = end;
+      let windowHeight = 0;
+      while (start > 0 && windowHeight < viewHeight + OVERSCAN_PX) {
+        start--;
+        windowHeight += this.getRowHeight(entries[start]);
+      }
+      for (let i = 0; i < start; i++) {
+        topHeight += this.getRowHeight(entries[i]);
+      }
+    } else {
+      const scrollTop = area.scrollTop;
+      start = 0;
+      while (start < entries.length && topHeight + this.getRowHeight(entries[start]) < scrollTop - OVERSCAN_PX) {
+        topHeight += this.getRowHeight(entries[start]);
+        start++;
+      }
+      end = start;
+      let y = topHeight;
+      while (end < entries.length && y < scrollTop + viewHeight + OVERSCAN_PX) {
+        y += this.getRowHeight(entries[end]);
+        end++;
+      }
+      for (let i = end; i < entries.length; i++) {
+        bottomHeight += this.getRowHeight(entries[i]);
       }
     }
     
-    // Auto-scroll to bottom
-    this.scrollToBottom();
+    const rows = entries.slice(start, end).map(entry => this.createMessageElement(entry));
+    this.topSpacer.style.height = `${topHeight}px`;
+    this.bottomSpacer.style.height = `${bottomHeight}px`;
+    this.rowsElement.replaceChildren(...rows);
+    
+    // Measure real heights so later windows line up with wrapped lines
+    rows.forEach((row, index) => {
+      this.rowHeights.set(entries[start + index].id, row.offsetHeight + ROW_GAP);
+    });
+    
+    if (this.stickToBottom) {
+      area.scrollTop = area.scrollHeight;
+    }
+  }
+
+  /**
+   * Export the whole session transcript (ignores the current search/filter)
+   * @param {'txt'|'json'} format
+   */
+  exportTranscript(format) {
+    // Streamer-safe mode applies to exports too, since they end up on screen just the same
+    const entries = this.history
+      .map(entry => ({ ...entry, text: this.getDisplayText(entry) }))
+      .filter(entry => entry.text !== null);
+    if (format === 'json') {
+      downloadFile(getTranscriptFileName('json'), formatTranscriptJSON(entries), 'application/json');
+    } else {
+      downloadFile(getTranscriptFileName('txt'), formatTranscriptText(entries), 'text/plain');
+    }
   }
 
   /**
-   * Scroll message area to bottom to show latest message
+   * Enable the input field so the player can type in the chat
+   * @param {Function} onSubmit - Called with (text, channelId) when the player presses Enter
+   * @param {Function} onInputClosed - Called after the field is blurred (submit or cancel)
+   */
+  enableInput(onSubmit, onInputClosed = null) {
+    this.onSubmit = onSubmit;
+    this.onInputClosed = onInputClosed;
+    this.inputEnabled = true;
+    this.updateInputState();
+  }
+
+  /**
+   * Focus the input field (the caller is responsible for releasing pointer lock).
+   * On a read-only channel this switches back to the block chat first.
+   */
+  focusInput() {
+    if (this.inputEnabled && this.activeChannel.readOnly) {
+      this.setActiveChannel(DEFAULT_CHAT_CHANNEL);
+    }
+    if (this.inputField.disabled) return;
+    this.container.classList.add('typing');
+    this.inputField.focus();
+  }
+
+  /**
+   * Blur the input field (the blur listener notifies onInputClosed)
+   */
+  blurInput() {
+    this.inputField.blur();
+  }
+
+  /**
+   * Check whether the player is currently typing in the chat
+   * @returns {boolean}
+   */
+  isInputFocused() {
+    return document.activeElement === this.inputField;
+  }
+
+  /**
+   * Jump back to the newest message and resume following new ones
    */
   scrollToBottom() {
-    requestAnimationFrame(() => {
-      this.messageArea.scrollTop = this.messageArea.scrollHeight;
-    });
+    this.stickToBottom = true;
+    this.newMessagesButton.style.display = 'none';
+    this.scheduleRender();
   }
 
   /**
    * Clean up the chat UI (if needed)
    */
   destroy() {
+    document.removeEventListener('mousedown', this.handleDocumentMouseDown);
     if (this.container && this.container.parentNode) {
       this.container.parentNode.removeChild(this.container);
     }
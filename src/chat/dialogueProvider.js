@@ -0,0 +1,153 @@
+/**
+ * Dialogue Provider - where generated inmate chatter comes from
+ *
+ * The chat loop asks the active provider for every inmate line. A provider is
+ *   { id, generateLine(context) } -> Promise of a message like generateMessage() returns
+ * and gets this context:
+ *   {
+ *     channel,          // Channel id the line is for
+ *     speaker,          // Character who should speak
+ *     speakers,         // Everyone who talks in the channel (null = all)
+ *     nearbyNpcs,       // [{ name, distance }] spawned inmates, nearest first
+ *     gameTime,         // e.g. "9:00AM"
+ *     heldItem,         // How inmates describe the player's item, or null
+ *     recentLines,      // [{ name, text }] latest lines in the channel, oldest first
+ *     templateContext   // Slot values for the built-in grammars (see grammar.js)
+ *   }
+ *
+ * The phrase list provider is the built-in generator (chat.js). The HTTP
+ * provider posts the context (minus templateContext) to a URL and expects
+ * { text } back; if the endpoint is slow, down or answers nonsense it falls
+ * back to the phrase lists and leaves the endpoint alone for a while.
+ *
+ * The HTTP provider is opt-in: set the `?dialogue=` query param (e.g.
+ * ?dialogue=http://localhost:3002/dialogue for `npm run dialogue-mock`) or
+ * the VITE_DIALOGUE_URL env var.
+ *
+ * Exports:
+ *   - createPhraseListProvider()
+ *   - createHttpDialogueProvider({ url, timeoutMs, fallback })
+ *   - getDialogueProvider() : The provider configured for this page
+ */
+
+import { generateMessage, CHARACTERS } from './chat.js';
+
+// ===========================================
+// CONFIGURATION
+// ===========================================
+
+const DEFAULT_TIMEOUT_MS = 1500; // Longer than this and the phrase lists answer instead
+const RETRY_AFTER_MS = 20000; // After a failure, skip the endpoint this long
+const MAX_TEXT_LENGTH = 200; // Same limit as typed chat lines
+
+// ===========================================
+// STATE
+// ===========================================
+
+let configuredProvider = null;
+
+// ===========================================
+// PROVIDERS
+// ===========================================
+
+/**
+ * Built-in provider: phrase lists, threads and template grammars from chat.js
+ * @returns {Object} Provider
+ */
+export function createPhraseListProvider() {
+  return {
+    id: 'phrases',
+    generateLine(context) {
+      return Promise.resolve(generateMessage({
+        context: context.templateContext,
+        channel: context.channel,
+        speakers: context.speakers,
+        speaker: context.speaker
+      }));
+    }
+  };
+}
+
+/**
+ * Provider that asks an HTTP endpoint for each line
+ * @param {Object} options
+ * @param {string} options.url - Endpoint that accepts a POSTed context and returns { text }
+ * @param {number} [options.timeoutMs] - Give up on a request after this long
+ * @param {Object} [options.fallback] - Provider used when the endpoint fails
+ * @returns {Object} Provider
+ */
+export function createHttpDialogueProvider({ url, timeoutMs = DEFAULT_TIMEOUT_MS, fallback = createPhraseListProvider() }) {
+  let retryAt = 0;
+
+  /**
+   * POST the context and read back the line's text
+   * @param {Object} context
+   * @returns {Promise<string>}
+   */
+  function requestText(context) {
+    const { templateContext, ...body } = context;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    return fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    })
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .then(data => {
+        const text = data && typeof data.text === 'string' ? data.text.trim().slice(0, MAX_TEXT_LENGTH) : '';
+        if (!text) throw new Error('response has no "text"');
+        return text;
+      })
+      .finally(() => clearTimeout(timer));
+  }
+
+  return {
+    id: 'http',
+    generateLine(context) {
+      if (Date.now() < retryAt) {
+        return fallback.generateLine(context);
+      }
+
+      return requestText(context)
+        .then(text => ({
+          name: context.speaker,
+          text,
+          color: CHARACTERS[context.speaker].color,
+          target: null,
+          replyTo: null
+        }))
+        .catch(error => {
+          const reason = error.name === 'AbortError' ? `no answer within ${timeoutMs}ms` : error.message;
+          console.warn(`Dialogue endpoint ${url} failed (${reason}); using phrase lists for ${RETRY_AFTER_MS / 1000}s`);
+          retryAt = Date.now() + RETRY_AFTER_MS;
+          return fallback.generateLine(context);
+        });
+    }
+  };
+}
+
+// ===========================================
+// PUBLIC API
+// ===========================================
+
+/**
+ * The provider for this page: HTTP if a dialogue URL is configured, otherwise phrase lists
+ * @returns {Object} Provider
+ */
+export function getDialogueProvider() {
+  if (!configuredProvider) {
+    const params = new URLSearchParams(window.location.search);
+    const url = params.get('dialogue') || import.meta.env.VITE_DIALOGUE_URL || null;
+    configuredProvider = url ? createHttpDialogueProvider({ url }) : createPhraseListProvider();
+    if (url) {
+      console.log(`Dialogue provider: ${url} (phrase lists as fallback)`);
+    }
+  }
+  return configuredProvider;
+}
@@ -0,0 +1,318 @@
+/**
+ * DIRECT MESSAGES
+ *
+ * Private conversations with individual inmates, each in its own DMWindow.
+ * The player opens one by looking at an NPC and pressing M; inmates also
+ * message the player first now and then, which opens a minimized window with
+ * an unread badge. Lines come from each character's `dm` entry in the
+ * manifest: `openers` start a conversation, `replies` answer the player.
+ * These lines never show up in the group chat.
+ *
+ * Exports:
+ *   - initDirectMessages({ isCharacterPresent, onInputClosed }) : Set up the window layer
+ *   - openDirectMessage(characterName) : Open (or raise) a DM and focus its input
+ *   - focusLatestDirectMessage() : Focus the most recently active DM (returns false if none)
+ *   - sendDirectMessage(characterName, text) : Send a line from outside the window (/whisper)
+ *   - updateDirectMessages(deltaTime) : Deliver replies and unprompted messages
+ *   - isDirectMessageFocused()
+ *   - setDirectMessageTheme(themeId) / setDirectMessageStreamerSafe(enabled)
+ */
+
+import DMWindow from './dmWindow.js';
+import { CHARACTER_LIST, getCharacter } from '../characters/characterManifest.js';
+import { PLAYER_NAME, PLAYER_COLOR } from './chat.js';
+
+// ===========================================
+// CONFIGURATION
+// ===========================================
+
+const MAX_WINDOWS = 4; // Inmates won't open new windows past this many
+const MIN_REPLY_DELAY = 1.5; // Seconds before an inmate answers
+const MAX_REPLY_DELAY = 4.0;
+const FIRST_UNPROMPTED_DELAY = 45; // Seconds into the game before the first unprompted DM
+const MIN_UNPROMPTED_INTERVAL = 60;
+const MAX_UNPROMPTED_INTERVAL = 120;
+const WINDOW_ORIGIN = { x: 540, y: 120 }; // First window position (right of the group chat and buddy list)
+const WINDOW_CASCADE = 28; // Offset between successive windows
+const FALLBACK_REPLIES = ['...', 'who is this', 'new phone who dis'];
+
+// ===========================================
+// STATE
+// ===========================================
+
+let windowLayer = null;
+let isCharacterPresentFn = null;
+let onInputClosedCallback = null;
+let themeId = null;
+let streamerSafe = false;
+
+// Open conversations: characterName -> DMWindow
+const windows = new Map();
+// Most recently active first
+const recentOrder = [];
+// Scheduled inmate replies: { characterName, timeRemaining }
+const pendingReplies = [];
+// Last line each character sent, to avoid saying it twice in a row
+const lastLines = {};
+
+let unpromptedTimer = FIRST_UNPROMPTED_DELAY;
+let windowsOpened = 0;
+
+// ===========================================
+// HELPERS
+// ===========================================
+
+/**
+ * Random number in [min, max)
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function randomBetween(min, max) {
+  return min + Math.random() * (max - min);
+}
+
+/**
+ * Pick a line from a list, avoiding the character's previous one
+ * @param {string} characterName
+ * @param {string[]} lines
+ * @returns {string}
+ */
+function pickLine(characterName, lines) {
+  const available = lines.length > 1 ? lines.filter(line => line !== lastLines[characterName]) : lines;
+  const line = available[Math.floor(Math.random() * available.length)];
+  lastLines[characterName] = line;
+  return line;
+}
+
+/**
+ * Mark a conversation as the most recently active one
+ * @param {string} characterName
+ */
+function touch(characterName) {
+  const index = recentOrder.indexOf(characterName);
+  if (index !== -1) recentOrder.splice(index, 1);
+  recentOrder.unshift(characterName);
+}
+
+/**
+ * Called when a DM input loses focus. Focus may be moving to another chat
+ * field, so wait a frame before handing control back to the game.
+ */
+function handleInputClosed() {
+  requestAnimationFrame(() => {
+    const active = document.activeElement;
+    if (active && active.tagName === 'INPUT' && active.closest('#dm-windows, #chat-container')) return;
+    if (onInputClosedCallback) {
+      onInputClosedCallback();
+    }
+  });
+}
+
+/**
+ * Player sent a line: show it and schedule the inmate's answer
+ * @param {DMWindow} dmWindow
+ * @param {string} text
+ */
+function handleSubmit(dmWindow, text) {
+  dmWindow.addMessage(PLAYER_NAME, text, PLAYER_COLOR, true);
+  touch(dmWindow.characterName);
+
+  // One answer at a time per inmate, however fast the player types
+  if (!pendingReplies.some(pending => pending.characterName === dmWindow.characterName)) {
+    pendingReplies.push({
+      characterName: dmWindow.characterName,
+      timeRemaining: randomBetween(MIN_REPLY_DELAY, MAX_REPLY_DELAY)
+    });
+  }
+}
+
+/**
+ * Close a conversation window (its history goes with it)
+ * @param {DMWindow} dmWindow
+ */
+function closeWindow(dmWindow) {
+  const name = dmWindow.characterName;
+  const wasFocused = dmWindow.isInputFocused();
+  windows.delete(name);
+  recentOrder.splice(recentOrder.indexOf(name), 1);
+  for (let i = pendingReplies.length - 1; i >= 0; i--) {
+    if (pendingReplies[i].characterName === name) pendingReplies.splice(i, 1);
+  }
+  dmWindow.destroy();
+  if (wasFocused) {
+    handleInputClosed();
+  }
+}
+
+/**
+ * Get the conversation with a character, creating its window if needed
+ * @param {string} characterName
+ * @param {boolean} minimized - Start minimized (for unprompted messages)
+ * @returns {DMWindow|null}
+ */
+function getOrCreateWindow(characterName, minimized) {
+  if (windows.has(characterName)) {
+    return windows.get(characterName);
+  }
+  const character = getCharacter(characterName);
+  if (!character) return null;
+
+  const offset = (windowsOpened % MAX_WINDOWS) * WINDOW_CASCADE;
+  windowsOpened++;
+  const dmWindow = new DMWindow({
+    characterName,
+    color: character.color,
+    parent: windowLayer,
+    position: { x: WINDOW_ORIGIN.x + offset, y: WINDOW_ORIGIN.y + offset },
+    onSubmit: handleSubmit,
+    onInputClosed: handleInputClosed,
+    onClose: closeWindow
+  });
+  if (themeId) dmWindow.setTheme(themeId);
+  if (streamerSafe) dmWindow.setStreamerSafe(true);
+  if (minimized) dmWindow.setMinimized(true);
+
+  windows.set(characterName, dmWindow);
+  touch(characterName);
+  return dmWindow;
+}
+
+/**
+ * Deliver a line from an inmate into their DM window
+ * @param {string} characterName
+ * @param {'openers'|'replies'} kind
+ * @param {boolean} minimized - Whether a new window starts minimized
+ */
+function deliverLine(characterName, kind, minimized) {
+  const character = getCharacter(characterName);
+  if (!character) return;
+  const lines = character.dm ? character.dm[kind] : FALLBACK_REPLIES;
+  const dmWindow = getOrCreateWindow(characterName, minimized);
+  if (!dmWindow) return;
+  dmWindow.addMessage(characterName, pickLine(characterName, lines), character.color, false);
+}
+
+/**
+ * Have a random present inmate message the player first
+ */
+function sendUnpromptedMessage() {
+  const candidates = CHARACTER_LIST
+    .filter(character => character.dm && isCharacterPresentFn(character.name))
+    .map(character => character.name)
+    .filter(name => windows.has(name) || windows.size < MAX_WINDOWS);
+  if (candidates.length === 0) return;
+
+  const characterName = candidates[Math.floor(Math.random() * candidates.length)];
+  deliverLine(characterName, 'openers', true);
+}
+
+// ===========================================
+// PUBLIC API
+// ===========================================
+
+/**
+ * Set up the DM window layer
+ * @param {Object} options
+ * @param {Function} options.isCharacterPresent - (name) => true if that inmate is in the block
+ * @param {Function} options.onInputClosed - Called when the player stops typing in every DM
+ */
+export function initDirectMessages({ isCharacterPresent, onInputClosed }) {
+  isCharacterPresentFn = isCharacterPresent;
+  onInputClosedCallback = onInputClosed;
+
+  windowLayer = document.createElement('div');
+  windowLayer.id = 'dm-windows';
+  document.body.appendChild(windowLayer);
+}
+
+/**
+ * Open (or raise) the DM with a character and focus its input
+ * (the caller is responsible for releasing pointer lock)
+ * @param {string} characterName
+ * @returns {boolean} True if a window is open for the character
+ */
+export function openDirectMessage(characterName) {
+  const dmWindow = getOrCreateWindow(characterName, false);
+  if (!dmWindow) return false;
+  touch(characterName);
+  dmWindow.focusInput();
+  return true;
+}
+
+/**
+ * Focus the most recently active DM (e.g. M pressed while looking at nobody)
+ * @returns {boolean} False if no DM is open
+ */
+export function focusLatestDirectMessage() {
+  // Unread conversations first, then the most recent one
+  const unread = recentOrder.find(name => windows.get(name).unreadCount > 0);
+  const name = unread || recentOrder[0];
+  if (!name) return false;
+  touch(name);
+  windows.get(name).focusInput();
+  return true;
+}
+
+/**
+ * Send the player's line to a character without focusing their window
+ * (e.g. from the group chat's /whisper command). The reply arrives in the DM.
+ * @param {string} characterName
+ * @param {string} text
+ * @returns {boolean} False if the character can't be messaged
+ */
+export function sendDirectMessage(characterName, text) {
+  const dmWindow = getOrCreateWindow(characterName, false);
+  if (!dmWindow) return false;
+  handleSubmit(dmWindow, text);
+  return true;
+}
+
+/**
+ * Deliver pending replies and occasional unprompted DMs (call every frame)
+ * @param {number} deltaTime - Time since last frame in seconds
+ */
+export function updateDirectMessages(deltaTime) {
+  if (!windowLayer) return;
+
+  for (let i = pendingReplies.length - 1; i >= 0; i--) {
+    const pending = pendingReplies[i];
+    pending.timeRemaining -= deltaTime;
+    if (pending.timeRemaining <= 0) {
+      pendingReplies.splice(i, 1);
+      deliverLine(pending.characterName, 'replies', false);
+    }
+  }
+
+  unpromptedTimer -= deltaTime;
+  if (unpromptedTimer <= 0) {
+    unpromptedTimer = randomBetween(MIN_UNPROMPTED_INTERVAL, MAX_UNPROMPTED_INTERVAL);
+    sendUnpromptedMessage();
+  }
+}
+
+/**
+ * Check whether the player is typing in any DM
+ * @returns {boolean}
+ */
+export function isDirectMessageFocused() {
+  return Array.from(windows.values()).some(dmWindow => dmWindow.isInputFocused());
+}
+
+/**
+ * Match DM windows to the group chat's skin
+ * @param {string} newThemeId - Id from CHAT_THEMES
+ */
+export function setDirectMessageTheme(newThemeId) {
+  themeId = newThemeId;
+  windows.forEach(dmWindow => dmWindow.setTheme(newThemeId));
+}
+
+/**
+ * Turn streamer-safe rendering on or off for every DM
+ * @param {boolean} enabled
+ */
+export function setDirectMessageStreamerSafe(enabled) {
+  streamerSafe = !!enabled;
+  windows.forEach(dmWindow => dmWindow.setStreamerSafe(streamerSafe));
+}
@@ -0,0 +1,319 @@
+/**
+ * DM Window - private chat window with a single inmate
+ *
+ * A small retro messenger window with its own history and input. Windows
+ * can be dragged by the title bar, minimized down to the title bar, and show
+ * an unread badge when the inmate writes while the window is minimized.
+ * Created and managed by directMessages.js.
+ */
+
+import { appendRichText } from './richText.js';
+import { makeStreamerSafe, maskProfanity } from './profanityFilter.js';
+import { CHAT_THEMES, DEFAULT_CHAT_THEME } from './chatThemes.js';
+
+const MAX_INPUT_LENGTH = 200; // Same limit as the group chat
+
+class DMWindow {
+  /**
+   * @param {Object} options
+   * @param {string} options.characterName - Inmate on the other end
+   * @param {string} options.color - Their chat color
+   * @param {HTMLElement} options.parent - Element the window is added to
+   * @param {{x: number, y: number}} options.position - Top-left corner in px
+   * @param {Function} options.onSubmit - (dmWindow, text) when the player sends a line
+   * @param {Function} options.onInputClosed - Called after the input loses focus
+   * @param {Function} options.onClose - (dmWindow) when the close button is clicked
+   */
+  constructor({ characterName, color, parent, position, onSubmit, onInputClosed, onClose }) {
+    this.characterName = characterName;
+    this.color = color;
+    this.history = []; // { name, text, color, fromPlayer }
+    this.unreadCount = 0;
+    this.minimized = false;
+    this.streamerSafe = false;
+    this.themeId = DEFAULT_CHAT_THEME;
+    this.onSubmit = onSubmit;
+    this.onInputClosed = onInputClosed;
+    this.onClose = onClose;
+    this.dragOffset = null;
+    this.init(parent, position);
+  }
+
+  /**
+   * Build the window DOM
+   * @param {HTMLElement} parent
+   * @param {{x: number, y: number}} position
+   */
+  init(parent, position) {
+    this.container = document.createElement('div');
+    this.container.className = `dm-window chat-theme-${this.themeId}`;
+    this.container.style.left = `${position.x}px`;
+    this.container.style.top = `${position.y}px`;
+
+    // Title bar: "IM with <name>", unread badge, minimize and close buttons
+    this.titleBar = document.createElement('div');
+    this.titleBar.className = 'chat-title-bar dm-title-bar';
+    this.titleText = document.createElement('span');
+    this.titleText.className = 'dm-title-text';
+    this.titleBar.appendChild(this.titleText);
+
+    this.badge = document.createElement('span');
+    this.badge.className = 'dm-unread-badge';
+    this.badge.style.display = 'none';
+    this.titleBar.appendChild(this.badge);
+
+    const minimizeButton = this.createTitleButton('_', 'Minimize', () => this.setMinimized(!this.minimized));
+    const closeButton = this.createTitleButton('×', 'Close', () => this.onClose(this));
+    this.titleBar.appendChild(minimizeButton);
+    this.titleBar.appendChild(closeButton);
+    this.container.appendChild(this.titleBar);
+    this.updateTitle();
+
+    // Body: message log + input (hidden while minimized)
+    this.body = document.createElement('div');
+    this.body.className = 'dm-body';
+
+    const messagePanel = document.createElement('div');
+    messagePanel.className = 'chat-message-panel';
+    this.messageArea = document.createElement('div');
+    this.messageArea.className = 'chat-messages';
+    messagePanel.appendChild(this.messageArea);
+    this.body.appendChild(messagePanel);
+
+    const inputArea = document.createElement('div');
+    inputArea.className = 'chat-input-area';
+    this.inputField = document.createElement('input');
+    this.inputField.type = 'text';
+    this.inputField.className = 'chat-input';
+    this.inputField.placeholder = `Message ${this.characterName}...`;
+    this.inputField.maxLength = MAX_INPUT_LENGTH;
+    inputArea.appendChild(this.inputField);
+    this.body.appendChild(inputArea);
+    this.container.appendChild(this.body);
+
+    // Same key handling as the group chat input: Enter sends (and keeps typing), Escape leaves
+    this.inputField.addEventListener('keydown', (event) => {
+      event.stopPropagation();
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        const text = this.inputField.value.trim();
+        this.inputField.value = '';
+        if (text) {
+          this.onSubmit(this, text);
+        }
+      } else if (event.key === 'Escape') {
+        event.preventDefault();
+        this.inputField.value = '';
+        this.inputField.blur();
+      }
+    });
+    this.inputField.addEventListener('blur', () => this.onInputClosed());
+
+    // Drag by the title bar; preventDefault keeps focus in the input while dragging
+    this.titleBar.addEventListener('mousedown', (event) => {
+      if (event.target.closest('.dm-title-btn')) return;
+      event.preventDefault();
+      const rect = this.container.getBoundingClientRect();
+      this.dragOffset = { x: event.clientX - rect.left, y: event.clientY - rect.top };
+      this.bringToFront();
+    });
+    this.handleDragMove = (event) => {
+      if (!this.dragOffset) return;
+      const maxX = window.innerWidth - this.container.offsetWidth;
+      const maxY = window.innerHeight - this.titleBar.offsetHeight;
+      const x = Math.max(0, Math.min(maxX, event.clientX - this.dragOffset.x));
+      const y = Math.max(0, Math.min(maxY, event.clientY - this.dragOffset.y));
+      this.container.style.left = `${x}px`;
+      this.container.style.top = `${y}px`;
+    };
+    this.handleDragEnd = () => {
+      this.dragOffset = null;
+    };
+    document.addEventListener('mousemove', this.handleDragMove);
+    document.addEventListener('mouseup', this.handleDragEnd);
+
+    this.container.addEventListener('mousedown', () => this.bringToFront());
+
+    parent.appendChild(this.container);
+  }
+
+  /**
+   * Create a title bar button
+   * @param {string} label
+   * @param {string} title - Tooltip
+   * @param {Function} action
+   * @returns {HTMLElement}
+   */
+  createTitleButton(label, title, action) {
+    const button = document.createElement('button');
+    button.className = 'dm-title-btn';
+    button.textContent = label;
+    button.title = title;
+    button.addEventListener('mousedown', (event) => event.preventDefault());
+    button.addEventListener('click', action);
+    return button;
+  }
+
+  /**
+   * Add a line to this conversation
+   * @param {string} name - Speaker name
+   * @param {string} text
+   * @param {string} color - Speaker color
+   * @param {boolean} fromPlayer - True for the player's own lines
+   */
+  addMessage(name, text, color, fromPlayer) {
+    const entry = { name, text, color, fromPlayer };
+    this.history.push(entry);
+
+    const row = this.createMessageElement(entry);
+    if (row) {
+      this.messageArea.appendChild(row);
+      this.messageArea.scrollTop = this.messageArea.scrollHeight;
+    }
+
+    // Count lines from the inmate that arrive while the window is minimized
+    if (!fromPlayer && this.minimized) {
+      this.unreadCount++;
+      this.updateBadge();
+    }
+  }
+
+  /**
+   * Build the DOM row for a history entry (null if streamer-safe mode skips it)
+   * @param {Object} entry
+   * @returns {HTMLElement|null}
+   */
+  createMessageElement(entry) {
+    const displayText = this.streamerSafe ? makeStreamerSafe(entry.text) : entry.text;
+    if (displayText === null) return null;
+
+    const messageEl = document.createElement('div');
+    messageEl.className = 'chat-message';
+
+    const nameSpan = document.createElement('span');
+    nameSpan.className = 'chat-name';
+    const name = this.streamerSafe ? maskProfanity(entry.name) : entry.name;
+    nameSpan.textContent = `${name}: `;
+    nameSpan.style.color = entry.color;
+
+    const textSpan = document.createElement('span');
+    textSpan.className = 'chat-text';
+    appendRichText(textSpan, displayText);
+
+    messageEl.appendChild(nameSpan);
+    messageEl.appendChild(textSpan);
+    return messageEl;
+  }
+
+  /**
+   * Redraw the whole log (after a streamer-safe change)
+   */
+  renderAll() {
+    const rows = this.history.map(entry => this.createMessageElement(entry)).filter(Boolean);
+    this.messageArea.replaceChildren(...rows);
+    this.messageArea.scrollTop = this.messageArea.scrollHeight;
+  }
+
+  /**
+   * Collapse the window to its title bar, or restore it
+   * @param {boolean} minimized
+   */
+  setMinimized(minimized) {
+    this.minimized = minimized;
+    this.container.classList.toggle('minimized', minimized);
+    if (minimized) {
+      this.inputField.blur();
+    } else {
+      this.markRead();
+      this.messageArea.scrollTop = this.messageArea.scrollHeight;
+    }
+  }
+
+  /**
+   * Restore (if minimized), raise and focus the input
+   * (the caller is responsible for releasing pointer lock)
+   */
+  focusInput() {
+    this.setMinimized(false);
+    this.bringToFront();
+    this.inputField.focus();
+  }
+
+  /**
+   * Check whether the player is typing in this window
+   * @returns {boolean}
+   */
+  isInputFocused() {
+    return document.activeElement === this.inputField;
+  }
+
+  /**
+   * Raise this window above the other DM windows
+   */
+  bringToFront() {
+    const parent = this.container.parentNode;
+    if (parent && parent.lastChild !== this.container) {
+      // Moving the element would blur a focused input, so only do it when idle
+      if (!this.isInputFocused()) {
+        parent.appendChild(this.container);
+      }
+    }
+  }
+
+  /**
+   * Clear the unread badge
+   */
+  markRead() {
+    this.unreadCount = 0;
+    this.updateBadge();
+  }
+
+  /**
+   * Show or hide the unread badge
+   */
+  updateBadge() {
+    this.badge.textContent = String(this.unreadCount);
+    this.badge.style.display = this.unreadCount > 0 ? 'inline-block' : 'none';
+  }
+
+  /**
+   * Set the title bar text (masked in streamer-safe mode like everything else)
+   */
+  updateTitle() {
+    const name = this.streamerSafe ? maskProfanity(this.characterName) : this.characterName;
+    this.titleText.textContent = `IM with ${name}`;
+  }
+
+  /**
+   * Switch this window's skin to match the group chat
+   * @param {string} themeId - Id from CHAT_THEMES
+   */
+  setTheme(themeId) {
+    CHAT_THEMES.forEach(({ id }) => this.container.classList.remove(`chat-theme-${id}`));
+    this.themeId = themeId;
+    this.container.classList.add(`chat-theme-${themeId}`);
+  }
+
+  /**
+   * Turn streamer-safe rendering on or off
+   * @param {boolean} enabled
+   */
+  setStreamerSafe(enabled) {
+    this.streamerSafe = !!enabled;
+    this.updateTitle();
+    this.renderAll();
+  }
+
+  /**
+   * Remove the window and its document listeners
+   */
+  destroy() {
+    document.removeEventListener('mousemove', this.handleDragMove);
+    document.removeEventListener('mouseup', this.handleDragEnd);
+    if (this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+  }
+}
+
+export default DMWindow;
@@ -0,0 +1,71 @@
+/**
+ * Earshot - how well the player hears NPC chatter
+ *
+ * Speakers near the camera are picked more often, and what the player reads
+ * depends on how far away the line was spoken:
+ *   - within CLEAR_RANGE: full line in the log plus a speech bubble
+ *   - beyond it: a dimmed fragment in the log ("...water my pl..."), no bubble,
+ *     shrinking with distance down to MIN_CLARITY at HEARING_RANGE
+ */
+
+import { stripRichText } from './richText.js';
+
+// ===========================================
+// CONFIGURATION
+// ===========================================
+
+const CLEAR_RANGE = 8.0; // Inside this distance lines are heard in full
+const HEARING_RANGE = 30.0; // At and beyond this distance only MIN_CLARITY survives
+const MIN_CLARITY = 0.25; // Fraction of a line still heard from the far end of the block
+const WEIGHT_FALLOFF = 10.0; // Distance at which a speaker is half as likely to talk
+const MIN_SPEAKER_WEIGHT = 0.05; // Far-off inmates still chime in now and then
+const MIN_FRAGMENT_CHARS = 4;
+
+// ===========================================
+// PUBLIC API
+// ===========================================
+
+/**
+ * Relative chance of a speaker being picked at this distance from the player
+ * @param {number|null} distance - null when the character isn't in the world
+ * @returns {number}
+ */
+export function getSpeakerWeight(distance) {
+  if (distance === null) return MIN_SPEAKER_WEIGHT;
+  const falloff = distance / WEIGHT_FALLOFF;
+  return Math.max(MIN_SPEAKER_WEIGHT, 1 / (1 + falloff * falloff));
+}
+
+/**
+ * How much of a line the player hears at this distance
+ * @param {number} distance
+ * @returns {{ clear: boolean, clarity: number }} clarity is the fraction of the line heard (0-1)
+ */
+export function getEarshot(distance) {
+  if (distance <= CLEAR_RANGE) {
+    return { clear: true, clarity: 1 };
+  }
+  const t = Math.min(1, (distance - CLEAR_RANGE) / (HEARING_RANGE - CLEAR_RANGE));
+  return { clear: false, clarity: 1 - t * (1 - MIN_CLARITY) };
+}
+
+/**
+ * Reduce a line to the fragment that carries over, e.g. "...water my pl..."
+ * @param {string} text - Full line (formatting markup is dropped)
+ * @param {number} clarity - Fraction of the line to keep (0-1)
+ * @returns {string}
+ */
+export function garbleText(text, clarity) {
+  // Split by code point so emoji aren't cut in half
+  const chars = Array.from(stripRichText(text));
+  if (clarity >= 1 || chars.length <= MIN_FRAGMENT_CHARS) {
+    return chars.join('');
+  }
+
+  const keep = Math.max(MIN_FRAGMENT_CHARS, Math.round(chars.length * clarity));
+  const start = Math.floor(Math.random() * (chars.length - keep + 1));
+  const end = start + keep;
+  const fragment = chars.slice(start, end).join('').trim();
+
+  return `${start > 0 ? '...' : ''}${fragment}${end < chars.length ? '...' : ''}`;
+}
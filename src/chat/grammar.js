@@ -0,0 +1,140 @@
+/**
+ * Template Grammar - procedurally generated inmate lines
+ *
+ * A character's optional `grammar` in characters.json holds templates plus
+ * word lists in that character's voice:
+ *   "grammar": {
+ *     "templates": ["{otherInmate} still owes me {debt}", ...],
+ *     "debt": ["3 FTT tokens", "a honey bun", ...]
+ *   }
+ *
+ * {slot} names are filled from, in order:
+ *   1. the game context: {otherInmate}, {heldItem}, {gameTime}, {lastEvent}
+ *   2. the character's own word lists
+ *   3. SHARED_WORDS below
+ * Word list entries may contain slots themselves. A template that needs a
+ * context slot with no current value (e.g. {heldItem} with empty hands) is
+ * skipped rather than expanded with a blank.
+ *
+ * All randomness comes from the `random` function passed in, so a seeded
+ * generator (createRandom) gives the same lines every run.
+ */
+
+// Slots filled from the game rather than from word lists
+export const CONTEXT_SLOTS = ['otherInmate', 'heldItem', 'gameTime', 'lastEvent'];
+
+// Word lists every character can draw from
+export const SHARED_WORDS = {
+  guard: ['the CO', 'officer Reyes', 'the night shift guard', 'the new CO'],
+  place: ['the yard', 'the commissary line', 'the showers', 'ad-seg', 'the chow hall', 'the library'],
+  food: ['a honey bun', 'ramen', 'the mystery meat', 'a stale Feastables bar', 'commissary chips'],
+  feeling: ['lowkey', 'highkey', 'no cap', 'fr', 'ngl']
+};
+
+const SLOT_PATTERN = /\{(\w+)\}/g;
+const MAX_DEPTH = 4; // Word lists nesting deeper than this are left unexpanded
+
+/**
+ * Create a seeded random function (mulberry32)
+ * @param {number|string} seed - Strings are hashed to a number
+ * @returns {Function} () => number in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = typeof seed === 'number' ? seed >>> 0 : hashString(String(seed));
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Hash a string to a 32-bit seed (FNV-1a)
+ * @param {string} text
+ * @returns {number}
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * List the slot names used in a template
+ * @param {string} template
+ * @returns {string[]}
+ */
+export function getTemplateSlots(template) {
+  return Array.from(template.matchAll(SLOT_PATTERN), match => match[1]);
+}
+
+/**
+ * Current value(s) of a context slot, or null when it has none
+ * @param {string} slot
+ * @param {Object} context - { otherInmates, heldItem, gameTime, lastEvent }
+ * @returns {string[]|null}
+ */
+function getContextValues(slot, context) {
+  if (slot === 'otherInmate') {
+    return context.otherInmates && context.otherInmates.length > 0 ? context.otherInmates : null;
+  }
+  const value = context[slot];
+  return value ? [value] : null;
+}
+
+/**
+ * Check whether every context slot a template uses has a value right now
+ * @param {string} template
+ * @param {Object} context
+ * @returns {boolean}
+ */
+export function canExpandTemplate(template, context) {
+  return getTemplateSlots(template).every(slot =>
+    !CONTEXT_SLOTS.includes(slot) || getContextValues(slot, context) !== null
+  );
+}
+
+/**
+ * Expand a template into a line
+ * @param {string} template
+ * @param {Object} grammar - The character's grammar (word lists by slot name)
+ * @param {Object} context - { otherInmates, heldItem, gameTime, lastEvent }
+ * @param {Function} random - () => number in [0, 1)
+ * @param {number} [depth]
+ * @returns {string}
+ */
+export function expandTemplate(template, grammar, context, random, depth = 0) {
+  return template.replace(SLOT_PATTERN, (slotText, slot) => {
+    const options = CONTEXT_SLOTS.includes(slot)
+      ? getContextValues(slot, context)
+      : (grammar[slot] || SHARED_WORDS[slot] || null);
+    if (!options || options.length === 0 || depth >= MAX_DEPTH) {
+      return slotText;
+    }
+    const choice = options[Math.floor(random() * options.length)];
+    return expandTemplate(choice, grammar, context, random, depth + 1);
+  });
+}
+
+/**
+ * Find slots a grammar references that nothing can fill
+ * @param {Object} grammar
+ * @returns {string[]}
+ */
+export function findUnknownSlots(grammar) {
+  const unknown = new Set();
+  Object.values(grammar).flat().forEach(entry => {
+    getTemplateSlots(entry).forEach(slot => {
+      const known = CONTEXT_SLOTS.includes(slot) ||
+        (slot !== 'templates' && Array.isArray(grammar[slot])) ||
+        SHARED_WORDS[slot];
+      if (!known) unknown.add(slot);
+    });
+  });
+  return [...unknown];
+}
@@ -0,0 +1,115 @@
+/**
+ * Guard Radio - chatter for the intercepted guards channel
+ *
+ * Guards mostly trade routine radio traffic, but they also notice what the
+ * player gets up to. The game reports actions with recordPlayerAction()
+ * (pushes, smoking, fights) and the next few guard lines may call them out.
+ * Lines and guard names come from guards.json; report templates can use
+ * {inmate} for the inmate involved.
+ *
+ * Exports:
+ *   - recordPlayerAction(type, inmateName) : Note something the player did
+ *   - generateGuardMessage() : Next line for the guards channel
+ */
+
+import guardData from './guards.json';
+
+// ===========================================
+// CONFIGURATION
+// ===========================================
+
+const MAX_ACTIONS = 5; // Recent actions remembered
+const ACTION_MEMORY_MS = 60000; // Guards only bring up things from the last minute
+const REPORT_CHANCE = 0.6; // Chance a line is a report when there's something to report
+
+// ===========================================
+// STATE
+// ===========================================
+
+// Newest last: { type, inmate, time, reported }
+const recentActions = [];
+// Last line each guard said, to avoid repeats
+const lastLines = {};
+
+// ===========================================
+// HELPERS
+// ===========================================
+
+/**
+ * Pick a random element
+ * @param {Array} list
+ * @returns {*}
+ */
+function pick(list) {
+  return list[Math.floor(Math.random() * list.length)];
+}
+
+/**
+ * Pick a line for a guard, avoiding the one they said last
+ * @param {string} guardName
+ * @param {string[]} lines
+ * @returns {string}
+ */
+function pickLine(guardName, lines) {
+  const available = lines.length > 1 ? lines.filter(line => line !== lastLines[guardName]) : lines;
+  const line = pick(available);
+  lastLines[guardName] = line;
+  return line;
+}
+
+/**
+ * Most recent action the guards haven't talked about yet
+ * @returns {Object|null}
+ */
+function findUnreportedAction() {
+  const now = Date.now();
+  for (let i = recentActions.length - 1; i >= 0; i--) {
+    const action = recentActions[i];
+    if (now - action.time > ACTION_MEMORY_MS) break;
+    if (!action.reported && guardData.reports[action.type]) return action;
+  }
+  return null;
+}
+
+// ===========================================
+// PUBLIC API
+// ===========================================
+
+/**
+ * Note something the player did that the guards might mention
+ * @param {'push'|'smoking'|'fightWon'|'fightLost'} type
+ * @param {string|null} [inmateName] - Inmate involved, if any
+ */
+export function recordPlayerAction(type, inmateName = null) {
+  // Repeats (e.g. several puffs in a row) refresh the pending report instead of queueing more
+  const latest = recentActions[recentActions.length - 1];
+  if (latest && !latest.reported && latest.type === type && latest.inmate === inmateName) {
+    latest.time = Date.now();
+    return;
+  }
+
+  recentActions.push({ type, inmate: inmateName, time: Date.now(), reported: false });
+  while (recentActions.length > MAX_ACTIONS) {
+    recentActions.shift();
+  }
+}
+
+/**
+ * Generate the next guards channel line
+ * @returns {Object} { name, text, color, target: null, replyTo: null }
+ */
+export function generateGuardMessage() {
+  const guard = pick(guardData.guards);
+  const action = findUnreportedAction();
+
+  let text;
+  if (action && Math.random() < REPORT_CHANCE) {
+    action.reported = true;
+    text = pickLine(guard.name, guardData.reports[action.type])
+      .replace('{inmate}', action.inmate || guardData.someone);
+  } else {
+    text = pickLine(guard.name, guardData.chatter);
+  }
+
+  return { name: guard.name, text, color: guard.color, target: null, replyTo: null };
+}
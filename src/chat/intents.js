@@ -0,0 +1,202 @@
+/**
+ * Intents - inmates answering what the player says in chat
+ *
+ * Each character's `intents` in the manifest map player lines to replies:
+ *   { "id": "babyoil", "keywords": ["baby oil"], "patterns": ["\\boil(ed|y)?\\b"],
+ *     "priority": 4, "cooldown": 20, "responses": ["..."] }
+ * Keywords match whole words, case-insensitively; patterns are regexes.
+ * Two special triggers need no keywords:
+ *   - "when": "named"    the player used the character's name or an alias
+ *   - "when": "insulted" the line contains an insult (insults.json) aimed at them,
+ *                        by name or, if nobody is named, at whoever the player faces
+ * When several intents match, the highest priority wins, then characters the
+ * player named, then the one they're facing. An intent that fired stays quiet
+ * for its cooldown (seconds) so the same keyword doesn't get spammed replies.
+ *
+ * Exports:
+ *   - matchIntent(text, { candidates, addressee }) : Pick a reply, or null
+ *   - findInsultTarget(text, { candidates, addressee }) : Who an insult is aimed at, or null
+ *   - keywordToRegExp(keyword) : The whole-word matcher used for keywords and names
+ */
+
+import { CHARACTER_LIST } from '../characters/characterManifest.js';
+import insultWords from './insults.json';
+
+// ===========================================
+// CONFIGURATION
+// ===========================================
+
+const MIN_REPLY_DELAY_MS = 700; // Typing time before an inmate answers
+const MAX_REPLY_DELAY_MS = 2000;
+
+// ===========================================
+// STATE
+// ===========================================
+
+// Compiled rules by character name: { nameMatchers, intents: [{ ...intent, matchers }] }
+const compiledRules = new Map();
+// `${characterName}/${intentId}` -> time (ms) the intent may fire again
+const cooldownUntil = new Map();
+// Last reply per character, to avoid saying it twice in a row
+const lastResponses = {};
+
+const insultMatchers = [
+  ...insultWords.keywords.map(keywordToRegExp),
+  ...insultWords.patterns.map(pattern => new RegExp(pattern, 'i'))
+];
+
+// ===========================================
+// HELPERS
+// ===========================================
+
+/**
+ * Whole-word, case-insensitive matcher for a keyword ("baby oil" also matches "baby  oil")
+ * @param {string} keyword
+ * @returns {RegExp}
+ */
+export function keywordToRegExp(keyword) {
+  const escaped = keyword.trim()
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\s+/g, '\\s+');
+  return new RegExp(`(?:^|[^\\w])${escaped}(?:$|[^\\w])`, 'i');
+}
+
+/**
+ * Check a line against a list of matchers
+ * @param {string} text
+ * @param {RegExp[]} matchers
+ * @returns {boolean}
+ */
+function matchesAny(text, matchers) {
+  return matchers.some(matcher => matcher.test(text));
+}
+
+/**
+ * Compile (once) the name and intent matchers for a character
+ * @param {string} characterName
+ * @returns {Object|null}
+ */
+function getRules(characterName) {
+  if (compiledRules.has(characterName)) {
+    return compiledRules.get(characterName);
+  }
+  const character = CHARACTER_LIST.find(entry => entry.name === characterName);
+  if (!character) return null;
+
+  const rules = {
+    nameMatchers: [character.name, ...(character.aliases || [])].map(keywordToRegExp),
+    intents: (character.intents || []).map(intent => ({
+      ...intent,
+      matchers: [
+        ...(intent.keywords || []).map(keywordToRegExp),
+        ...(intent.patterns || []).map(pattern => new RegExp(pattern, 'i'))
+      ]
+    }))
+  };
+  compiledRules.set(characterName, rules);
+  return rules;
+}
+
+/**
+ * Characters among the candidates that the line names
+ * @param {string} text
+ * @param {string[]} candidates
+ * @returns {string[]}
+ */
+function findNamedCharacters(text, candidates) {
+  return candidates.filter(name => {
+    const rules = getRules(name);
+    return rules && matchesAny(text, rules.nameMatchers);
+  });
+}
+
+/**
+ * Pick a response, avoiding the character's previous one
+ * @param {string} characterName
+ * @param {string[]} responses
+ * @returns {string}
+ */
+function pickResponse(characterName, responses) {
+  const available = responses.length > 1
+    ? responses.filter(response => response !== lastResponses[characterName])
+    : responses;
+  const response = available[Math.floor(Math.random() * available.length)];
+  lastResponses[characterName] = response;
+  return response;
+}
+
+// ===========================================
+// PUBLIC API
+// ===========================================
+
+/**
+ * Find who an insulting line is aimed at
+ * @param {string} text - The player's line
+ * @param {Object} options
+ * @param {string[]} options.candidates - Characters who could hear it
+ * @param {string|null} [options.addressee] - Character the player is facing, if any
+ * @returns {string|null} Character name, or null if the line isn't an insult at anyone
+ */
+export function findInsultTarget(text, { candidates, addressee = null }) {
+  if (!matchesAny(text, insultMatchers)) return null;
+  const named = findNamedCharacters(text, candidates);
+  if (named.length > 0) return named[0];
+  return addressee && candidates.includes(addressee) ? addressee : null;
+}
+
+/**
+ * Pick the inmate reply for a player line, if any intent matches
+ * @param {string} text - The player's line
+ * @param {Object} options
+ * @param {string[]} options.candidates - Characters who may answer
+ * @param {string|null} [options.addressee] - Character the player is facing, if any
+ * @returns {Object|null} { characterName, intentId, text, insult, delayMs }
+ */
+export function matchIntent(text, { candidates, addressee = null }) {
+  const now = Date.now();
+  const named = findNamedCharacters(text, candidates);
+  const insultTarget = findInsultTarget(text, { candidates, addressee });
+
+  let best = null;
+  let bestRank = -Infinity;
+  candidates.forEach(characterName => {
+    const rules = getRules(characterName);
+    if (!rules) return;
+
+    rules.intents.forEach(intent => {
+      const key = `${characterName}/${intent.id}`;
+      if ((cooldownUntil.get(key) || 0) > now) return;
+
+      let matched;
+      if (intent.when === 'named') {
+        matched = named.includes(characterName);
+      } else if (intent.when === 'insulted') {
+        matched = insultTarget === characterName;
+      } else {
+        matched = matchesAny(text, intent.matchers);
+      }
+      if (!matched) return;
+
+      // Priority first; being named or faced breaks ties, then a little randomness
+      const rank = intent.priority * 10 +
+        (named.includes(characterName) ? 2 : 0) +
+        (characterName === addressee ? 1 : 0) +
+        Math.random() * 0.5;
+      if (rank > bestRank) {
+        best = { characterName, intent, key };
+        bestRank = rank;
+      }
+    });
+  });
+
+  if (!best) return null;
+
+  cooldownUntil.set(best.key, now + best.intent.cooldown * 1000);
+  return {
+    characterName: best.characterName,
+    intentId: best.intent.id,
+    text: pickResponse(best.characterName, best.intent.responses),
+    insult: best.intent.when === 'insulted',
+    delayMs: MIN_REPLY_DELAY_MS + Math.random() * (MAX_REPLY_DELAY_MS - MIN_REPLY_DELAY_MS)
+  };
+}
@@ -0,0 +1,74 @@
+/**
+ * Profanity Filter - streamer-safe text
+ *
+ * Word lists live in profanity.json so they can be tuned without code changes:
+ *   - mask: words to mask ("shit" → "s***"). A trailing * also matches any
+ *     ending ("fuck*" covers "fucking"); without it only the exact word matches, so
+ *     compounds ("deadass") need their own entry.
+ *   - explicit: phrases that make a whole line too explicit to mask
+ *   - explicitAction: "alternate" swaps those lines for one of `alternates`,
+ *     "skip" drops them
+ *
+ * Filtering is applied at display time, so toggling streamer-safe mode
+ * re-renders lines that were already said.
+ */
+
+import wordLists from './profanity.json';
+
+/**
+ * Escape a string for use inside a RegExp
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const MASK_PATTERN = new RegExp(
+  wordLists.mask.map(word => word.endsWith('*')
+    ? `\\b${escapeRegExp(word.slice(0, -1))}\\w*`
+    : `\\b${escapeRegExp(word)}\\b`
+  ).join('|'),
+  'gi'
+);
+const EXPLICIT_PHRASES = wordLists.explicit.map(phrase => phrase.toLowerCase());
+const SKIP_EXPLICIT = wordLists.explicitAction === 'skip';
+
+/**
+ * Mask listed words, keeping the first letter ("shit" → "s***")
+ * @param {string} text
+ * @returns {string}
+ */
+export function maskProfanity(text) {
+  return text.replace(MASK_PATTERN, word => word[0] + '*'.repeat(word.length - 1));
+}
+
+/**
+ * Check whether a line contains an explicit phrase
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isExplicit(text) {
+  const lower = text.toLowerCase();
+  return EXPLICIT_PHRASES.some(phrase => lower.includes(phrase));
+}
+
+/**
+ * Streamer-safe version of a line
+ * @param {string} text
+ * @returns {string|null} Masked line, an alternate for explicit lines, or null to skip it
+ */
+export function makeStreamerSafe(text) {
+  if (!isExplicit(text)) {
+    return maskProfanity(text);
+  }
+  if (SKIP_EXPLICIT || wordLists.alternates.length === 0) {
+    return null;
+  }
+  // Pick the alternate from the text itself so re-rendering a line keeps the same swap
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) >>> 0;
+  }
+  return wordLists.alternates[hash % wordLists.alternates.length];
+}
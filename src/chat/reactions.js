@@ -0,0 +1,110 @@
+/**
+ * Reactions - emoji reactions on chat lines
+ *
+ * The player reacts by clicking a line in the chat log (REACTION_EMOJI are
+ * the choices). Inmates react to each other through the `reactions` rules in
+ * their manifest entry:
+ *   { "from": ["El Chapo Guzman"], "keywords": ["cia"], "patterns": ["..."],
+ *     "emoji": "😡", "chance": 0.9 }
+ * `from` limits a rule to lines by those speakers (friends, rivals); keywords
+ * (whole words) and patterns (regexes) limit it to lines about something.
+ * A rule with both needs both. Nobody reacts to their own lines.
+ *
+ * Exports:
+ *   - REACTION_EMOJI : Emoji offered in the chat log's reaction picker
+ *   - pickNpcReactions(entry, candidates) : Reactions inmates will add to a line
+ */
+
+import { CHARACTER_LIST } from '../characters/characterManifest.js';
+import { keywordToRegExp } from './intents.js';
+import { stripRichText } from './richText.js';
+
+// ===========================================
+// CONFIGURATION
+// ===========================================
+
+export const REACTION_EMOJI = ['😂', '💀', '🔥', '👀', '😡', '🙏', '💯', '🐀'];
+
+const MAX_NPC_REACTIONS = 3; // Per line, so a hot topic doesn't bury it in emoji
+const MIN_REACTION_DELAY_MS = 800; // Time to read the line before reacting
+const MAX_REACTION_DELAY_MS = 4000;
+
+// ===========================================
+// STATE
+// ===========================================
+
+// Compiled rules by character name: [{ ...rule, matchers }]
+const compiledRules = new Map();
+
+// ===========================================
+// HELPERS
+// ===========================================
+
+/**
+ * Compile (once) a character's reaction rules
+ * @param {string} characterName
+ * @returns {Object[]}
+ */
+function getRules(characterName) {
+  if (compiledRules.has(characterName)) {
+    return compiledRules.get(characterName);
+  }
+  const character = CHARACTER_LIST.find(entry => entry.name === characterName);
+  const rules = ((character && character.reactions) || []).map(rule => ({
+    ...rule,
+    matchers: [
+      ...(rule.keywords || []).map(keywordToRegExp),
+      ...(rule.patterns || []).map(pattern => new RegExp(pattern, 'i'))
+    ]
+  }));
+  compiledRules.set(characterName, rules);
+  return rules;
+}
+
+/**
+ * Check one rule against a line
+ * @param {Object} rule - Compiled rule
+ * @param {string} speaker
+ * @param {string} text - Line without markup
+ * @returns {boolean}
+ */
+function ruleMatches(rule, speaker, text) {
+  if (rule.from && !rule.from.includes(speaker)) return false;
+  if (rule.matchers.length > 0 && !rule.matchers.some(matcher => matcher.test(text))) return false;
+  return true;
+}
+
+// ===========================================
+// PUBLIC API
+// ===========================================
+
+/**
+ * Roll which inmates react to a line
+ * @param {Object} entry - ChatUI history entry ({ name, text, kind })
+ * @param {string[]} candidates - Characters who saw the line
+ * @returns {Array<{characterName: string, emoji: string, delayMs: number}>}
+ */
+export function pickNpcReactions(entry, candidates) {
+  if (entry.kind !== 'message' && entry.kind !== 'emote') return [];
+  const text = stripRichText(entry.text);
+
+  const reactions = [];
+  candidates.forEach(characterName => {
+    if (characterName === entry.name) return;
+    const rule = getRules(characterName).find(candidate => ruleMatches(candidate, entry.name, text));
+    if (rule && Math.random() < rule.chance) {
+      reactions.push({
+        characterName,
+        emoji: rule.emoji,
+        delayMs: MIN_REACTION_DELAY_MS + Math.random() * (MAX_REACTION_DELAY_MS - MIN_REACTION_DELAY_MS)
+      });
+    }
+  });
+
+  // Shuffle before capping so the same inmates don't always get there first
+  for (let i = reactions.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [reactions[i], reactions[j]] = [reactions[j], reactions[i]];
+  }
+  return reactions.slice(0, MAX_NPC_REACTIONS);
+}
@@ -0,0 +1,102 @@
+/**
+ * Rich Text - chat formatting markup
+ *
+ * Chat lines are stored as plain strings with BBCode-style tags:
+ *   [b]bold[/b]  [i]italic[/i]  [u]underline[/u]
+ * Emoji are ordinary Unicode characters. Tags can nest; an unclosed tag runs
+ * to the end of the line and a stray closing tag is dropped.
+ *
+ * parseRichText() turns a line into styled runs. The renderers (chat windows
+ * via appendRichText, canvas speech bubbles) draw from those runs, so none of
+ * them ever treats message text as HTML.
+ */
+
+// Emoji offered by the toolbar picker
+export const EMOJI = [
+  '😀', '😂', '😎', '😏', '😡', '😭', '🤔', '🤐',
+  '💀', '🔥', '👀', '🙏', '💯', '👊', '🤝', '🚬',
+  '🔪', '👮', '🍗', '🥤', '🧴', '💸', '🐀', '⛓️'
+];
+
+// Markup tag for each style flag
+export const STYLE_TAGS = {
+  bold: 'b',
+  italic: 'i',
+  underline: 'u'
+};
+
+const TAG_PATTERN = /\[(\/?)([biu])\]/gi;
+const STYLE_BY_TAG = { b: 'bold', i: 'italic', u: 'underline' };
+
+/**
+ * Split a chat line into styled runs
+ * @param {string} text - Line with optional [b]/[i]/[u] tags
+ * @returns {Array<{text: string, bold: boolean, italic: boolean, underline: boolean}>}
+ */
+export function parseRichText(text) {
+  const runs = [];
+  // Depth counters so [b][b]x[/b]y[/b] keeps y bold
+  const depth = { bold: 0, italic: 0, underline: 0 };
+  let lastIndex = 0;
+
+  const pushRun = (segment) => {
+    if (!segment) return;
+    const style = {
+      bold: depth.bold > 0,
+      italic: depth.italic > 0,
+      underline: depth.underline > 0
+    };
+    const previous = runs[runs.length - 1];
+    if (previous && previous.bold === style.bold &&
+        previous.italic === style.italic && previous.underline === style.underline) {
+      previous.text += segment;
+    } else {
+      runs.push({ text: segment, ...style });
+    }
+  };
+
+  for (const match of text.matchAll(TAG_PATTERN)) {
+    pushRun(text.slice(lastIndex, match.index));
+    lastIndex = match.index + match[0].length;
+
+    const style = STYLE_BY_TAG[match[2].toLowerCase()];
+    if (match[1]) {
+      depth[style] = Math.max(0, depth[style] - 1);
+    } else {
+      depth[style]++;
+    }
+  }
+  pushRun(text.slice(lastIndex));
+
+  return runs;
+}
+
+/**
+ * Remove formatting tags, leaving the readable text
+ * @param {string} text
+ * @returns {string}
+ */
+export function stripRichText(text) {
+  return text.replace(TAG_PATTERN, '');
+}
+
+/**
+ * Append a line's styled runs to an element as text nodes and spans
+ * (never innerHTML, so message text can't inject markup)
+ * @param {HTMLElement} element
+ * @param {string} text
+ */
+export function appendRichText(element, text) {
+  parseRichText(text).forEach(run => {
+    if (!run.bold && !run.italic && !run.underline) {
+      element.appendChild(document.createTextNode(run.text));
+      return;
+    }
+    const runSpan = document.createElement('span');
+    if (run.bold) runSpan.classList.add('chat-bold');
+    if (run.italic) runSpan.classList.add('chat-italic');
+    if (run.underline) runSpan.classList.add('chat-underline');
+    runSpan.textContent = run.text;
+    element.appendChild(runSpan);
+  });
+}
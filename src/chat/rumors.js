@@ -0,0 +1,256 @@
+/**
+ * Rumors - gossip about what the player gets up to
+ *
+ * The game reports events with recordRumorEvent() (shoves, smoking, eating
+ * feastables, baby oil splats, fights). Inmates within WITNESS_RADIUS of where
+ * it happened become witnesses. Over the next few game hours
+ * generateRumorMessage() has them bring it up in chat, and each retelling
+ * passes the rumor on to a couple of other inmates who tell it later as
+ * hearsay. Every handoff may drift the details: the action gets wilder, the
+ * count goes up, a place gets invented or the wrong inmate gets named.
+ * Actions (mildest first), places and line templates come from rumors.json;
+ * templates can use {player}, {action}, {times}, {place} and {source}.
+ *
+ * Exports:
+ *   - initRumors({ getNpcs }) : Where to look for witnesses
+ *   - recordRumorEvent(type, position, targetName) : Note something inmates might have seen
+ *   - generateRumorMessage(speakers) : A gossip line from one of the speakers, or null
+ */
+
+import rumorData from './rumors.json';
+import { CHARACTER_LIST, getCharacter } from '../characters/characterManifest.js';
+import { getGameHourDurationMs } from '../gameClock.js';
+
+// ===========================================
+// CONFIGURATION
+// ===========================================
+
+const WITNESS_RADIUS = 12; // Units from the event an inmate has to be to see it
+const RUMOR_LIFETIME_HOURS = 3; // Game hours before a rumor is old news
+const MAX_RUMORS = 8; // Oldest rumors are forgotten past this
+const MERGE_WINDOW_MS = 10000; // Repeats within this of the last one build on the same rumor
+const REPEAT_GAP_MS = 1500; // Repeats closer than this (one long squeeze) count once
+const RUMOR_CHANCE = 0.5; // Chance a chat line is gossip when someone has gossip to tell
+const FIRST_TELL_MAX_HOURS = 0.1; // Witnesses bring it up within this long
+const TELL_GAP_MIN_HOURS = 0.2; // Game hours between retellings of one rumor
+const TELL_GAP_MAX_HOURS = 0.6;
+const MAX_LISTENERS = 2; // Inmates who pick up a rumor each time it's told
+const DRIFT_CHANCE = 0.6; // Chance a handoff changes a detail
+
+// ===========================================
+// STATE
+// ===========================================
+
+let getNpcsFn = null;
+let nextRumorId = 1;
+// Newest last: { id, type, facts, createdAt, lastSeenAt, nextTellAt, knowers }
+// facts: { action, target, count, place } as it really happened
+// knowers: characterName -> { details, source, told } (details null = saw it, knows the facts)
+const rumors = [];
+
+// ===========================================
+// HELPERS
+// ===========================================
+
+/**
+ * Pick a random element
+ * @param {Array} list
+ * @returns {*}
+ */
+function pick(list) {
+  return list[Math.floor(Math.random() * list.length)];
+}
+
+/**
+ * Random game-hour span as wall ms
+ * @param {number} minHours
+ * @param {number} maxHours
+ * @returns {number}
+ */
+function randomHoursMs(minHours, maxHours) {
+  return (minHours + Math.random() * (maxHours - minHours)) * getGameHourDurationMs();
+}
+
+/**
+ * Forget rumors past their lifetime
+ * @param {number} now - Wall time in ms
+ */
+function pruneRumors(now) {
+  const lifetimeMs = RUMOR_LIFETIME_HOURS * getGameHourDurationMs();
+  for (let i = rumors.length - 1; i >= 0; i--) {
+    if (now - rumors[i].createdAt > lifetimeMs) rumors.splice(i, 1);
+  }
+}
+
+/**
+ * The version of a rumor an inmate knows
+ * @param {Object} rumor
+ * @param {Object} knower
+ * @returns {Object} { action, target, count, place }
+ */
+function getDetails(rumor, knower) {
+  return knower.details || rumor.facts;
+}
+
+/**
+ * Change one detail (maybe) as a rumor passes to someone new
+ * @param {string} type - Event type
+ * @param {Object} details
+ * @returns {Object} New details
+ */
+function driftDetails(type, details) {
+  const drifted = { ...details };
+  if (Math.random() >= DRIFT_CHANCE) return drifted;
+
+  const roll = Math.random();
+  if (roll < 0.35) {
+    drifted.action = Math.min(details.action + 1, rumorData.events[type].length - 1);
+  } else if (roll < 0.6) {
+    drifted.count = details.count + 1 + Math.floor(Math.random() * details.count);
+  } else if (roll < 0.8 || !details.target) {
+    drifted.place = pick(rumorData.places.filter(place => place !== details.place));
+  } else {
+    drifted.target = pick(CHARACTER_LIST.filter(character => character.name !== details.target)).name;
+  }
+  return drifted;
+}
+
+/**
+ * Pass a rumor from its teller to a few inmates who haven't heard it
+ * @param {Object} rumor
+ * @param {string} tellerName
+ * @param {string[]} speakers - Inmates in the conversation
+ */
+function spreadRumor(rumor, tellerName, speakers) {
+  const teller = rumor.knowers.get(tellerName);
+  const listeners = speakers.filter(name => name !== tellerName && !rumor.knowers.has(name));
+  for (let i = listeners.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [listeners[i], listeners[j]] = [listeners[j], listeners[i]];
+  }
+  listeners.slice(0, MAX_LISTENERS).forEach(name => {
+    rumor.knowers.set(name, {
+      details: driftDetails(rumor.type, getDetails(rumor, teller)),
+      source: tellerName,
+      told: false
+    });
+  });
+}
+
+/**
+ * Write an inmate's version of a rumor as a chat line
+ * @param {Object} rumor
+ * @param {Object} knower
+ * @returns {string}
+ */
+function describeRumor(rumor, knower) {
+  const details = getDetails(rumor, knower);
+  const action = rumorData.events[rumor.type][details.action]
+    .replace('{target}', details.target || 'somebody');
+  const template = pick(knower.source ? rumorData.hearsay : rumorData.witnessed);
+  return template
+    .replace('{player}', pick(rumorData.player))
+    .replace('{action}', action)
+    .replace('{times}', details.count > 1 ? ` like ${details.count} times` : '')
+    .replace('{place}', details.place ? ` ${details.place}` : '')
+    .replace('{source}', knower.source || 'somebody');
+}
+
+// ===========================================
+// PUBLIC API
+// ===========================================
+
+/**
+ * Set where witnesses come from
+ * @param {Object} options
+ * @param {Function} options.getNpcs - () => the live npcs array
+ */
+export function initRumors({ getNpcs }) {
+  getNpcsFn = getNpcs;
+}
+
+/**
+ * Note something the player did that inmates nearby might gossip about.
+ * Nothing is recorded if nobody was close enough to see it.
+ * @param {'push'|'smoking'|'feastables'|'babyoil'|'fightWon'|'fightLost'} type
+ * @param {Object} position - THREE.Vector3 where it happened
+ * @param {string|null} [targetName] - Inmate it happened to, if any
+ */
+export function recordRumorEvent(type, position, targetName = null) {
+  if (!getNpcsFn || !rumorData.events[type]) return;
+
+  // The inmate it happened to doesn't gossip about themselves
+  const witnesses = getNpcsFn()
+    .filter(npc => npc.characterName && npc.characterName !== targetName)
+    .filter(npc => npc.position.distanceTo(position) <= WITNESS_RADIUS)
+    .map(npc => npc.characterName);
+  if (witnesses.length === 0) return;
+
+  const now = Date.now();
+  pruneRumors(now);
+
+  // Repeats (a string of shoves, a long squeeze) build on the same rumor
+  const existing = rumors.find(rumor =>
+    rumor.type === type && rumor.facts.target === targetName && now - rumor.lastSeenAt < MERGE_WINDOW_MS);
+  if (existing) {
+    if (now - existing.lastSeenAt > REPEAT_GAP_MS) existing.facts.count++;
+    existing.lastSeenAt = now;
+    witnesses.forEach(name => {
+      const knower = existing.knowers.get(name);
+      if (!knower || knower.details) {
+        existing.knowers.set(name, { details: null, source: null, told: knower ? knower.told : false });
+      }
+    });
+    return;
+  }
+
+  rumors.push({
+    id: nextRumorId++,
+    type,
+    facts: { action: 0, target: targetName, count: 1, place: null },
+    createdAt: now,
+    lastSeenAt: now,
+    nextTellAt: now + randomHoursMs(0, FIRST_TELL_MAX_HOURS),
+    knowers: new Map(witnesses.map(name => [name, { details: null, source: null, told: false }]))
+  });
+  while (rumors.length > MAX_RUMORS) {
+    rumors.shift();
+  }
+}
+
+/**
+ * Maybe have one of the speakers pass on a rumor. Each inmate tells each
+ * rumor once; the others in the conversation may pick it up.
+ * @param {string[]} speakers - Inmates who can talk in the channel
+ * @returns {Object|null} { name, text, color, target: null, replyTo: null }
+ */
+export function generateRumorMessage(speakers) {
+  const now = Date.now();
+  pruneRumors(now);
+
+  const candidates = [];
+  rumors.forEach(rumor => {
+    if (now < rumor.nextTellAt) return;
+    rumor.knowers.forEach((knower, name) => {
+      if (knower.told || !speakers.includes(name)) return;
+      // Nobody spreads the version where they're the one who got got
+      if (getDetails(rumor, knower).target === name) return;
+      candidates.push({ rumor, name, knower });
+    });
+  });
+  if (candidates.length === 0 || Math.random() >= RUMOR_CHANCE) return null;
+
+  const { rumor, name, knower } = pick(candidates);
+  knower.told = true;
+  rumor.nextTellAt = now + randomHoursMs(TELL_GAP_MIN_HOURS, TELL_GAP_MAX_HOURS);
+  spreadRumor(rumor, name, speakers);
+
+  const character = getCharacter(name);
+  return {
+    name,
+    text: describeRumor(rumor, knower),
+    color: character ? character.color : '#808080',
+    target: null,
+    replyTo: null
+  };
+}
@@ -0,0 +1,225 @@
+/**
+ * CROWD MODULE
+ *
+ * Bodies against bodies. Walls are static boxes (NPCSprite.hasCollisionAt);
+ * this module gives every NPC (npc.radius) and the player (PLAYER_RADIUS) a
+ * circle on the floor and keeps the circles apart:
+ *   - separation : walking NPCs steer away from anyone close by, so crowds
+ *                  spread out instead of stacking (npc.separation, used by walk())
+ *   - overlap    : circles that still overlap after moving are pushed apart;
+ *                  neither NPCs nor the player get pushed into walls, and the
+ *                  player gets nudged as much as the inmate they walked into
+ *                  (the inmate takes the whole push where the player can't move)
+ *   - momentum   : an NPC sliding from a shove that hits another inmate hands
+ *                  over part of its speed, knocking them into a slide of their own
+ * Call updateCrowd() each frame after the NPCs have moved.
+ *
+ * Exports:
+ *   - initCrowd({ getNpcs, getPlayerPosition, playerColliders }) : getPlayerPosition must return the live camera position
+ *   - updateCrowd(deltaTime) : Separation, overlap and momentum for this frame
+ */
+
+import * as THREE from 'three';
+
+// ===========================================
+// CONFIGURATION
+// ===========================================
+
+const PLAYER_RADIUS = 0.3; // Matches playerRadius in player.js
+const SEPARATION_RANGE = 0.8; // Steer away from bodies closer than this (edge to edge)
+const MOMENTUM_MIN_SPEED = 2.0; // Slower slides just bump, they don't knock anyone over
+const MOMENTUM_TRANSFER = 0.7; // Share of the closing speed handed to the NPC that got hit
+
+// ===========================================
+// STATE
+// ===========================================
+
+let getNpcsFn = null;
+let getPlayerPositionFn = null;
+let playerColliders = [];
+
+// Reusable vectors
+const normal = new THREE.Vector3();
+const away = new THREE.Vector3();
+const sphereCenter = new THREE.Vector3();
+const clamped = new THREE.Vector3();
+const expandedMin = new THREE.Vector3();
+const expandedMax = new THREE.Vector3();
+
+// ===========================================
+// HELPERS
+// ===========================================
+
+/**
+ * Move an NPC along the floor unless that would put it in a wall
+ * @param {NPCSprite} npc
+ * @param {number} dx
+ * @param {number} dz
+ */
+function nudgeNpc(npc, dx, dz) {
+  if (!npc.hasCollisionAt(npc.position.x + dx, npc.position.z)) {
+    npc.position.x += dx;
+  }
+  if (!npc.hasCollisionAt(npc.position.x, npc.position.z + dz)) {
+    npc.position.z += dz;
+  }
+  npc.getSprite().position.copy(npc.position);
+}
+
+/**
+ * Whether the player would be in a wall at this camera position (same sphere
+ * test as checkCollision in player.js)
+ * @param {number} x
+ * @param {number} y - Camera height
+ * @param {number} z
+ * @returns {boolean}
+ */
+function playerHitsWall(x, y, z) {
+  sphereCenter.set(x, y + PLAYER_RADIUS, z);
+  return playerColliders.some(collider => {
+    expandedMin.copy(collider.min).subScalar(PLAYER_RADIUS);
+    expandedMax.copy(collider.max).addScalar(PLAYER_RADIUS);
+    clamped.copy(sphereCenter).clamp(expandedMin, expandedMax);
+    return sphereCenter.distanceTo(clamped) < PLAYER_RADIUS;
+  });
+}
+
+/**
+ * Unit vector on the floor from one point to another (arbitrary if they coincide)
+ * @param {THREE.Vector3} from
+ * @param {THREE.Vector3} to
+ * @param {THREE.Vector3} target - Written to
+ * @returns {number} Flat distance between the points
+ */
+function flatDirection(from, to, target) {
+  target.set(to.x - from.x, 0, to.z - from.z);
+  const distance = target.length();
+  if (distance > 1e-6) {
+    target.divideScalar(distance);
+  } else {
+    const angle = Math.random() * Math.PI * 2;
+    target.set(Math.sin(angle), 0, Math.cos(angle));
+  }
+  return distance;
+}
+
+/**
+ * Sum of pushes away from everyone within SEPARATION_RANGE, stronger the closer they are
+ * @param {NPCSprite} npc
+ * @param {NPCSprite[]} npcs
+ * @param {THREE.Vector3} playerPosition
+ */
+function updateSeparation(npc, npcs, playerPosition) {
+  npc.separation.set(0, 0, 0);
+  const addAwayFrom = (position, radius) => {
+    const distance = flatDirection(position, npc.position, away);
+    const gap = distance - radius - npc.radius;
+    if (gap < SEPARATION_RANGE) {
+      npc.separation.addScaledVector(away, 1 - Math.max(0, gap) / SEPARATION_RANGE);
+    }
+  };
+  npcs.forEach(other => {
+    if (other !== npc) addAwayFrom(other.position, other.radius);
+  });
+  addAwayFrom(playerPosition, PLAYER_RADIUS);
+}
+
+/**
+ * Hand part of a sliding NPC's speed to the inmate it ran into
+ * @param {NPCSprite} mover - NPC sliding from a shove
+ * @param {NPCSprite} hit
+ * @param {THREE.Vector3} direction - Unit vector from mover to hit
+ */
+function transferMomentum(mover, hit, direction) {
+  const closingSpeed = mover.velocity.x * direction.x + mover.velocity.z * direction.z;
+  if (closingSpeed < MOMENTUM_MIN_SPEED) return;
+  const impulse = closingSpeed * MOMENTUM_TRANSFER;
+  mover.velocity.x -= direction.x * impulse;
+  mover.velocity.z -= direction.z * impulse;
+  hit.applyPush(direction, impulse);
+}
+
+/**
+ * Push two overlapping NPCs apart (and knock one into the other if it's sliding)
+ * @param {NPCSprite} a
+ * @param {NPCSprite} b
+ */
+function resolveNpcPair(a, b) {
+  const distance = flatDirection(a.position, b.position, normal);
+  const overlap = a.radius + b.radius - distance;
+  if (overlap <= 0) return;
+
+  if (a.stateId === 'pushed') {
+    transferMomentum(a, b, normal);
+  } else if (b.stateId === 'pushed') {
+    normal.negate();
+    transferMomentum(b, a, normal);
+    normal.negate();
+  }
+
+  nudgeNpc(a, -normal.x * overlap / 2, -normal.z * overlap / 2);
+  nudgeNpc(b, normal.x * overlap / 2, normal.z * overlap / 2);
+}
+
+/**
+ * Push an NPC and the player apart. The player only moves along an axis if
+ * that keeps them out of the walls; otherwise the NPC takes the whole push.
+ * @param {NPCSprite} npc
+ * @param {THREE.Vector3} playerPosition - Moved in place
+ */
+function resolvePlayerPair(npc, playerPosition) {
+  const distance = flatDirection(playerPosition, npc.position, normal);
+  const overlap = npc.radius + PLAYER_RADIUS - distance;
+  if (overlap <= 0) return;
+
+  const half = overlap / 2;
+  let npcShareX = half;
+  let npcShareZ = half;
+  if (playerHitsWall(playerPosition.x - normal.x * half, playerPosition.y, playerPosition.z)) {
+    npcShareX = overlap;
+  } else {
+    playerPosition.x -= normal.x * half;
+  }
+  if (playerHitsWall(playerPosition.x, playerPosition.y, playerPosition.z - normal.z * half)) {
+    npcShareZ = overlap;
+  } else {
+    playerPosition.z -= normal.z * half;
+  }
+  nudgeNpc(npc, normal.x * npcShareX, normal.z * npcShareZ);
+}
+
+// ===========================================
+// PUBLIC API
+// ===========================================
+
+/**
+ * Set where the bodies come from
+ * @param {Object} options
+ * @param {Function} options.getNpcs - () => the live npcs array
+ * @param {Function} options.getPlayerPosition - () => the camera's position (moved in place)
+ * @param {Object[]} options.playerColliders - The player's { min, max } wall boxes
+ */
+export function initCrowd({ getNpcs, getPlayerPosition, playerColliders: colliders }) {
+  getNpcsFn = getNpcs;
+  getPlayerPositionFn = getPlayerPosition;
+  playerColliders = colliders;
+}
+
+/**
+ * Update separation steering and resolve overlaps (call every frame, after NPCs move)
+ * @param {number} deltaTime - Time since last frame in seconds
+ */
+export function updateCrowd(deltaTime) {
+  if (!getNpcsFn || deltaTime <= 0) return;
+  const npcs = getNpcsFn();
+  const playerPosition = getPlayerPositionFn();
+
+  for (let i = 0; i < npcs.length; i++) {
+    for (let j = i + 1; j < npcs.length; j++) {
+      resolveNpcPair(npcs[i], npcs[j]);
+    }
+    resolvePlayerPair(npcs[i], playerPosition);
+  }
+
+  npcs.forEach(npc => updateSeparation(npc, npcs, playerPosition));
+}
@@ -7,13 +7,16 @@
  */
 
 import * as THREE from 'three';
+import { parseRichText } from './chat/richText.js';
+import { makeStreamerSafe } from './chat/profanityFilter.js';
+import { getStreamerSafeSetting } from './ui/settings.js';
 
 // Bubble configuration
 const BUBBLE_CONFIG = {
   padding: 16,
   maxWidth: 300,
   fontSize: 18,
-  fontFamily: 'Arial, sans-serif',
+  fontFamily: 'Arial, "Segoe UI Emoji", "Apple Color Emoji", "Noto Color Emoji", sans-serif',
   backgroundColor: 'rgba(0, 0, 0, 0.85)',
   textColor: '#ffffff',
   borderRadius: 12,
@@ -23,41 +26,76 @@ const BUBBLE_CONFIG = {
   scale: 0.008 // Base scale for the sprite (adjusted for reasonable size)
 };
 
+/**
+ * Build the canvas font string for a styled run
+ * @param {Object} run - { bold, italic }
+ * @returns {string}
+ */
+function getRunFont(run) {
+  const italic = run.italic ? 'italic ' : '';
+  const bold = run.bold ? 'bold ' : '';
+  return `${italic}${bold}${BUBBLE_CONFIG.fontSize}px ${BUBBLE_CONFIG.fontFamily}`;
+}
+
+/**
+ * Word-wrap styled runs into lines of measured pieces
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array} runs - Output of parseRichText()
+ * @returns {Array<{pieces: Array, width: number}>}
+ */
+function layoutRuns(ctx, runs) {
+  const lines = [];
+  let current = { pieces: [], width: 0 };
+  
+  runs.forEach(run => {
+    ctx.font = getRunFont(run);
+    // Keep whitespace as separate tokens so styled runs join up correctly
+    run.text.split(/(\s+)/).forEach(token => {
+      if (!token) return;
+      const isSpace = /^\s+$/.test(token);
+      if (isSpace && current.pieces.length === 0) return; // No leading spaces on a line
+      
+      const width = ctx.measureText(isSpace ? ' ' : token).width;
+      if (!isSpace && current.width + width > BUBBLE_CONFIG.maxWidth && current.pieces.length > 0) {
+        // Drop the trailing space before breaking
+        const last = current.pieces[current.pieces.length - 1];
+        if (last.isSpace) {
+          current.pieces.pop();
+          current.width -= last.width;
+        }
+        lines.push(current);
+        current = { pieces: [], width: 0 };
+      }
+      current.pieces.push({ text: isSpace ? ' ' : token, run, width, isSpace });
+      current.width += width;
+    });
+  });
+  if (current.pieces.length > 0) {
+    lines.push(current);
+  }
+  
+  return lines;
+}
+
 /**
  * Creates a canvas texture with wrapped text for the dialogue bubble
- * @param {string} text - The dialogue text to display
+ * @param {string} text - The dialogue text to display ([b]/[i]/[u] markup and emoji allowed)
  * @returns {THREE.CanvasTexture}
  */
 function createBubbleTexture(text) {
   const canvas = document.createElement('canvas');
   const ctx = canvas.getContext('2d');
   
-  // Set font
-  ctx.font = `${BUBBLE_CONFIG.fontSize}px ${BUBBLE_CONFIG.fontFamily}`;
-  
-  // Calculate text width and wrap text
-  const words = text.split(' ');
-  const lines = [];
-  let currentLine = '';
-  
-  for (let i = 0; i < words.length; i++) {
-    const testLine = currentLine + (currentLine ? ' ' : '') + words[i];
-    const metrics = ctx.measureText(testLine);
-    
-    if (metrics.width > BUBBLE_CONFIG.maxWidth && currentLine) {
-      lines.push(currentLine);
-      currentLine = words[i];
-    } else {
-      currentLine = testLine;
-    }
-  }
-  if (currentLine) {
-    lines.push(currentLine);
+  // Split into styled runs and wrap them into lines
+  const lines = layoutRuns(ctx, parseRichText(text));
+  if (lines.length === 0) {
+    lines.push({ pieces: [], width: 0 });
   }
   
   // Calculate canvas dimensions
-  const textWidth = Math.max(...lines.map(line => ctx.measureText(line).width));
-  const textHeight = lines.length * BUBBLE_CONFIG.fontSize * BUBBLE_CONFIG.lineHeight;
+  const textWidth = Math.max(...lines.map(line => line.width));
+  const lineStep = BUBBLE_CONFIG.fontSize * BUBBLE_CONFIG.lineHeight;
+  const textHeight = lines.length * lineStep;
   
   canvas.width = Math.ceil(textWidth + BUBBLE_CONFIG.padding * 2);
   canvas.height = Math.ceil(textHeight + BUBBLE_CONFIG.padding * 2);
@@ -86,14 +124,21 @@ function createBubbleTexture(text) {
   ctx.closePath();
   ctx.fill();
   
-  // Draw text
+  // Draw text piece by piece so each run keeps its style
   ctx.fillStyle = BUBBLE_CONFIG.textColor;
-  ctx.font = `${BUBBLE_CONFIG.fontSize}px ${BUBBLE_CONFIG.fontFamily}`;
   ctx.textBaseline = 'top';
   
   lines.forEach((line, index) => {
-    const y = BUBBLE_CONFIG.padding + (index * BUBBLE_CONFIG.fontSize * BUBBLE_CONFIG.lineHeight);
-    ctx.fillText(line, BUBBLE_CONFIG.padding, y);
+    const lineY = BUBBLE_CONFIG.padding + (index * lineStep);
+    let pieceX = BUBBLE_CONFIG.padding;
+    line.pieces.forEach(piece => {
+      ctx.font = getRunFont(piece.run);
+      ctx.fillText(piece.text, pieceX, lineY);
+      if (piece.run.underline) {
+        ctx.fillRect(pieceX, lineY + BUBBLE_CONFIG.fontSize + 1, piece.width, 2);
+      }
+      pieceX += piece.width;
+    });
   });
   
   // Create texture
@@ -107,10 +152,15 @@ function createBubbleTexture(text) {
 /**
  * Creates a billboarded sprite for the dialogue bubble
  * @param {string} text - The dialogue text
- * @returns {THREE.Sprite}
+ * @returns {Object|null} Bubble object, or null when streamer-safe mode skips the line
  */
 export function createDialogueBubble(text) {
-  const texture = createBubbleTexture(text);
+  const bubbleText = getStreamerSafeSetting() ? makeStreamerSafe(text) : text;
+  if (bubbleText === null) {
+    return null;
+  }
+  
+  const texture = createBubbleTexture(bubbleText);
   
   const material = new THREE.SpriteMaterial({
     map: texture,
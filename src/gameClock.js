@@ -0,0 +1,72 @@
+/**
+ * Game Clock - in-game time of day
+ *
+ * The day starts at 9:00 AM and one game hour passes every 90 real seconds.
+ * Shared by the clock indicator, chat timestamps and anything else that
+ * needs to know what time it is inside the block.
+ */
+
+const GAME_HOUR_DURATION_MS = 90 * 1000; // 1.5 minutes = 90 seconds in milliseconds
+const START_HOUR = 9; // Start at 9 AM
+
+let gameStartTime = null;
+
+/**
+ * Start (or restart) the game clock at 9:00 AM
+ * @param {number} startTime - Wall clock time in ms the day started (defaults to now;
+ *   the popped-out chat window passes the game's so both show the same time)
+ */
+export function startGameClock(startTime = Date.now()) {
+  gameStartTime = startTime;
+}
+
+/**
+ * Wall clock time the game clock started at
+ * @returns {number|null} null before it starts
+ */
+export function getGameStartTime() {
+  return gameStartTime;
+}
+
+/**
+ * Whole game hours since the clock started (0 before it starts)
+ * @param {number} wallTime - Wall clock time in ms (defaults to now)
+ * @returns {number}
+ */
+export function getGameHoursPassed(wallTime = Date.now()) {
+  if (gameStartTime === null) return 0;
+  return Math.floor(Math.max(0, wallTime - gameStartTime) / GAME_HOUR_DURATION_MS);
+}
+
+/**
+ * Current game hour on a 24-hour count starting at 9 (keeps counting past midnight)
+ * @param {number} wallTime - Wall clock time in ms (defaults to now)
+ * @returns {number}
+ */
+export function getGameHour(wallTime = Date.now()) {
+  return START_HOUR + getGameHoursPassed(wallTime);
+}
+
+/**
+ * Format the game time like "9:00AM"
+ * @param {number} wallTime - Wall clock time in ms (defaults to now)
+ * @returns {string}
+ */
+export function formatGameTime(wallTime = Date.now()) {
+  const gameHour = getGameHour(wallTime);
+  
+  // Handle 12-hour format with AM/PM
+  let displayHour = gameHour % 12;
+  if (displayHour === 0) displayHour = 12;
+  const period = gameHour >= 12 ? 'PM' : 'AM';
+  
+  return `${displayHour}:00${period}`;
+}
+
+/**
+ * Length of one game hour in real milliseconds
+ * @returns {number}
+ */
+export function getGameHourDurationMs() {
+  return GAME_HOUR_DURATION_MS;
+}
@@ -6,7 +6,7 @@
  * - Holding left-click "squeezes" and spawns white splat decals on surfaces
  * 
  * Exports:
- *   - initBabyOil({ scene, camera, raycastTargets })
+ *   - initBabyOil({ scene, camera, raycastTargets, onSplat })
  *   - setSelected(isSelected)
  *   - update(dt, isMoving)
  *   - setSqueezing(bool)
@@ -55,6 +55,7 @@ let splatSound = null;
 let sceneRef = null;
 let cameraRef = null;
 let raycastTargets = [];
+let onSplatCallback = null;
 
 // Raycaster for aiming
 const raycaster = new THREE.Raycaster();
@@ -416,6 +417,10 @@ function trySpawnSplatAtAim() {
     
     // Play splat sound
     playSplatSound();
+    
+    if (onSplatCallback) {
+      onSplatCallback(offsetPosition);
+    }
   }
 }
 
@@ -429,8 +434,9 @@ function trySpawnSplatAtAim() {
  * @param {THREE.Scene} config.scene - The Three.js scene
  * @param {THREE.Camera} config.camera - The player camera
  * @param {THREE.Object3D[]} config.raycastTargets - Array of objects to raycast against
+ * @param {Function} [config.onSplat] - Called with the splat position (THREE.Vector3) for each splat
  */
-export function initBabyOil({ scene, camera, raycastTargets: targets }) {
+export function initBabyOil({ scene, camera, raycastTargets: targets, onSplat = null }) {
   if (initialized) {
     console.warn('BabyOil already initialized');
     return;
@@ -439,6 +445,7 @@ export function initBabyOil({ scene, camera, raycastTargets: targets }) {
   sceneRef = scene;
   cameraRef = camera;
   raycastTargets = targets || [];
+  onSplatCallback = onSplat;
   
   // Initialize splat resources
   initSplatResources();
@@ -1,9 +1,48 @@
 import * as THREE from 'three';
 import { createPrison } from './prison.js';
+import { initNavGrid } from './navGrid.js';
+import { initCrowd, updateCrowd } from './crowd.js';
 import { createPlayer } from './player.js';
+import { startGameClock, formatGameTime } from './gameClock.js';
 import { NPCSprite } from './npc.js';
 import ChatUI from './chat/chatUI.js';
-import { generateMessage, getRandomInterval } from './chat/chat.js';
+import {
+  chooseSpeaker,
+  getRandomInterval,
+  recordChatEvent,
+  seedChat,
+  CHARACTERS,
+  PLAYER_NAME,
+  PLAYER_COLOR
+} from './chat/chat.js';
+import { getSpeakerWeight, getEarshot, garbleText } from './chat/earshot.js';
+import { stripRichText } from './chat/richText.js';
+import {
+  initDirectMessages,
+  openDirectMessage,
+  focusLatestDirectMessage,
+  sendDirectMessage,
+  updateDirectMessages,
+  isDirectMessageFocused,
+  setDirectMessageTheme,
+  setDirectMessageStreamerSafe
+} from './chat/directMessages.js';
+import {
+  initBuddyList,
+  updateBuddyList,
+  setBuddyListTheme,
+  setBuddyListStreamerSafe
+} from './chat/buddyList.js';
+import { makeStreamerSafe } from './chat/profanityFilter.js';
+import { CHAT_CHANNELS, getChatChannel } from './chat/chatChannels.js';
+import { generateGuardMessage, recordPlayerAction } from './chat/guardRadio.js';
+import { isChatCommand, runChatCommand } from './chat/chatCommands.js';
+import { matchIntent, findInsultTarget } from './chat/intents.js';
+import { getDialogueProvider } from './chat/dialogueProvider.js';
+import { saveChatLine, clearChatHistory } from './chat/chatStorage.js';
+import { pickNpcReactions } from './chat/reactions.js';
+import { initRumors, recordRumorEvent, generateRumorMessage } from './chat/rumors.js';
+import { initChatPopout, setChatPopoutBackground, setChatPopoutHidesPanel } from './chat/chatPopout.js';
 import { 
   createDialogueBubble, 
   updateBubbleBillboard, 
@@ -23,20 +62,11 @@ import {
   playEyeOpenTransition 
 } from './ui/eyeOpenTransition.js';
 // Proximity Audio for NPCs
-import { 
-  initDiddyAudio, 
-  updateDiddyAudio,
-  initKoolAidAudio,
-  updateKoolAidAudio,
-  init6ix9ineAudio,
-  update6ix9ineAudio,
-  initMaduroAudio,
-  updateMaduroAudio,
-  initCohenAudio,
-  updateCohenAudio,
-  initMrBeastAudio,
-  updateMrBeastAudio
-} from './audio/proximityAudio.js';
+import { initNpcVoice, removeNpcVoice, updateNpcVoices } from './audio/proximityAudio.js';
+// Text-to-speech for NPC chat lines (optional, toggled in settings)
+import { setChatSpeechEnabled, speakChatLine } from './audio/chatSpeech.js';
+// Character manifest - sprites, spawn points, voices for every inmate
+import { getCharacter, getSpawnedCharacters } from './characters/characterManifest.js';
 // Hotbar UI - item selection slots at bottom of screen
 import { 
   initHotbar, 
@@ -46,7 +76,7 @@ import {
   setSlotItem
 } from './ui/hotbar.js';
 import './ui/anger.css';
-import { initAngerSystem, updateAnger, isFightActive } from './ui/angerSystem.js';
+import { initAngerSystem, updateAnger, isFightActive, getFightOpponent, onNPCInsulted } from './ui/angerSystem.js';
 // Baby Oil item - squirts white splats on surfaces
 import {
   initBabyOil,
@@ -89,6 +119,8 @@ import {
 } from './vfx/chocolateCrumbVfx2D.js';
 // Confetti VFX - 3D world-space celebration effect
 import { ConfettiSystem } from './vfx/confettiVfx.js';
+// Ping Marker - arrow over an NPC picked from the buddy list
+import { initPingMarker, pingNpc, updatePingMarker } from './vfx/pingMarker.js';
 // Push Interaction - NPC push system with hand overlay
 import {
   initPushInteraction,
@@ -98,12 +130,35 @@ import {
 } from './pushInteraction.js';
 // Low-poly wooden table with baby oil images
 import { createTable, updateTablePickup, createTableCollider, checkTablePickup, createStandalonePickup } from './table.js';
+// Multiplayer - optional local relay for shared chat and remote players
+import {
+  initMultiplayer,
+  updateMultiplayer,
+  sendChat,
+  sendNpcChat,
+  isMultiplayerConnected,
+  isMultiplayerHost
+} from './net/multiplayer.js';
+// Start screen portrait carousel (built from the character manifest)
+import { startCarousel, stopCarousel } from './ui/startCarousel.js';
+import { showChatRecap } from './ui/chatRecap.js';
 // Settings UI - top right settings panel with master volume control
 import {
   initSettings,
   showSettings,
   getMasterVolume,
-  onVolumeChange
+  onVolumeChange,
+  getChatThemeSetting,
+  onChatThemeChange,
+  getStreamerSafeSetting,
+  onStreamerSafeChange,
+  getChatSpeechSetting,
+  onChatSpeechChange,
+  onClearChatHistory,
+  getPopoutBackgroundSetting,
+  onPopoutBackgroundChange,
+  getHideChatWhilePoppedOutSetting,
+  onHideChatWhilePoppedOutChange
 } from './ui/settings.js';
 
 // Mobile detection - check if device is mobile
@@ -114,12 +169,35 @@ function isMobileDevice() {
 
 // Game state
 let gameStarted = false;
-let scene, camera, renderer, player, npcs, npcMap, clock, gameStartTime, chatUI, nextMessageTime;
+let scene, camera, renderer, player, npcs, npcMap, clock, chatUI;
+// When each chat channel's next generated line is due: channel id -> ms timestamp
+const nextMessageTimes = {};
+// Channels waiting on their dialogue provider: channel id -> true
+const pendingChatLines = {};
+// How many recent lines of a channel the dialogue provider gets to see
+const DIALOGUE_CONTEXT_LINES = 8;
+// Chance an inmate in the block walks over to whoever they're talking to
+const WALK_OVER_CHANCE = 0.4;
 let backgroundMusic = null;
 // ConfettiSystem is owned by the main loop; always update the current reference.
 let confettiSystem = null;
 // Track player position for movement detection (baby oil HUD bob)
 let lastPlayerPosition = new THREE.Vector3();
+// Dialogue bubble for the player's own chat lines (null if none)
+let playerSpeechBubble = null;
+const playerBubbleForward = new THREE.Vector3();
+// Looking at an NPC (for opening a DM): max distance and how close to screen center
+const LOOK_AT_RANGE = 8.0;
+const LOOK_AT_MIN_DOT = 0.95; // cos of ~18 degrees
+const lookDirection = new THREE.Vector3();
+const lookToNpc = new THREE.Vector3();
+// How inmates refer to the hotbar item the player is holding ({heldItem} in chat templates)
+const HELD_ITEM_NAMES = {
+  camera: 'that camcorder',
+  babyoil: 'that baby oil',
+  marlboro: 'those marlboros',
+  feastables: 'that feastables bar'
+};
 
 // Initialize game function - called when start screen is clicked
 function initGame() {
@@ -175,6 +253,8 @@ function initGame() {
   // Create prison
   const { prisonGroup, colliders, npcColliders } = createPrison();
   scene.add(prisonGroup);
+  // Walkability grid NPCs plan their paths on
+  initNavGrid(npcColliders);
 
   // Create wooden table with baby oil images
   // Placed in the walkway area at X = 29, Z = -0.93, rotated 90 degrees
@@ -288,44 +368,51 @@ function initGame() {
   // Create player
   player = createPlayer(camera, renderer.domElement, colliders);
 
-  // Create NPCs - positioned in the walkway (Z from -4 to +4)
-  // NPCSprite constructor: (position, textureOrPath, colliders, characterName)
-  // Map image paths to character names for dialogue linking
-  npcs = [
-    new NPCSprite(new THREE.Vector3(-15, 1.5, 0), '/SBF.png', npcColliders, 'Sam Bankman-Fried'),
-    new NPCSprite(new THREE.Vector3(5, 1.5, -1), '/Luigi.png', npcColliders, 'Luigi Mangione'),
-    new NPCSprite(new THREE.Vector3(-5, 1.5, 1), '/madurofront.png', npcColliders, 'Nicolas Maduro'),
-    new NPCSprite(new THREE.Vector3(10, 1.5, 2), '/diddy.png', npcColliders, 'Sean Comb'),
-    new NPCSprite(new THREE.Vector3(-10, 1.5, -2), '/GM.png', npcColliders, 'Ghislaine Maxwell'),
-    new NPCSprite(new THREE.Vector3(15, 1.5, -2), '/ElChapo.png', npcColliders, 'El Chapo Guzman'),
-    new NPCSprite(new THREE.Vector3(-20, 1.5, 2), '/Rkelly.png', npcColliders, 'R. Kelly'),
-    new NPCSprite(new THREE.Vector3(20, 1.5, 1), '/AndyCohen.png', npcColliders, 'Michael Cohen'),
-    new NPCSprite(new THREE.Vector3(-25, 1.5, -1), '/6ix9ine.png', npcColliders, '6ix9ine'),
-    new NPCSprite(new THREE.Vector3(25, 1.5, 0), '/koolaid.png', npcColliders, 'Kool-Aid Man'),
-    new NPCSprite(new THREE.Vector3(0, 1.5, 3), '/Martin.png', npcColliders, 'Martin'),
-  ];
-
-  // Create a map from character name to NPC for quick lookup
+  // Create NPCs from the character manifest - spawn points are in the walkway (Z from -4 to +4)
+  npcs = [];
   npcMap = new Map();
-  npcs.forEach(npc => {
-    if (npc.characterName) {
-      npcMap.set(npc.characterName, npc);
-    }
+  getSpawnedCharacters().forEach(character => {
+    const { x, y = 1.5, z } = character.spawn;
+    spawnCharacter(character, new THREE.Vector3(x, y, z));
   });
 
-  // Make Martin and Kool-Aid Man wider
-  const martinNPC = npcs[npcs.length - 1]; // Martin is the last one
-  martinNPC.getSprite().scale.set(3, 3, 1); // Wider: increased from 3.0 to 4.5
-  
-  const koolAidNPC = npcs.find(npc => npc.isKoolAidMan);
-  if (koolAidNPC) {
-    koolAidNPC.getSprite().scale.set(3, 3, 1); // Make Kool-Aid Man wider too
+  /**
+   * Create an NPC from a manifest entry and register it with the scene, npcs, npcMap and audio
+   * @param {Object} character - Character manifest entry
+   * @param {THREE.Vector3} position - World position to spawn at
+   * @returns {NPCSprite}
+   */
+  function spawnCharacter(character, position) {
+    // NPCSprite constructor: (position, textureOrPath, colliders, characterName, spriteSheet)
+    const npc = new NPCSprite(position, character.sprite, npcColliders, character.name, character.spriteSheet || null);
+    if (character.scale) {
+      npc.getSprite().scale.set(character.scale[0], character.scale[1], 1);
+    }
+    
+    scene.add(npc.getSprite());
+    npcs.push(npc);
+    // Map from character name to NPC for dialogue linking
+    npcMap.set(character.name, npc);
+    
+    initNpcVoice(audioListener, npc, character.voiceClips);
+    return npc;
   }
 
-  // Add NPCs to scene
-  npcs.forEach(npc => {
-    scene.add(npc.getSprite());
-  });
+  /**
+   * Take an NPC out of the scene, npcs, npcMap and audio (the buddy list signs them off).
+   * Anything that removes an inmate from the block should go through here.
+   * @param {NPCSprite} npc
+   */
+  function despawnCharacter(npc) {
+    removeNpcVoice(npc);
+    npc.hideDialogue(disposeBubble);
+    scene.remove(npc.getSprite());
+    const index = npcs.indexOf(npc);
+    if (index !== -1) {
+      npcs.splice(index, 1);
+    }
+    npcMap.delete(npc.characterName);
+  }
 
   const confettiForward = new THREE.Vector3();
   const confettiUp = new THREE.Vector3();
@@ -355,71 +442,37 @@ function initGame() {
     setMovementLocked: (locked) => player.setMovementLocked(locked),
     camera: camera,
     setCameraLocked: (locked) => player.setCameraLocked(locked),
-    onWin: spawnWinConfetti
+    onWin: () => {
+      spawnWinConfetti();
+      recordChatEvent('the new guy winning that fight');
+    },
+    onFightEnd: ({ won, opponent }) => {
+      recordPlayerAction(won ? 'fightWon' : 'fightLost', opponent ? opponent.characterName : null);
+      recordRumorEvent(
+        won ? 'fightWon' : 'fightLost',
+        opponent ? opponent.position : camera.position,
+        opponent ? opponent.characterName : null
+      );
+    }
   });
 
-  // Find and initialize Diddy NPC audio
-  const diddyNpc = npcs.find(npc => npc.isDiddy);
-  if (diddyNpc) {
-    initDiddyAudio(audioListener, diddyNpc);
-  } else {
-    console.warn('Diddy NPC not found - proximity audio will not be available');
-  }
-
-  // Find and initialize Kool-Aid Man NPC audio
-  const koolAidNpc = npcs.find(npc => npc.isKoolAidMan);
-  if (koolAidNpc) {
-    initKoolAidAudio(audioListener, koolAidNpc);
-  } else {
-    console.warn('Kool-Aid Man NPC not found - proximity audio will not be available');
-  }
-
-  // Find and initialize 6ix9ine NPC audio
-  const sixix9ineNpc = npcs.find(npc => npc.is6ix9ine);
-  if (sixix9ineNpc) {
-    init6ix9ineAudio(audioListener, sixix9ineNpc);
-  } else {
-    console.warn('6ix9ine NPC not found - proximity audio will not be available');
-  }
-
-  // Find and initialize Maduro NPC audio
-  const maduroNpc = npcs.find(npc => npc.isMaduro);
-  if (maduroNpc) {
-    initMaduroAudio(audioListener, maduroNpc);
-  } else {
-    console.warn('Maduro NPC not found - proximity audio will not be available');
-  }
+  // Initialize push interaction system (the guards and any inmates nearby hear about every shove)
+  initPushInteraction(npcs, camera, player.controls, (npc) => {
+    recordPlayerAction('push', npc.characterName || null);
+    recordRumorEvent('push', npc.position, npc.characterName || null);
+  });
 
-  // Find and initialize Cohen NPC audio
-  const cohenNpc = npcs.find(npc => npc.isCohen);
-  if (cohenNpc) {
-    initCohenAudio(audioListener, cohenNpc);
-  } else {
-    console.warn('Cohen NPC not found - proximity audio will not be available');
-  }
+  // Inmates who see the player do something gossip about it in chat
+  initRumors({ getNpcs: () => npcs });
 
-  // Initialize push interaction system
-  initPushInteraction(npcs, camera, player.controls);
+  // Inmates bump into each other and the player instead of overlapping
+  initCrowd({ getNpcs: () => npcs, getPlayerPosition: () => camera.position, playerColliders: colliders });
 
   // Clock for delta time
   clock = new THREE.Clock();
 
   // Game time clock - starts at 9:00 AM, increments 1 hour every 90 seconds
-  gameStartTime = Date.now();
-  const GAME_HOUR_DURATION_MS = 90 * 1000; // 1.5 minutes = 90 seconds in milliseconds
-
-  function formatGameTime() {
-    const elapsedMs = Date.now() - gameStartTime;
-    const gameHoursPassed = Math.floor(elapsedMs / GAME_HOUR_DURATION_MS);
-    const gameHour = 9 + gameHoursPassed; // Start at 9 AM
-    
-    // Handle 12-hour format with AM/PM
-    let displayHour = gameHour % 12;
-    if (displayHour === 0) displayHour = 12;
-    const period = gameHour >= 12 ? 'PM' : 'AM';
-    
-    return `${displayHour}:00${period}`;
-  }
+  startGameClock();
 
   // Initialize camera view system (handheld camcorder UI)
   // This sets up the render-to-texture pipeline for the live preview
@@ -458,7 +511,12 @@ function initGame() {
   raycastTargets.push(poster2);
   raycastTargets.push(poster3);
   
-  initBabyOil({ scene, camera, raycastTargets });
+  initBabyOil({
+    scene,
+    camera,
+    raycastTargets,
+    onSplat: (position) => recordRumorEvent('babyoil', position)
+  });
   
   // Initialize Marlboro item system
   initMarlboro();
@@ -474,6 +532,9 @@ function initGame() {
   
   // Initialize Chocolate Crumb VFX 2D system
   initChocolateCrumbVfx2D();
+  
+  // Initialize buddy list ping marker
+  initPingMarker(scene);
 
   // Animation loop
   function animate() {
@@ -492,6 +553,12 @@ function initGame() {
     // This must run even during fight to update fight state
     updateAnger(deltaTime);
 
+    // Sign buddies on/off and refresh away/idle statuses (the fight opponent shows as away)
+    updateBuddyList(deltaTime);
+
+    // Send our position and move remote players (no-op when solo); other players keep moving during a fight
+    updateMultiplayer(deltaTime);
+
     // Check if fight is active - skip most updates during fight
     const fightActive = isFightActive();
 
@@ -524,14 +591,19 @@ function initGame() {
           scene
         );
       });
+      // Keep inmates (and the player) from walking through each other
+      updateCrowd(deltaTime);
+
+      // Keep the player's speech bubble hovering just ahead of the camera
+      updatePlayerSpeechBubble(deltaTime);
+
+      // Deliver DM replies and unprompted DMs
+      updateDirectMessages(deltaTime);
+
+      updatePingMarker(deltaTime);
 
       // Update NPC proximity audio
-      updateDiddyAudio(deltaTime, camera.position);
-      updateKoolAidAudio(deltaTime, camera.position);
-      update6ix9ineAudio(deltaTime, camera.position);
-      updateMaduroAudio(deltaTime, camera.position);
-      updateCohenAudio(deltaTime, camera.position);
-      updateMrBeastAudio(deltaTime, camera.position);
+      updateNpcVoices(deltaTime, camera.position);
 
       // Update push interaction system
       updatePushInteraction(deltaTime, camera.position);
@@ -650,6 +722,8 @@ function initGame() {
         '#settings-container',
         '#camera-view-container',
         '#chat-container',
+        '#dm-windows',
+        '#buddy-list',
         '#anger-ui',
         '#coordinate-indicator',
         '#clock-indicator',
@@ -868,6 +942,8 @@ function initGame() {
         setBabyOilSqueezing(true);
       } else if (getSelectedItemType() === 'marlboro') {
         handleMarlboroClick();
+        recordPlayerAction('smoking');
+        recordRumorEvent('smoking', camera.position);
         
         // Spawn smoke puff at camera position (in front and slightly down)
         // Calculate world position in front of camera
@@ -883,6 +959,7 @@ function initGame() {
         spawnSmokePuff(smokePos);
       } else if (getSelectedItemType() === 'feastables') {
         const shouldSpawnMrBeast = handleFeastablesClick();
+        recordRumorEvent('feastables', camera.position);
         
         // Spawn 2D chocolate crumbs overlay at screen position
         const screenAnchor = getFeastablesScreenAnchor();
@@ -900,31 +977,13 @@ function initGame() {
           spawnPosition.add(forward.multiplyScalar(2.0)); // 2 units in front
           spawnPosition.y = 1.5; // Ground level
           
-          // Create Mr. Beast NPC
-          const mrBeastNPC = new NPCSprite(
-            spawnPosition,
-            '/mrbeast.png',
-            npcColliders,
-            'Mr. Beast'
-          );
-          
-          // Make Mr. Beast wide like Kool-Aid Man
-          mrBeastNPC.getSprite().scale.set(3, 3, 1);
-          
-          // Add to scene
-          scene.add(mrBeastNPC.getSprite());
-          
-          // Add to npcs array
-          npcs.push(mrBeastNPC);
-          
-          // Add to npcMap for dialogue linking
-          if (mrBeastNPC.characterName) {
-            npcMap.set(mrBeastNPC.characterName, mrBeastNPC);
+          // Create Mr. Beast NPC from his manifest entry (he has no starting spawn point)
+          const mrBeast = getCharacter('Mr. Beast');
+          if (mrBeast) {
+            spawnCharacter(mrBeast, spawnPosition);
           }
           
-          // Initialize proximity audio
-          initMrBeastAudio(audioListener, mrBeastNPC);
-          
+          recordChatEvent('Mr. Beast showing up in here');
           console.log('Mr. Beast spawned!');
         }
       }
@@ -938,29 +997,488 @@ function initGame() {
     }
   });
 
-  // Initialize chat system
+  // Initialize chat system (?seed=... replays the same generated chatter)
+  const chatSeed = new URLSearchParams(window.location.search).get('seed');
+  if (chatSeed !== null) {
+    seedChat(chatSeed);
+  }
   chatUI = new ChatUI();
+  chatUI.setTheme(getChatThemeSetting());
+  onChatThemeChange((themeId) => chatUI.setTheme(themeId));
+  chatUI.setStreamerSafe(getStreamerSafeSetting());
+  onStreamerSafeChange((enabled) => chatUI.setStreamerSafe(enabled));
+  setChatSpeechEnabled(getChatSpeechSetting());
+  onChatSpeechChange(setChatSpeechEnabled);
+
+  // Keep spoken lines (not system notices or the server's replayed log) for the start screen recap
+  chatUI.onMessageAdded((entry) => {
+    if (!entry.replayed && (entry.kind === 'message' || entry.kind === 'emote')) {
+      saveChatLine(entry);
+    }
+  });
+  onClearChatHistory(clearChatHistory);
+
+  // Pop-out window for stream capture, mirrored over BroadcastChannel
+  initChatPopout(chatUI, {
+    background: getPopoutBackgroundSetting(),
+    hidePanel: getHideChatWhilePoppedOutSetting()
+  });
+  onPopoutBackgroundChange(setChatPopoutBackground);
+  onHideChatWhilePoppedOutChange(setChatPopoutHidesPanel);
+
+  // Player reacts by clicking lines; inmates react to lines they'd have seen (see chat/reactions.js)
+  chatUI.enableReactions(PLAYER_NAME);
+  chatUI.onMessageAdded((entry) => {
+    const channel = getChatChannel(entry.channel);
+    if (entry.replayed || channel.source !== 'inmates') return;
+    const candidates = Array.from(npcMap.keys())
+      .filter(name => !channel.speakers || channel.speakers.includes(name));
+    pickNpcReactions(entry, candidates).forEach(({ characterName, emoji, delayMs }) => {
+      setTimeout(() => {
+        if (npcMap.has(characterName)) {
+          chatUI.addReaction(entry.id, emoji, characterName);
+        }
+      }, delayMs);
+    });
+  });
+
+  // Player chat input: Enter or T releases pointer lock and focuses the chat field,
+  // submitting (or cancelling) returns to mouse-look
+  chatUI.enableInput(
+    (text, channelId) => {
+      if (isChatCommand(text)) {
+        runChatCommand(text, getCommandContext(channelId));
+      } else {
+        sayPlayerLine(text, channelId, 'message');
+      }
+    },
+    () => {
+      if (!player.controls.isLocked && !isFightActive()) {
+        player.controls.lock();
+      }
+    }
+  );
+
+  document.addEventListener('keydown', (event) => {
+    if (event.code !== 'Enter' && event.code !== 'NumpadEnter' && event.code !== 'KeyT') return;
+    if (event.repeat || chatUI.isInputFocused() || isFightActive()) return;
+    if (!player.controls.isLocked) return;
+    
+    // Prevent the T from being typed into the field we are about to focus
+    event.preventDefault();
+    player.controls.unlock();
+    chatUI.focusInput();
+  });
+
+  // Private DMs: look at an inmate and press M (or M with nobody in view reopens the latest DM)
+  initDirectMessages({
+    isCharacterPresent: (characterName) => npcMap.has(characterName),
+    onInputClosed: () => {
+      if (!player.controls.isLocked && !isFightActive() && !chatUI.isInputFocused()) {
+        player.controls.lock();
+      }
+    }
+  });
+  setDirectMessageTheme(getChatThemeSetting());
+  onChatThemeChange(setDirectMessageTheme);
+  setDirectMessageStreamerSafe(getStreamerSafeSetting());
+  onStreamerSafeChange(setDirectMessageStreamerSafe);
+
+  // Buddy list: everyone in the npcs array, with door sounds when someone spawns or leaves
+  initBuddyList({
+    getNpcs: () => npcs,
+    getPlayerPosition: () => camera.position,
+    getFightOpponent,
+    onSignOn: (characterName) => chatUI.addSystemMessage(`${characterName} has signed on.`),
+    onSignOff: (characterName) => chatUI.addSystemMessage(`${characterName} has signed off.`),
+    onBuddyClick: (npc) => {
+      pingNpc(npc);
+      chatUI.addSystemMessage(`${npc.characterName} is ${describeNpcLocation(npc)}.`);
+    }
+  });
+  setBuddyListTheme(getChatThemeSetting());
+  onChatThemeChange(setBuddyListTheme);
+  setBuddyListStreamerSafe(getStreamerSafeSetting());
+  onStreamerSafeChange(setBuddyListStreamerSafe);
+
+  /**
+   * Describe where an NPC is relative to the player, e.g. "12m behind you"
+   * @param {NPCSprite} npc
+   * @returns {string}
+   */
+  function describeNpcLocation(npc) {
+    const toNpc = new THREE.Vector3().subVectors(npc.position, camera.position);
+    toNpc.y = 0;
+    const distance = Math.round(toNpc.length());
+    if (distance < 1) return 'right next to you';
+
+    const forward = new THREE.Vector3();
+    camera.getWorldDirection(forward);
+    forward.y = 0;
+    forward.normalize();
+    toNpc.normalize();
+    // Signed angle from the view direction: positive is to the player's right
+    const angle = Math.atan2(forward.x * toNpc.z - forward.z * toNpc.x, forward.dot(toNpc));
+    const absAngle = Math.abs(angle);
+    let direction;
+    if (absAngle < Math.PI / 4) {
+      direction = 'ahead of you';
+    } else if (absAngle > (3 * Math.PI) / 4) {
+      direction = 'behind you';
+    } else {
+      direction = angle < 0 ? 'to your left' : 'to your right';
+    }
+    return `${distance}m ${direction}`;
+  }
+
+  document.addEventListener('keydown', (event) => {
+    if (event.code !== 'KeyM' || event.repeat) return;
+    if (chatUI.isInputFocused() || isDirectMessageFocused() || isFightActive()) return;
+    if (!player.controls.isLocked) return;
+    
+    const target = findLookedAtNpc();
+    // Prevent the M from being typed into the field we are about to focus
+    event.preventDefault();
+    player.controls.unlock();
+    const opened = target ? openDirectMessage(target.characterName) : focusLatestDirectMessage();
+    if (!opened) {
+      player.controls.lock();
+    }
+  });
+
+  /**
+   * Post one of the player's lines: log it, show the bubble if said in the block, share it
+   * @param {string} text
+   * @param {string} channelId
+   * @param {'message'|'emote'} kind
+   */
+  function sayPlayerLine(text, channelId, kind) {
+    chatUI.addMessage(PLAYER_NAME, text, PLAYER_COLOR, { channel: channelId, kind });
+    if (getChatChannel(channelId).nearby) {
+      showPlayerDialogue(kind === 'emote' ? `[i]* ${text}[/i]` : text);
+    }
+    sendChat(text, channelId, kind === 'emote');
+    if (kind === 'message') {
+      answerPlayerLine(text, channelId);
+    }
+  }
+
+  /**
+   * Let inmates react to the player's line: insults feed the anger bar and the
+   * best-matching intent gets an in-character reply (see chat/intents.js)
+   * @param {string} text
+   * @param {string} channelId
+   */
+  function answerPlayerLine(text, channelId) {
+    const channel = getChatChannel(channelId);
+    if (channel.source !== 'inmates') return;
+    
+    // In the block only inmates standing around can answer; other channels use their regulars
+    const candidates = channel.nearby
+      ? Array.from(npcMap.keys())
+      : channel.speakers || Object.keys(CHARACTERS);
+    const options = { candidates, addressee: channel.nearby ? findAddressedNpcName() : null };
+    
+    const insultTarget = findInsultTarget(text, options);
+    if (insultTarget) {
+      onNPCInsulted(insultTarget);
+    }
+    
+    const reply = matchIntent(text, options);
+    if (!reply) return;
+    setTimeout(() => {
+      const message = {
+        name: reply.characterName,
+        text: reply.text,
+        color: CHARACTERS[reply.characterName].color,
+        target: null,
+        replyTo: PLAYER_NAME,
+        channel: channel.id
+      };
+      showNpcMessage(message);
+      sendNpcChat(message);
+    }, reply.delayMs);
+  }
+
+  /**
+   * Inmate the player is talking to: the one they're looking at, else the
+   * nearest one close enough to hear clearly
+   * @returns {string|null} Character name
+   */
+  function findAddressedNpcName() {
+    const lookedAt = findLookedAtNpc();
+    if (lookedAt) return lookedAt.characterName;
+    
+    let nearest = null;
+    let nearestDistance = Infinity;
+    npcMap.forEach((npc, characterName) => {
+      const distance = camera.position.distanceTo(npc.position);
+      if (distance < nearestDistance && getEarshot(distance).clear) {
+        nearest = characterName;
+        nearestDistance = distance;
+      }
+    });
+    return nearest;
+  }
+
+  /**
+   * What slash commands can do to the game (see chat/chatCommands.js)
+   * @param {string} channelId - Channel the command was typed in
+   * @returns {Object}
+   */
+  function getCommandContext(channelId) {
+    return {
+      channel: channelId,
+      say: (text, kind) => sayPlayerLine(text, channelId, kind),
+      system: (text, isError) => chatUI.addSystemMessage(text, isError),
+      getPresentCharacters: () => Array.from(npcMap.keys()),
+      whisper: (characterName, text) => sendDirectMessage(characterName, text),
+      isMuted: (name) => chatUI.isSpeakerMuted(name),
+      setMuted: (name, muted) => chatUI.setSpeakerMuted(name, muted)
+    };
+  }
+
+  /**
+   * Find the NPC closest to the center of the player's view, within DM range
+   * @returns {NPCSprite|null}
+   */
+  function findLookedAtNpc() {
+    camera.getWorldDirection(lookDirection);
+    lookDirection.y = 0;
+    lookDirection.normalize();
+    
+    let best = null;
+    let bestDot = LOOK_AT_MIN_DOT;
+    npcs.forEach(npc => {
+      lookToNpc.subVectors(npc.position, camera.position);
+      lookToNpc.y = 0;
+      const distance = lookToNpc.length();
+      if (distance > LOOK_AT_RANGE || distance < 0.001) return;
+      const dot = lookToNpc.divideScalar(distance).dot(lookDirection);
+      if (dot > bestDot) {
+        best = npc;
+        bestDot = dot;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Show a dialogue bubble for the player's own chat line
+   * @param {string} text - The text the player sent
+   */
+  function showPlayerDialogue(text) {
+    if (playerSpeechBubble) {
+      disposeBubble(playerSpeechBubble);
+    }
+    playerSpeechBubble = createDialogueBubble(text);
+    if (!playerSpeechBubble) return;
+    positionPlayerSpeechBubble();
+    scene.add(playerSpeechBubble.sprite);
+  }
+
+  /**
+   * Place the player's bubble above head height, a couple of units ahead so it stays in view
+   */
+  function positionPlayerSpeechBubble() {
+    camera.getWorldDirection(playerBubbleForward);
+    playerBubbleForward.y = 0;
+    playerBubbleForward.normalize();
+    playerSpeechBubble.sprite.position.set(
+      camera.position.x + playerBubbleForward.x * 2.5,
+      camera.position.y + 0.6,
+      camera.position.z + playerBubbleForward.z * 2.5
+    );
+  }
 
-  // Chat message generation loop
-  nextMessageTime = Date.now() + getRandomInterval();
+  /**
+   * Follow the player and expire the bubble when its lifetime runs out
+   * @param {number} deltaTime - Time since last frame in seconds
+   */
+  function updatePlayerSpeechBubble(deltaTime) {
+    if (!playerSpeechBubble) return;
+    positionPlayerSpeechBubble();
+    if (updateBubbleLifetime(playerSpeechBubble, deltaTime)) {
+      disposeBubble(playerSpeechBubble);
+      playerSpeechBubble = null;
+    }
+  }
+
+  // Chat message generation loop: every channel runs on its own cadence
+  CHAT_CHANNELS.forEach(channel => {
+    nextMessageTimes[channel.id] = Date.now() + getRandomInterval(channel.minInterval, channel.maxInterval);
+  });
 
   function updateChat() {
     const now = Date.now();
-    if (now >= nextMessageTime) {
-      const message = generateMessage();
-      chatUI.addMessage(message.name, message.text, message.color);
+    CHAT_CHANNELS.forEach(channel => {
+      if (now < nextMessageTimes[channel.id] || pendingChatLines[channel.id]) return;
+      nextMessageTimes[channel.id] = now + getRandomInterval(channel.minInterval, channel.maxInterval);
       
-      // Show dialogue bubble above the corresponding NPC
-      // NPC lookup: Find NPC that matches the speaker's character name
-      const npc = npcMap.get(message.name);
-      if (npc) {
-        npc.showDialogue(message.text, createDialogueBubble, scene, disposeBubble);
+      // The guard radio reacts to what this player did, so every client hears its own
+      if (channel.source === 'guards') {
+        showNpcMessage({ ...generateGuardMessage(), channel: channel.id });
+        return;
       }
       
-      nextMessageTime = now + getRandomInterval();
+      // In multiplayer only the host generates inmate chatter; everyone else receives it
+      if (isMultiplayerConnected() && !isMultiplayerHost()) return;
+      
+      // Inmates who saw (or heard about) something the player did pass it on
+      const rumor = generateRumorMessage(channel.speakers || Array.from(npcMap.keys()));
+      if (rumor) {
+        rumor.channel = channel.id;
+        showNpcMessage(rumor);
+        sendNpcChat(rumor);
+        return;
+      }
+      
+      // One request per channel at a time; a slow provider just stretches the cadence
+      pendingChatLines[channel.id] = true;
+      getDialogueProvider().generateLine(getDialogueContext(channel))
+        .then(message => {
+          message.channel = channel.id;
+          showNpcMessage(message);
+          sendNpcChat(message);
+        })
+        .catch(error => console.error('Failed to generate chat line:', error))
+        .finally(() => {
+          pendingChatLines[channel.id] = false;
+        });
+    });
+  }
+
+  /**
+   * Everything a dialogue provider gets to know about the next line (see chat/dialogueProvider.js)
+   * @param {Object} channel - Entry from CHAT_CHANNELS
+   * @returns {Object}
+   */
+  function getDialogueContext(channel) {
+    const templateContext = getChatContext();
+    const nearbyNpcs = Array.from(npcMap.keys())
+      .map(name => ({ name, distance: Math.round(getNpcDistance(name) * 10) / 10 }))
+      .sort((a, b) => a.distance - b.distance);
+    return {
+      channel: channel.id,
+      // Only the block hears who's standing nearby
+      speaker: chooseSpeaker({
+        getSpeakerWeight: channel.nearby ? getNpcSpeakerWeight : undefined,
+        speakers: channel.speakers
+      }),
+      speakers: channel.speakers,
+      nearbyNpcs,
+      gameTime: templateContext.gameTime,
+      heldItem: templateContext.heldItem,
+      recentLines: chatUI.getRecentLines(channel.id, DIALOGUE_CONTEXT_LINES),
+      templateContext
+    };
+  }
+
+  /**
+   * Distance from the player to a character's NPC, or null if it isn't spawned
+   * @param {string} characterName
+   * @returns {number|null}
+   */
+  function getNpcDistance(characterName) {
+    const npc = npcMap.get(characterName);
+    return npc ? camera.position.distanceTo(npc.position) : null;
+  }
+
+  /**
+   * Speaker weight for chooseSpeaker(): nearby inmates talk more often
+   * @param {string} characterName
+   * @returns {number}
+   */
+  function getNpcSpeakerWeight(characterName) {
+    return getSpeakerWeight(getNpcDistance(characterName));
+  }
+
+  /**
+   * Template slot values for generated lines (see chat/grammar.js)
+   * @returns {Object} { otherInmates, heldItem, gameTime }
+   */
+  function getChatContext() {
+    const itemType = getSelectedItemType();
+    return {
+      otherInmates: Array.from(npcMap.keys()),
+      heldItem: itemType ? HELD_ITEM_NAMES[itemType] || null : null,
+      gameTime: formatGameTime()
+    };
+  }
+
+  /**
+   * Add an NPC line to the chat log and show it above the speaking NPC.
+   * Lines spoken out of earshot are logged as a dimmed fragment with no bubble.
+   * Channels that aren't said out loud in the block just go in the log.
+   * @param {Object} message - { name, text, color, channel } from the dialogue provider
+   */
+  function showNpcMessage(message) {
+    const channel = getChatChannel(message.channel);
+    // NPC lookup: Find NPC that matches the speaker's character name
+    const npc = channel.nearby ? npcMap.get(message.name) : null;
+    if (!npc) {
+      chatUI.addMessage(message.name, message.text, message.color, { channel: channel.id });
+      return;
+    }
+    
+    // Muted inmates stay in the history (hidden) but don't get bubbles or speech
+    if (chatUI.isSpeakerMuted(message.name)) {
+      chatUI.addMessage(message.name, message.text, message.color, { channel: channel.id });
+      return;
+    }
+    
+    const distance = camera.position.distanceTo(npc.position);
+    const earshot = getEarshot(distance);
+    if (!earshot.clear) {
+      const fragment = garbleText(message.text, earshot.clarity);
+      chatUI.addMessage(message.name, fragment, message.color, { faint: true, channel: channel.id });
+      speakNpcLine(message.name, fragment, distance);
+      return;
     }
+    
+    chatUI.addMessage(message.name, message.text, message.color, { channel: channel.id });
+    // Show dialogue bubble above the corresponding NPC
+    npc.showDialogue(message.text, createDialogueBubble, scene, disposeBubble);
+    speakNpcLine(message.name, message.text, distance);
+    walkOverToTarget(npc, message.target);
   }
 
+  /**
+   * Sometimes have an inmate walk up to the inmate they're talking to and stop to chat
+   * @param {NPCSprite} npc - Speaker
+   * @param {string|null} targetName - Character the line is aimed at
+   */
+  function walkOverToTarget(npc, targetName) {
+    const targetNpc = targetName ? npcMap.get(targetName) : null;
+    if (!targetNpc || targetNpc === npc || npc.stateId === 'converse') return;
+    if (Math.random() >= WALK_OVER_CHANCE) return;
+    npc.requestState('walkTo', {
+      target: targetNpc,
+      then: { state: 'converse', params: { partner: targetNpc } }
+    });
+  }
+
+  /**
+   * Read an NPC line aloud in the character's voice (no-op unless enabled in settings)
+   * @param {string} characterName
+   * @param {string} text - Line as shown in the log
+   * @param {number} distance - Distance from the player to the speaker
+   */
+  function speakNpcLine(characterName, text, distance) {
+    const spokenText = getStreamerSafeSetting() ? makeStreamerSafe(text) : text;
+    if (spokenText === null) return;
+    const character = CHARACTERS[characterName];
+    speakChatLine(stripRichText(spokenText), character ? character.voice : null, distance);
+  }
+
+  // Join the local multiplayer relay if one is configured (?server=ws://localhost:3001)
+  initMultiplayer({
+    scene,
+    camera,
+    chatUI,
+    onNpcChat: showNpcMessage
+  });
+
   // Show canvas container
   container.classList.add('visible');
 
@@ -985,6 +1503,10 @@ if (document.readyState === 'loading') {
 }
 
 function setupStartScreen() {
+  // Cycle character portraits on the start screen
+  startCarousel();
+  showChatRecap();
+  
   // Check if mobile device - if so, show message and prevent game initialization
   if (isMobileDevice()) {
     const mobileMessage = document.getElementById('mobile-message');
@@ -1017,6 +1539,7 @@ function setupStartScreen() {
       startScreen.addEventListener('transitionend', () => {
         // Hide start screen after fade completes
         startScreen.classList.add('hidden');
+        stopCarousel();
         
         // Show the UI indicators now that the start screen is gone
         // Note: coordinate-indicator is NOT shown by default - user must press F to toggle it
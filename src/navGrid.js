@@ -0,0 +1,389 @@
+/**
+ * NAVIGATION GRID MODULE
+ *
+ * A walkability grid over the prison floor, built once from the NPC collider
+ * boxes that createPrison() returns, plus A* path queries on it. A cell is
+ * walkable when an NPC's collision sphere centered there touches no box (the
+ * same test NPCSprite.hasCollisionAt uses), so paths keep clear of walls by
+ * the NPC radius. Walkable pockets cut off from the main floor (the insides
+ * of the cells, behind their bars) count as blocked. Paths are 8-connected
+ * without cutting corners, then string-pulled so NPCs walk straight lines
+ * between the few turns they need.
+ * Goals inside a wall or behind the cell bars snap to the nearest walkable cell.
+ *
+ * Exports:
+ *   - initNavGrid(colliders, { agentRadius, agentY, cellSize }) : Build the grid
+ *   - findPath(from, to) : Waypoints from one point to another, or null
+ *   - isWalkable(x, z) : Whether an NPC can stand at a point
+ *   - getRandomWalkablePoint(center, radius) : Somewhere to wander to, or null
+ */
+
+import * as THREE from 'three';
+
+// ===========================================
+// CONFIGURATION
+// ===========================================
+
+const DEFAULT_CELL_SIZE = 0.5; // World units per grid cell
+const DEFAULT_AGENT_RADIUS = 0.4; // Matches NPCSprite.radius
+const DEFAULT_AGENT_Y = 1.5; // Height NPC collision spheres sit at
+const SNAP_SEARCH_CELLS = 12; // How far to look for a walkable cell near a blocked goal
+const RANDOM_POINT_TRIES = 20;
+
+// ===========================================
+// STATE
+// ===========================================
+
+let grid = null; // { minX, minZ, cellSize, width, depth, walkable: Uint8Array }
+
+// ===========================================
+// HELPERS
+// ===========================================
+
+/**
+ * Grid column for a world X (may be out of range)
+ * @param {number} x
+ * @returns {number}
+ */
+function toCol(x) {
+  return Math.floor((x - grid.minX) / grid.cellSize);
+}
+
+/**
+ * Grid row for a world Z (may be out of range)
+ * @param {number} z
+ * @returns {number}
+ */
+function toRow(z) {
+  return Math.floor((z - grid.minZ) / grid.cellSize);
+}
+
+/**
+ * Whether a cell is on the grid and walkable
+ * @param {number} col
+ * @param {number} row
+ * @returns {boolean}
+ */
+function isCellWalkable(col, row) {
+  if (col < 0 || row < 0 || col >= grid.width || row >= grid.depth) return false;
+  return grid.walkable[row * grid.width + col] === 1;
+}
+
+/**
+ * World position of a cell's center
+ * @param {number} col
+ * @param {number} row
+ * @param {number} y
+ * @returns {THREE.Vector3}
+ */
+function cellCenter(col, row, y) {
+  return new THREE.Vector3(
+    grid.minX + (col + 0.5) * grid.cellSize,
+    y,
+    grid.minZ + (row + 0.5) * grid.cellSize
+  );
+}
+
+/**
+ * Nearest walkable cell to a point, searching outward ring by ring
+ * @param {number} x
+ * @param {number} z
+ * @returns {{col: number, row: number}|null}
+ */
+function findNearestWalkableCell(x, z) {
+  const col = toCol(x);
+  const row = toRow(z);
+  if (isCellWalkable(col, row)) return { col, row };
+
+  for (let ring = 1; ring <= SNAP_SEARCH_CELLS; ring++) {
+    let best = null;
+    let bestDistSq = Infinity;
+    for (let dRow = -ring; dRow <= ring; dRow++) {
+      for (let dCol = -ring; dCol <= ring; dCol++) {
+        if (Math.max(Math.abs(dCol), Math.abs(dRow)) !== ring) continue;
+        if (!isCellWalkable(col + dCol, row + dRow)) continue;
+        const center = cellCenter(col + dCol, row + dRow, 0);
+        const distSq = (center.x - x) ** 2 + (center.z - z) ** 2;
+        if (distSq < bestDistSq) {
+          bestDistSq = distSq;
+          best = { col: col + dCol, row: row + dRow };
+        }
+      }
+    }
+    if (best) return best;
+  }
+  return null;
+}
+
+/**
+ * Whether a straight walk between two points stays on walkable cells
+ * @param {THREE.Vector3} from
+ * @param {THREE.Vector3} to
+ * @returns {boolean}
+ */
+function hasLineOfSight(from, to) {
+  const distance = Math.hypot(to.x - from.x, to.z - from.z);
+  const steps = Math.ceil(distance / (grid.cellSize * 0.5));
+  for (let i = 1; i < steps; i++) {
+    const t = i / steps;
+    const x = from.x + (to.x - from.x) * t;
+    const z = from.z + (to.z - from.z) * t;
+    if (!isCellWalkable(toCol(x), toRow(z))) return false;
+  }
+  return true;
+}
+
+/**
+ * Drop waypoints that can be skipped with a straight walk
+ * @param {THREE.Vector3} start
+ * @param {THREE.Vector3[]} points
+ * @returns {THREE.Vector3[]}
+ */
+function smoothPath(start, points) {
+  const smoothed = [];
+  let anchor = start;
+  let i = 0;
+  while (i < points.length) {
+    // Furthest point still in sight of the anchor
+    let furthest = i;
+    while (furthest + 1 < points.length && hasLineOfSight(anchor, points[furthest + 1])) {
+      furthest++;
+    }
+    smoothed.push(points[furthest]);
+    anchor = points[furthest];
+    i = furthest + 1;
+  }
+  return smoothed;
+}
+
+/**
+ * Mark every walkable cell outside the largest connected area as blocked
+ */
+function keepLargestRegion() {
+  const { width, depth, walkable } = grid;
+  const region = new Int32Array(walkable.length).fill(-1);
+  const sizes = [];
+  const stack = [];
+
+  for (let index = 0; index < walkable.length; index++) {
+    if (!walkable[index] || region[index] !== -1) continue;
+    const id = sizes.length;
+    let size = 0;
+    region[index] = id;
+    stack.push(index);
+    while (stack.length > 0) {
+      const current = stack.pop();
+      size++;
+      const col = current % width;
+      const row = Math.floor(current / width);
+      [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dCol, dRow]) => {
+        const nextCol = col + dCol;
+        const nextRow = row + dRow;
+        if (nextCol < 0 || nextRow < 0 || nextCol >= width || nextRow >= depth) return;
+        const next = nextRow * width + nextCol;
+        if (walkable[next] && region[next] === -1) {
+          region[next] = id;
+          stack.push(next);
+        }
+      });
+    }
+    sizes.push(size);
+  }
+
+  const largest = sizes.indexOf(Math.max(...sizes));
+  for (let index = 0; index < walkable.length; index++) {
+    if (region[index] !== largest) walkable[index] = 0;
+  }
+}
+
+/**
+ * A* between two cells (8-connected, no corner cutting)
+ * @param {number} startIndex
+ * @param {number} goalIndex
+ * @returns {number[]|null} Cell indices from start to goal
+ */
+function searchCells(startIndex, goalIndex) {
+  const { width, walkable } = grid;
+  const cellCount = walkable.length;
+  const gScore = new Float32Array(cellCount).fill(Infinity);
+  const cameFrom = new Int32Array(cellCount).fill(-1);
+  const closed = new Uint8Array(cellCount);
+  const goalCol = goalIndex % width;
+  const goalRow = Math.floor(goalIndex / width);
+
+  // Octile distance: diagonal steps cost √2
+  const heuristic = (index) => {
+    const dCol = Math.abs(index % width - goalCol);
+    const dRow = Math.abs(Math.floor(index / width) - goalRow);
+    return Math.max(dCol, dRow) + (Math.SQRT2 - 1) * Math.min(dCol, dRow);
+  };
+
+  // Binary heap of [fScore, index]
+  const open = [];
+  const push = (entry) => {
+    open.push(entry);
+    let i = open.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (open[parent][0] <= open[i][0]) break;
+      [open[parent], open[i]] = [open[i], open[parent]];
+      i = parent;
+    }
+  };
+  const pop = () => {
+    const top = open[0];
+    const last = open.pop();
+    if (open.length > 0) {
+      open[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < open.length && open[left][0] < open[smallest][0]) smallest = left;
+        if (right < open.length && open[right][0] < open[smallest][0]) smallest = right;
+        if (smallest === i) break;
+        [open[smallest], open[i]] = [open[i], open[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  };
+
+  gScore[startIndex] = 0;
+  push([heuristic(startIndex), startIndex]);
+
+  while (open.length > 0) {
+    const [, current] = pop();
+    if (current === goalIndex) {
+      const cells = [current];
+      let step = current;
+      while (cameFrom[step] !== -1) {
+        step = cameFrom[step];
+        cells.push(step);
+      }
+      return cells.reverse();
+    }
+    if (closed[current]) continue;
+    closed[current] = 1;
+
+    const col = current % width;
+    const row = Math.floor(current / width);
+    for (let dRow = -1; dRow <= 1; dRow++) {
+      for (let dCol = -1; dCol <= 1; dCol++) {
+        if (dCol === 0 && dRow === 0) continue;
+        if (!isCellWalkable(col + dCol, row + dRow)) continue;
+        const diagonal = dCol !== 0 && dRow !== 0;
+        // Don't squeeze diagonally past a wall corner
+        if (diagonal && (!isCellWalkable(col + dCol, row) || !isCellWalkable(col, row + dRow))) continue;
+
+        const neighbor = (row + dRow) * width + col + dCol;
+        if (closed[neighbor]) continue;
+        const tentative = gScore[current] + (diagonal ? Math.SQRT2 : 1);
+        if (tentative < gScore[neighbor]) {
+          gScore[neighbor] = tentative;
+          cameFrom[neighbor] = current;
+          push([tentative + heuristic(neighbor), neighbor]);
+        }
+      }
+    }
+  }
+  return null;
+}
+
+// ===========================================
+// PUBLIC API
+// ===========================================
+
+/**
+ * Rasterize collider boxes into the walkability grid. The grid covers the
+ * boxes' combined XZ extent (the floor and outer walls).
+ * @param {THREE.Box3[]} colliders - NPC colliders from createPrison()
+ * @param {Object} [options]
+ * @param {number} [options.agentRadius] - NPC collision radius
+ * @param {number} [options.agentY] - Height of NPC collision spheres
+ * @param {number} [options.cellSize] - World units per cell
+ */
+export function initNavGrid(colliders, {
+  agentRadius = DEFAULT_AGENT_RADIUS,
+  agentY = DEFAULT_AGENT_Y,
+  cellSize = DEFAULT_CELL_SIZE
+} = {}) {
+  if (colliders.length === 0) {
+    console.warn('Nav grid: no colliders to build from');
+    return;
+  }
+
+  const bounds = new THREE.Box3();
+  colliders.forEach(box => bounds.union(box));
+  const width = Math.ceil((bounds.max.x - bounds.min.x) / cellSize);
+  const depth = Math.ceil((bounds.max.z - bounds.min.z) / cellSize);
+  grid = { minX: bounds.min.x, minZ: bounds.min.z, cellSize, width, depth, walkable: new Uint8Array(width * depth) };
+
+  const sphere = new THREE.Sphere(new THREE.Vector3(), agentRadius);
+  for (let row = 0; row < depth; row++) {
+    for (let col = 0; col < width; col++) {
+      sphere.center.copy(cellCenter(col, row, agentY));
+      const blocked = colliders.some(box => box.intersectsSphere(sphere));
+      grid.walkable[row * width + col] = blocked ? 0 : 1;
+    }
+  }
+  keepLargestRegion();
+}
+
+/**
+ * A* path between two points
+ * @param {THREE.Vector3} from - Start (usually the NPC's position)
+ * @param {THREE.Vector3} to - Goal; snapped to the nearest walkable spot if blocked
+ * @returns {THREE.Vector3[]|null} Waypoints after the start, ending at the goal;
+ *   null with no grid or no way through
+ */
+export function findPath(from, to) {
+  if (!grid) return null;
+  const start = findNearestWalkableCell(from.x, from.z);
+  const goal = findNearestWalkableCell(to.x, to.z);
+  if (!start || !goal) return null;
+
+  const cells = searchCells(start.row * grid.width + start.col, goal.row * grid.width + goal.col);
+  if (!cells) return null;
+
+  const points = cells.slice(1).map(index => cellCenter(index % grid.width, Math.floor(index / grid.width), from.y));
+  // End exactly on the goal when it's reachable, not on its cell center
+  const end = isWalkable(to.x, to.z)
+    ? new THREE.Vector3(to.x, from.y, to.z)
+    : cellCenter(goal.col, goal.row, from.y);
+  if (points.length > 0) {
+    points[points.length - 1] = end;
+  } else {
+    points.push(end);
+  }
+  return smoothPath(from, points);
+}
+
+/**
+ * Whether an NPC can stand at a point (false off the grid or with no grid)
+ * @param {number} x
+ * @param {number} z
+ * @returns {boolean}
+ */
+export function isWalkable(x, z) {
+  return grid !== null && isCellWalkable(toCol(x), toRow(z));
+}
+
+/**
+ * Random walkable point within a radius of a center
+ * @param {THREE.Vector3} center
+ * @param {number} radius
+ * @returns {THREE.Vector3|null}
+ */
+export function getRandomWalkablePoint(center, radius) {
+  if (!grid) return null;
+  for (let i = 0; i < RANDOM_POINT_TRIES; i++) {
+    const angle = Math.random() * Math.PI * 2;
+    const distance = Math.sqrt(Math.random()) * radius;
+    const x = center.x + Math.sin(angle) * distance;
+    const z = center.z + Math.cos(angle) * distance;
+    if (isWalkable(x, z)) return new THREE.Vector3(x, center.y, z);
+  }
+  return null;
+}
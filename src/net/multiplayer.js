@@ -0,0 +1,354 @@
+/**
+ * MULTIPLAYER CLIENT
+ *
+ * Connects to the local chat relay (server/chatServer.js) so several players
+ * share one block: remote players appear as billboard sprites in the corridor,
+ * chat lines are shared through the ChatUI log, and NPC chatter comes from the
+ * host so every client sees the same lines.
+ *
+ * Multiplayer is opt-in. The server URL comes from the `?server=` query param
+ * (e.g. ?server=ws://localhost:3001) or the VITE_CHAT_SERVER_URL env var.
+ * An optional `?name=` param sets the player's chat name.
+ *
+ * Exports:
+ *   - initMultiplayer({ scene, camera, chatUI, onNpcChat }) : Connect (returns false when disabled)
+ *   - updateMultiplayer(deltaTime) : Send our position, move remote players
+ *   - sendChat(text, channel, emote) : Share a player chat line
+ *   - sendNpcChat(message) : Share a generated NPC line (host only)
+ *   - isMultiplayerConnected() / isMultiplayerHost()
+ */
+
+import * as THREE from 'three';
+import { NPCSprite } from '../npc.js';
+import {
+  createDialogueBubble,
+  updateBubbleBillboard,
+  updateBubbleLifetime,
+  disposeBubble
+} from '../dialogueBubble.js';
+import { getChatChannel } from '../chat/chatChannels.js';
+
+// ===========================================
+// CONFIGURATION
+// ===========================================
+
+const MOVE_SEND_INTERVAL = 0.1; // Seconds between position updates (10 Hz)
+const MOVE_EPSILON_SQ = 0.0001; // Skip sends when we haven't moved
+const REMOTE_LERP_SPEED = 12; // How fast remote sprites catch up to network positions
+const REMOTE_SPRITE_Y = 1.5; // Same floor height as NPCs (camera sits at 1.6)
+
+// ===========================================
+// STATE
+// ===========================================
+
+let socket = null;
+let connected = false;
+let localId = null;
+let hostId = null;
+let localName = null;
+
+let sceneRef = null;
+let cameraRef = null;
+let chatUIRef = null;
+let onNpcChatCallback = null;
+
+// Remote players: id -> { name, color, npc, targetX, targetZ, yaw }
+const remotePlayers = new Map();
+
+let moveSendTimer = 0;
+let lastSentX = null;
+let lastSentZ = null;
+let lastSentYaw = null;
+const forward = new THREE.Vector3();
+
+// ===========================================
+// REMOTE PLAYERS
+// ===========================================
+
+/**
+ * Create a billboard sprite for a remote player
+ * @param {Object} info - { id, name, color, position }
+ */
+function addRemotePlayer(info) {
+  if (remotePlayers.has(info.id)) return;
+
+  const position = info.position || { x: 0, z: 0 };
+  // Procedural silhouette texture; no colliders because the network drives movement
+  const npc = new NPCSprite(
+    new THREE.Vector3(position.x, REMOTE_SPRITE_Y, position.z),
+    null,
+    [],
+    info.name
+  );
+  sceneRef.add(npc.getSprite());
+
+  remotePlayers.set(info.id, {
+    name: info.name,
+    color: info.color,
+    npc,
+    targetX: position.x,
+    targetZ: position.z,
+    yaw: info.yaw || 0
+  });
+}
+
+/**
+ * Remove a remote player's sprite and bubble
+ * @param {number} id
+ */
+function removeRemotePlayer(id) {
+  const remote = remotePlayers.get(id);
+  if (!remote) return;
+
+  remote.npc.hideDialogue(disposeBubble);
+  const sprite = remote.npc.getSprite();
+  if (sprite.parent) {
+    sprite.parent.remove(sprite);
+  }
+  remotePlayers.delete(id);
+}
+
+// ===========================================
+// NETWORK
+// ===========================================
+
+/**
+ * Read the relay URL from the query string or Vite env
+ * @returns {string|null}
+ */
+function getServerUrl() {
+  const params = new URLSearchParams(window.location.search);
+  return params.get('server') || import.meta.env.VITE_CHAT_SERVER_URL || null;
+}
+
+/**
+ * Send a frame if the socket is open
+ * @param {Object} frame
+ */
+function send(frame) {
+  if (socket && socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(frame));
+  }
+}
+
+/**
+ * Show a player chat line in the log, and above their sprite if said in the block
+ * @param {Object} frame - { id, name, color, text, channel }
+ */
+function showRemoteChat(frame) {
+  chatUIRef.addMessage(frame.name, frame.text, frame.color, {
+    channel: frame.channel,
+    kind: frame.emote ? 'emote' : 'message'
+  });
+
+  const remote = remotePlayers.get(frame.id);
+  if (remote && getChatChannel(frame.channel).nearby) {
+    const bubbleText = frame.emote ? `[i]* ${frame.text}[/i]` : frame.text;
+    remote.npc.showDialogue(bubbleText, createDialogueBubble, sceneRef, disposeBubble);
+  }
+}
+
+/**
+ * Handle a frame from the relay
+ * @param {Object} frame
+ */
+function handleFrame(frame) {
+  switch (frame.type) {
+    case 'welcome':
+      localId = frame.id;
+      hostId = frame.hostId;
+      connected = true;
+      frame.players.forEach(addRemotePlayer);
+      // Replay the shared log so late joiners see the same room
+      frame.history.forEach(entry => {
+        if (entry.type === 'chat') {
+          chatUIRef.addMessage(entry.name, entry.text, entry.color, {
+            channel: entry.channel,
+            kind: entry.emote ? 'emote' : 'message',
+            replayed: true
+          });
+        } else if (entry.type === 'npcChat') {
+          chatUIRef.addMessage(entry.message.name, entry.message.text, entry.message.color, {
+            channel: entry.message.channel,
+            replayed: true
+          });
+        }
+      });
+      console.log(`Joined multiplayer as ${localName} (#${localId})${isMultiplayerHost() ? ' - host' : ''}`);
+      break;
+
+    case 'join':
+      addRemotePlayer(frame.player);
+      break;
+
+    case 'leave':
+      removeRemotePlayer(frame.id);
+      break;
+
+    case 'host':
+      hostId = frame.hostId;
+      if (isMultiplayerHost()) {
+        console.log('Now hosting NPC chatter');
+      }
+      break;
+
+    case 'move': {
+      const remote = remotePlayers.get(frame.id);
+      if (remote) {
+        remote.targetX = frame.position.x;
+        remote.targetZ = frame.position.z;
+        remote.yaw = frame.yaw;
+      }
+      break;
+    }
+
+    case 'chat':
+      showRemoteChat(frame);
+      break;
+
+    case 'npcChat':
+      if (onNpcChatCallback) {
+        onNpcChatCallback(frame.message);
+      }
+      break;
+  }
+}
+
+// ===========================================
+// PUBLIC API
+// ===========================================
+
+/**
+ * Connect to the multiplayer relay if one is configured
+ * @param {Object} options
+ * @param {THREE.Scene} options.scene - Scene to add remote player sprites to
+ * @param {THREE.Camera} options.camera - Local player camera
+ * @param {ChatUI} options.chatUI - Shared chat log
+ * @param {Function} options.onNpcChat - Called with NPC messages relayed from the host
+ * @returns {boolean} True if a connection is being attempted
+ */
+export function initMultiplayer({ scene, camera, chatUI, onNpcChat }) {
+  const url = getServerUrl();
+  if (!url) return false;
+
+  sceneRef = scene;
+  cameraRef = camera;
+  chatUIRef = chatUI;
+  onNpcChatCallback = onNpcChat || null;
+
+  const params = new URLSearchParams(window.location.search);
+  localName = params.get('name') || `Inmate #${1000 + Math.floor(Math.random() * 9000)}`;
+
+  try {
+    socket = new WebSocket(url);
+  } catch (error) {
+    console.warn('Could not connect to multiplayer server:', error);
+    return false;
+  }
+
+  socket.addEventListener('open', () => {
+    send({ type: 'hello', name: localName });
+  });
+
+  socket.addEventListener('message', (event) => {
+    let frame;
+    try {
+      frame = JSON.parse(event.data);
+    } catch (error) {
+      console.warn('Ignoring malformed multiplayer frame');
+      return;
+    }
+    handleFrame(frame);
+  });
+
+  socket.addEventListener('close', () => {
+    if (connected) {
+      console.warn('Disconnected from multiplayer server - continuing solo');
+    }
+    connected = false;
+    hostId = null;
+    Array.from(remotePlayers.keys()).forEach(removeRemotePlayer);
+  });
+
+  socket.addEventListener('error', () => {
+    console.warn(`Multiplayer server unreachable at ${url} - continuing solo`);
+  });
+
+  return true;
+}
+
+/**
+ * Update multiplayer state (call every frame)
+ * @param {number} deltaTime - Time since last frame in seconds
+ */
+export function updateMultiplayer(deltaTime) {
+  if (!connected) return;
+
+  // Throttled position updates for the local player
+  moveSendTimer -= deltaTime;
+  if (moveSendTimer <= 0) {
+    moveSendTimer = MOVE_SEND_INTERVAL;
+    const pos = cameraRef.position;
+    // Yaw in the same convention as NPC wanderYaw (direction = sin(yaw), cos(yaw))
+    cameraRef.getWorldDirection(forward);
+    const yaw = Math.atan2(forward.x, forward.z);
+    const moved = lastSentX === null ||
+      (pos.x - lastSentX) ** 2 + (pos.z - lastSentZ) ** 2 > MOVE_EPSILON_SQ ||
+      Math.abs(yaw - lastSentYaw) > 0.01;
+    if (moved) {
+      send({ type: 'move', position: { x: pos.x, y: pos.y, z: pos.z }, yaw });
+      lastSentX = pos.x;
+      lastSentZ = pos.z;
+      lastSentYaw = yaw;
+    }
+  }
+
+  // Ease remote sprites toward their latest network position
+  const t = Math.min(1, REMOTE_LERP_SPEED * deltaTime);
+  remotePlayers.forEach(remote => {
+    const npc = remote.npc;
+    npc.position.x += (remote.targetX - npc.position.x) * t;
+    npc.position.z += (remote.targetZ - npc.position.z) * t;
+    npc.position.y = REMOTE_SPRITE_Y;
+    npc.wanderYaw = remote.yaw; // Facing direction, for anything that reads NPC heading
+    npc.getSprite().position.copy(npc.position);
+    npc.updateBillboard(cameraRef);
+    npc.updateSpeechBubble(deltaTime, cameraRef, updateBubbleBillboard, updateBubbleLifetime, disposeBubble);
+  });
+}
+
+/**
+ * Share a chat line typed by the local player
+ * @param {string} text
+ * @param {string} channel - Channel id the line was typed in
+ * @param {boolean} [emote] - A /me action rather than a spoken line
+ */
+export function sendChat(text, channel, emote = false) {
+  if (!connected) return;
+  send({ type: 'chat', text, channel, emote });
+}
+
+/**
+ * Share a generated NPC line with the other clients (host only)
+ * @param {Object} message - Message from generateMessage()
+ */
+export function sendNpcChat(message) {
+  if (!connected || !isMultiplayerHost()) return;
+  send({ type: 'npcChat', message });
+}
+
+/**
+ * Check whether we are connected to the relay
+ * @returns {boolean}
+ */
+export function isMultiplayerConnected() {
+  return connected;
+}
+
+/**
+ * Check whether this client drives NPC chatter
+ * @returns {boolean}
+ */
+export function isMultiplayerHost() {
+  return connected && localId !== null && localId === hostId;
+}
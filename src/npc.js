@@ -1,8 +1,16 @@
 import * as THREE from 'three';
+import { NPC_STATES, pickNextState } from './npcBehavior.js';
+import { findPath } from './navGrid.js';
 
 // Texture loader for image-based NPCs
 const textureLoader = new THREE.TextureLoader();
 
+// Sprite sheets (see characterManifest.js): one row per view direction
+const SHEET_DIRECTIONS = 8;
+const DEFAULT_STRIDE_LENGTH = 0.5; // Units walked per walk frame
+const DEFAULT_TALK_FPS = 6;
+const WALK_ANIMATION_MIN_SPEED = 0.2; // Slower than this (units/s) counts as standing
+
 /**
  * Creates a procedurally generated sprite texture for NPCs
  * @returns {THREE.Texture}
@@ -58,9 +66,23 @@ function loadNPCTexture(imagePath) {
   return texture;
 }
 
+/**
+ * Loads a sprite sheet texture, showing one frame at a time
+ * @param {Object} sheet - Manifest spriteSheet entry
+ * @returns {THREE.Texture}
+ */
+function loadSpriteSheetTexture(sheet) {
+  const texture = loadNPCTexture(sheet.image);
+  texture.repeat.set(1 / sheet.columns, 1 / SHEET_DIRECTIONS);
+  return texture;
+}
+
 /**
  * NPC Sprite class - Doom-style 2D sprite that billboards to face camera
- * and performs simple randomized wandering with collision against static walls.
+ * and moves around with collision against static walls. With a sprite sheet
+ * the frame follows which side of the NPC the camera sees and what it's doing. What it does
+ * (wander, walk over to someone, get shoved...) is a behavior state;
+ * see npcBehavior.js.
  */
 export class NPCSprite {
   /**
@@ -68,36 +90,19 @@ export class NPCSprite {
    * @param {THREE.Texture|string|null} textureOrPath - Optional texture or image path
    * @param {THREE.Box3[]} colliders - Static world colliders for NPC movement
    * @param {string} characterName - Character name for dialogue linking (optional)
+   * @param {Object|null} spriteSheet - 8-direction animated sheet from the manifest (optional);
+   *   textureOrPath is still kept as texturePath for UI
    */
-  constructor(position, textureOrPath = null, colliders = [], characterName = null) {
+  constructor(position, textureOrPath = null, colliders = [], characterName = null, spriteSheet = null) {
     this.position = position.clone();
     this.colliders = colliders;
     this.characterName = characterName; // Link to chat character name
     this.speechBubble = null; // Active dialogue bubble (null if none)
     this.texturePath = typeof textureOrPath === 'string' ? textureOrPath : null; // Store texture path for UI
     
-    // Identify Diddy NPC by texture path or character name
-    const texturePathStr = typeof textureOrPath === 'string' ? textureOrPath.toLowerCase() : '';
-    const charNameStr = characterName ? characterName.toLowerCase() : '';
-    this.isDiddy = texturePathStr.includes('diddy') || charNameStr.includes('sean comb');
-    
-    // Identify Kool-Aid Man NPC by texture path or character name
-    this.isKoolAidMan = texturePathStr.includes('koolaid') || charNameStr.includes('kool-aid man');
-    
-    // Identify 6ix9ine NPC by texture path or character name
-    this.is6ix9ine = texturePathStr.includes('6ix9ine') || charNameStr.includes('6ix9ine');
-    
-    // Identify Maduro NPC by texture path or character name
-    this.isMaduro = texturePathStr.includes('maduro') || charNameStr.includes('nicolas maduro');
-    
-    // Identify Cohen NPC by texture path or character name (matches Michael Cohen)
-    this.isCohen = texturePathStr.includes('cohen') || charNameStr.includes('cohen');
-    
-    // Identify Mr. Beast NPC by texture path or character name
-    this.isMrBeast = texturePathStr.includes('mrbeast') || charNameStr.includes('mr. beast') || charNameStr.includes('mr beast');
-
     // Movement/wander parameters
     this.baseY = this.position.y;           // Keep NPCs grounded at this Y
+    this.home = this.position.clone();      // Where returnToCell walks back to
     this.radius = 0.4;                      // Collision radius on XZ plane
     this.baseSpeed = 1.6;
     // Slight per-NPC speed variance so they don't look identical
@@ -108,6 +113,22 @@ export class NPCSprite {
     this.minWanderTime = 0.8;
     this.maxWanderTime = 2.5;
 
+    // Path following (see navGrid.js)
+    this.path = null;                       // Waypoints left to walk (null = no plan yet)
+    this.pathGoal = null;                   // Goal the current path was planned for
+    this.repathTimer = 0;                   // Seconds until a moved goal may be re-planned
+    this.stuckTime = 0;                     // Seconds spent walking without getting anywhere
+    this.lastNavPosition = this.position.clone();
+    this.waypointRadius = 0.35;             // Close enough to a waypoint to head for the next
+    this.repathInterval = 0.5;              // Re-plan a moving goal at most this often
+    this.repathGoalMove = 1.0;              // How far the goal has to move to need a new path
+    this.stuckRepathTime = 0.6;             // Re-plan after being blocked this long
+    this.turnSpeed = 10.0;                  // Radians per second when steering
+
+    // Crowd separation (see crowd.js): push away from nearby bodies, blended into walk()
+    this.separation = new THREE.Vector3();
+    this.separationWeight = 1.2;
+
     // Reusable sphere for cheap sphere-vs-AABB checks
     this.collisionSphere = new THREE.Sphere(this.position.clone(), this.radius);
 
@@ -117,13 +138,28 @@ export class NPCSprite {
     this.maxSpeed = 14.0; // Maximum velocity magnitude (increased for stronger pushes)
     this.damping = 0.80; // Velocity damping per second (reduced for longer travel distance, applied as 0.80^(dt*60))
     
-    // Freeze/stun state after being pushed
+    // Freeze/stun state after being pushed (managed by the 'pushed' state)
     this.frozen = false; // Whether NPC is frozen (can't move)
     this.freezeTimeRemaining = 0; // Time remaining in freeze state (seconds)
 
-    // Create sprite - use provided texture, image path, or procedural texture
+    // Behavior state machine (see npcBehavior.js)
+    this.stateId = null;        // Current state id
+    this.stateData = {};        // Params the state was entered with, plus its own bookkeeping
+    this.stateTime = 0;         // Seconds spent in the current state
+    this.queuedState = null;    // { state, params } requested while in a locked state
+
+    // Sprite sheet animation state (see updateAnimation)
+    this.spriteSheet = spriteSheet;
+    this.animationName = 'idle';
+    this.walkPhase = 0;                     // Walk frames advanced so far (fractional)
+    this.talkTime = 0;                      // Seconds spent talking, for talk frames
+    this.lastAnimationPosition = this.position.clone();
+
+    // Create sprite - use a sprite sheet, provided texture, image path, or procedural texture
     let texture = null;
-    if (textureOrPath instanceof THREE.Texture) {
+    if (spriteSheet) {
+      texture = loadSpriteSheetTexture(spriteSheet);
+    } else if (textureOrPath instanceof THREE.Texture) {
       texture = textureOrPath;
     } else if (typeof textureOrPath === 'string') {
       texture = loadNPCTexture(textureOrPath);
@@ -139,7 +175,7 @@ export class NPCSprite {
 
     this.sprite = new THREE.Sprite(spriteMaterial);
     // Scale taller for image-based sprites (person proportions)
-    const isCustomImage = typeof textureOrPath === 'string' || textureOrPath instanceof THREE.Texture;
+    const isCustomImage = spriteSheet !== null || typeof textureOrPath === 'string' || textureOrPath instanceof THREE.Texture;
     this.sprite.scale.set(isCustomImage ? 1.5 : 2, isCustomImage ? 3 : 2, 1);
     this.sprite.position.copy(this.position);
   }
@@ -188,64 +224,18 @@ export class NPCSprite {
   }
 
   /**
-   * Move along the current wander direction with per-axis collision resolution.
-   * We attempt X, resolve/cancel, then attempt Z, resolve/cancel.
-   * This axis separation prevents jittery corrections when sliding along walls.
+   * Move along the push velocity with per-axis collision, bouncing off walls,
+   * then damp it. Used by the 'pushed' state.
    * @param {number} deltaTime
    */
-  moveWithCollision(deltaTime) {
-    // If frozen, only apply push velocity (from being pushed), no wander movement
-    if (this.frozen) {
-      // Still apply push velocity so NPC continues being pushed away
-      if (this.velocity.lengthSq() > 0.001) {
-        const velocityStep = this.velocity.clone().multiplyScalar(deltaTime);
-        
-        const targetX = this.position.x + velocityStep.x;
-        const targetZ = this.position.z + velocityStep.z;
-        
-        if (!this.hasCollisionAt(targetX, this.position.z)) {
-          this.position.x = targetX;
-        } else {
-          this.velocity.x *= -0.5;
-        }
-        
-        if (!this.hasCollisionAt(this.position.x, targetZ)) {
-          this.position.z = targetZ;
-        } else {
-          this.velocity.z *= -0.5;
-        }
-        
-        // Apply damping to velocity
-        const dampingFactor = Math.pow(this.damping, deltaTime * 60);
-        this.velocity.multiplyScalar(dampingFactor);
-        
-        if (this.velocity.length() > this.maxSpeed) {
-          this.velocity.normalize().multiplyScalar(this.maxSpeed);
-        }
-        
-        if (this.velocity.lengthSq() < 0.001) {
-          this.velocity.set(0, 0, 0);
-        }
-      }
-      
-      // Keep NPC locked to floor height
-      this.position.y = this.baseY;
-      
-      // Update sprite world position
-      this.sprite.position.copy(this.position);
-      return; // Skip wander movement while frozen
-    }
-    
-    // Apply velocity from push interactions first
+  applyVelocity(deltaTime) {
     if (this.velocity.lengthSq() > 0.001) {
-      // Apply velocity movement
       const velocityStep = this.velocity.clone().multiplyScalar(deltaTime);
       
       // Try to move with velocity, checking collisions
       const targetX = this.position.x + velocityStep.x;
       const targetZ = this.position.z + velocityStep.z;
       
-      // Check collisions for velocity movement
       if (!this.hasCollisionAt(targetX, this.position.z)) {
         this.position.x = targetX;
       } else {
@@ -274,56 +264,205 @@ export class NPCSprite {
         this.velocity.set(0, 0, 0);
       }
     }
+    
+    // Keep NPC locked to floor height
+    this.position.y = this.baseY;
+  }
+
+  /**
+   * Walk along wanderYaw, bent away from nearby bodies by the crowd
+   * separation, with per-axis collision resolution.
+   * We attempt X, resolve/cancel, then attempt Z, resolve/cancel.
+   * This axis separation prevents jittery corrections when sliding along walls.
+   * @param {number} deltaTime
+   * @param {number} speedScale - Multiplier on moveSpeed (e.g. running)
+   * @returns {{collidedX: boolean, collidedZ: boolean}}
+   */
+  walk(deltaTime, speedScale = 1) {
+    // Direction vector in XZ from current yaw, plus separation steering
+    let dirX = Math.sin(this.wanderYaw) + this.separation.x * this.separationWeight;
+    let dirZ = Math.cos(this.wanderYaw) + this.separation.z * this.separationWeight;
+    const length = Math.hypot(dirX, dirZ);
+    if (length > 1) {
+      dirX /= length;
+      dirZ /= length;
+    }
+
+    const step = this.moveSpeed * speedScale * deltaTime;
+    const dx = dirX * step;
+    const dz = dirZ * step;
+
+    let collidedX = false;
+    let collidedZ = false;
 
-    // Only apply wander movement if velocity is low (NPCs can't wander while being pushed)
-    if (this.velocity.lengthSq() < 0.5) {
-      // Direction vector in XZ from current yaw
-      const dirX = Math.sin(this.wanderYaw);
-      const dirZ = Math.cos(this.wanderYaw);
-
-      const step = this.moveSpeed * deltaTime;
-      let dx = dirX * step;
-      let dz = dirZ * step;
-
-      const originalYaw = this.wanderYaw;
-      let collidedX = false;
-      let collidedZ = false;
-
-      // Keep NPC locked to floor height
-      this.position.y = this.baseY;
-
-      // --- X axis movement ---
-      if (dx !== 0) {
-        const targetX = this.position.x + dx;
-        if (!this.hasCollisionAt(targetX, this.position.z)) {
-          this.position.x = targetX;
-        } else {
-          // Cancel X movement when moving into collision
-          dx = 0;
-          collidedX = true;
-        }
+    // Keep NPC locked to floor height
+    this.position.y = this.baseY;
+
+    // --- X axis movement ---
+    if (dx !== 0) {
+      const targetX = this.position.x + dx;
+      if (!this.hasCollisionAt(targetX, this.position.z)) {
+        this.position.x = targetX;
+      } else {
+        // Cancel X movement when moving into collision
+        collidedX = true;
       }
+    }
 
-      // --- Z axis movement ---
-      if (dz !== 0) {
-        const targetZ = this.position.z + dz;
-        if (!this.hasCollisionAt(this.position.x, targetZ)) {
-          this.position.z = targetZ;
-        } else {
-          // Cancel Z movement when moving into collision
-          dz = 0;
-          collidedZ = true;
-        }
+    // --- Z axis movement ---
+    if (dz !== 0) {
+      const targetZ = this.position.z + dz;
+      if (!this.hasCollisionAt(this.position.x, targetZ)) {
+        this.position.z = targetZ;
+      } else {
+        // Cancel Z movement when moving into collision
+        collidedZ = true;
       }
+    }
+
+    return { collidedX, collidedZ };
+  }
+
+  /**
+   * Plan a path to a goal; with no nav grid or no way through, head straight for it
+   * @param {THREE.Vector3} goal
+   */
+  planPath(goal) {
+    this.path = findPath(this.position, goal) || [goal.clone()];
+    this.pathGoal = goal.clone();
+    this.repathTimer = this.repathInterval;
+    this.stuckTime = 0;
+  }
+
+  /**
+   * Forget the current path (the next navigateTo plans a new one)
+   */
+  clearPath() {
+    this.path = null;
+    this.pathGoal = null;
+  }
 
-      // If we hit something, immediately "bounce/turn" away
-      if (collidedX || collidedZ) {
-        this.handleBounce(originalYaw, collidedX, collidedZ);
+  /**
+   * Turn wanderYaw toward a point at no more than turnSpeed
+   * @param {THREE.Vector3} point
+   * @param {number} deltaTime
+   */
+  steerToward(point, deltaTime) {
+    const desiredYaw = Math.atan2(point.x - this.position.x, point.z - this.position.z);
+    // Shortest signed angle between current and desired heading
+    const diff = Math.atan2(Math.sin(desiredYaw - this.wanderYaw), Math.cos(desiredYaw - this.wanderYaw));
+    const maxTurn = this.turnSpeed * deltaTime;
+    this.wanderYaw += THREE.MathUtils.clamp(diff, -maxTurn, maxTurn);
+  }
+
+  /**
+   * Follow an A* path to a goal for one frame. Re-plans when the goal has
+   * moved (walking up to someone) or when walls/bodies have kept the NPC
+   * from making progress.
+   * @param {THREE.Vector3} goal
+   * @param {number} deltaTime
+   * @param {number} speedScale - Multiplier on moveSpeed
+   * @returns {boolean} True once the end of the path is reached
+   */
+  navigateTo(goal, deltaTime, speedScale = 1) {
+    this.repathTimer -= deltaTime;
+    const goalMoved = this.pathGoal &&
+      Math.hypot(goal.x - this.pathGoal.x, goal.z - this.pathGoal.z) > this.repathGoalMove;
+    if (!this.path || (goalMoved && this.repathTimer <= 0)) {
+      this.planPath(goal);
+    }
+
+    // Skip waypoints we've reached; the last one is where the path ends
+    const flatDistanceTo = (point) => Math.hypot(point.x - this.position.x, point.z - this.position.z);
+    while (this.path.length > 1 && flatDistanceTo(this.path[0]) < this.waypointRadius) {
+      this.path.shift();
+    }
+    const waypoint = this.path[0];
+    if (this.path.length === 1 && flatDistanceTo(waypoint) < this.waypointRadius) {
+      return true;
+    }
+
+    this.steerToward(waypoint, deltaTime);
+    this.walk(deltaTime, speedScale);
+
+    // Blocked (by a wall corner, or later by other bodies): find another way
+    const moved = Math.hypot(this.position.x - this.lastNavPosition.x, this.position.z - this.lastNavPosition.z);
+    this.lastNavPosition.copy(this.position);
+    if (moved < this.moveSpeed * speedScale * deltaTime * 0.25) {
+      this.stuckTime += deltaTime;
+      if (this.stuckTime >= this.stuckRepathTime) {
+        this.planPath(goal);
       }
     } else {
-      // Keep NPC locked to floor height during push
-      this.position.y = this.baseY;
+      this.stuckTime = 0;
     }
+    return false;
+  }
+
+  /**
+   * Leave the current state and enter another, whether or not it's locked.
+   * @param {string} stateId - Key of NPC_STATES
+   * @param {Object} params - State params (see npcBehavior.js); `then` picks what follows
+   */
+  setState(stateId, params = {}) {
+    const next = NPC_STATES[stateId];
+    if (!next) {
+      console.warn(`Unknown NPC state: ${stateId}`);
+      return;
+    }
+    if (this.stateId) {
+      NPC_STATES[this.stateId].exit(this);
+    }
+    this.stateId = stateId;
+    this.stateData = { ...params };
+    this.stateTime = 0;
+    this.clearPath();
+    next.enter(this, params);
+  }
+
+  /**
+   * Ask the NPC to switch state (chat, anger, etc.). If it's in a locked state
+   * (being shoved) the request waits until that state finishes; a newer
+   * request replaces a waiting one.
+   * @param {string} stateId - Key of NPC_STATES
+   * @param {Object} params - State params (see npcBehavior.js)
+   */
+  requestState(stateId, params = {}) {
+    if (this.stateId && NPC_STATES[this.stateId].locked) {
+      this.queuedState = { state: stateId, params };
+      return;
+    }
+    this.setState(stateId, params);
+  }
+
+  /**
+   * End the current state: go to a waiting request, the state's `then`, or a
+   * weighted pick from NPC_TRANSITIONS.
+   */
+  finishState() {
+    const { then } = this.stateData;
+    if (this.queuedState) {
+      const { state, params } = this.queuedState;
+      this.queuedState = null;
+      this.setState(state, params);
+    } else if (then) {
+      this.setState(typeof then === 'string' ? then : then.state, then.params || {});
+    } else {
+      this.setState(pickNextState(this.stateId));
+    }
+  }
+
+  /**
+   * Run the current state for one frame
+   * @param {number} deltaTime
+   * @param {THREE.Camera} camera - Player camera (states use its position)
+   */
+  updateBehavior(deltaTime, camera) {
+    if (!this.stateId) {
+      this.setState('wander');
+    }
+    this.stateTime += deltaTime;
+    NPC_STATES[this.stateId].update(this, deltaTime, { playerPosition: camera.position });
 
     // Update sprite world position after movement
     this.sprite.position.copy(this.position);
@@ -380,6 +519,72 @@ export class NPCSprite {
     this.sprite.rotation.y = yaw;
   }
 
+  /**
+   * Which of the 8 sheet rows the camera sees: the angle from the NPC's
+   * heading (wanderYaw) around to the camera, in 45° steps
+   * @param {THREE.Camera} camera
+   * @returns {number} 0 = front, 2 = left side, 4 = back, 6 = right side
+   */
+  getViewDirection(camera) {
+    const viewerYaw = Math.atan2(camera.position.x - this.position.x, camera.position.z - this.position.z);
+    const step = (Math.PI * 2) / SHEET_DIRECTIONS;
+    const relative = THREE.MathUtils.euclideanModulo(viewerYaw - this.wanderYaw, Math.PI * 2);
+    return Math.round(relative / step) % SHEET_DIRECTIONS;
+  }
+
+  /**
+   * Pick the sheet frame for this frame: pushed/frozen, walking (advanced by
+   * distance covered), talking (bubble up or in a conversation) or idle,
+   * seen from the camera's side. No-op for single-image NPCs.
+   * @param {number} deltaTime
+   * @param {THREE.Camera} camera
+   */
+  updateAnimation(deltaTime, camera) {
+    if (!this.spriteSheet) return;
+    const { animations, columns } = this.spriteSheet;
+
+    const moved = Math.hypot(
+      this.position.x - this.lastAnimationPosition.x,
+      this.position.z - this.lastAnimationPosition.z
+    );
+    this.lastAnimationPosition.copy(this.position);
+    const speed = deltaTime > 0 ? moved / deltaTime : 0;
+
+    let name = 'idle';
+    if (this.stateId === 'pushed' || this.frozen) {
+      name = 'pushed';
+    } else if (speed > WALK_ANIMATION_MIN_SPEED) {
+      name = 'walk';
+    } else if (this.speechBubble || this.stateId === 'converse') {
+      name = 'talk';
+    }
+    // Sheets without a given animation fall back to idle
+    if (!animations[name]) name = 'idle';
+
+    if (name !== this.animationName) {
+      this.animationName = name;
+      this.walkPhase = 0;
+      this.talkTime = 0;
+    }
+
+    const frames = animations[name];
+    let frameIndex = 0;
+    if (name === 'walk') {
+      this.walkPhase += moved / (this.spriteSheet.strideLength || DEFAULT_STRIDE_LENGTH);
+      frameIndex = Math.floor(this.walkPhase) % frames.length;
+    } else if (name === 'talk') {
+      this.talkTime += deltaTime;
+      frameIndex = Math.floor(this.talkTime * (this.spriteSheet.talkFps || DEFAULT_TALK_FPS)) % frames.length;
+    }
+
+    // Rows run top to bottom in the image; texture V runs bottom to top
+    const row = this.getViewDirection(camera);
+    this.sprite.material.map.offset.set(
+      frames[frameIndex] / columns,
+      1 - (row + 1) / SHEET_DIRECTIONS
+    );
+  }
+
   /**
    * Show a dialogue bubble above this NPC
    * @param {string} text - The dialogue text to display
@@ -398,8 +603,9 @@ export class NPCSprite {
       }
     }
     
-    // Create new bubble
+    // Create new bubble (null when the line isn't shown, e.g. streamer-safe skip)
     this.speechBubble = createBubbleFn(text);
+    if (!this.speechBubble) return;
     
     // Position bubble above NPC head
     const bubbleY = this.position.y + 1.8; // Offset above head
@@ -449,9 +655,8 @@ export class NPCSprite {
       this.velocity.normalize().multiplyScalar(this.maxSpeed);
     }
     
-    // Freeze NPC for 0.5 seconds after being pushed
-    this.frozen = true;
-    this.freezeTimeRemaining = 0.5; // 0.5 seconds freeze
+    // Freeze and slide (a fresh shove restarts the freeze)
+    this.setState('pushed');
   }
 
   /**
@@ -472,40 +677,41 @@ export class NPCSprite {
       }
     }
     
-    // Update freeze state
-    if (this.frozen) {
-      this.freezeTimeRemaining -= deltaTime;
-      if (this.freezeTimeRemaining <= 0) {
-        this.frozen = false;
-        this.freezeTimeRemaining = 0;
-      }
-    }
-    
-    this.updateWander(deltaTime);
-    this.moveWithCollision(deltaTime);
+    this.updateBehavior(deltaTime, camera);
     this.updateBillboard(camera);
+    this.updateAnimation(deltaTime, camera);
+    this.updateSpeechBubble(deltaTime, camera, updateBubbleBillboardFn, updateBubbleLifetimeFn, disposeBubbleFn);
+  }
+
+  /**
+   * Keep the dialogue bubble above the NPC, facing the camera, and expire it.
+   * @param {number} deltaTime - Time since last frame in seconds
+   * @param {THREE.Camera} camera - Camera to face
+   * @param {Function} updateBubbleBillboardFn - Function to update bubble billboard
+   * @param {Function} updateBubbleLifetimeFn - Function to update bubble lifetime
+   * @param {Function} disposeBubbleFn - Function to dispose bubble
+   */
+  updateSpeechBubble(deltaTime, camera, updateBubbleBillboardFn = null, updateBubbleLifetimeFn = null, disposeBubbleFn = null) {
+    if (!this.speechBubble) return;
     
-    // Update dialogue bubble if present
-    if (this.speechBubble) {
-      // Update bubble position to follow NPC
-      const bubbleY = this.position.y + 1.8;
-      this.speechBubble.sprite.position.set(
-        this.position.x,
-        bubbleY,
-        this.position.z
-      );
-      
-      // Update billboard rotation to face camera
-      if (updateBubbleBillboardFn) {
-        updateBubbleBillboardFn(this.speechBubble.sprite, this.position, camera);
-      }
-      
-      // Update lifetime and remove if expired
-      if (updateBubbleLifetimeFn) {
-        const shouldRemove = updateBubbleLifetimeFn(this.speechBubble, deltaTime);
-        if (shouldRemove) {
-          this.hideDialogue(disposeBubbleFn);
-        }
+    // Update bubble position to follow NPC
+    const bubbleY = this.position.y + 1.8;
+    this.speechBubble.sprite.position.set(
+      this.position.x,
+      bubbleY,
+      this.position.z
+    );
+    
+    // Update billboard rotation to face camera
+    if (updateBubbleBillboardFn) {
+      updateBubbleBillboardFn(this.speechBubble.sprite, this.position, camera);
+    }
+    
+    // Update lifetime and remove if expired
+    if (updateBubbleLifetimeFn) {
+      const shouldRemove = updateBubbleLifetimeFn(this.speechBubble, deltaTime);
+      if (shouldRemove) {
+        this.hideDialogue(disposeBubbleFn);
       }
     }
   }
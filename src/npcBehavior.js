@@ -0,0 +1,339 @@
+/**
+ * NPC BEHAVIOR MODULE
+ *
+ * The states an NPCSprite can be in and how it moves between them. Each
+ * state has enter(npc, params), update(npc, deltaTime, context) and
+ * exit(npc) hooks; update calls npc.finishState() when the state is done.
+ * The next state then comes from `then` in the state's params (e.g. walk to
+ * someone, then talk) or, failing that, a weighted pick from NPC_TRANSITIONS.
+ *
+ *   idle          : stand around for a bit
+ *   wander        : stroll between random nearby spots (the old random walk,
+ *                   bouncing off walls, when there's no nav grid)
+ *   walkTo        : walk up to an NPC or a point ({ target, arriveDistance })
+ *   converse      : stand facing another NPC ({ partner }); pulls them in too
+ *   followPlayer  : tail the player for a while
+ *   flee          : run from the player (or { from }) until far enough away
+ *   returnToCell  : walk back to the spot they started on (npc.home)
+ *   pushed        : frozen and sliding after a shove; can't be interrupted
+ *
+ * Other code asks for a state with npc.requestState(id, params), e.g.
+ *   npc.requestState('walkTo', { target: diddy, then: { state: 'converse', params: { partner: diddy } } })
+ * Requests made while an NPC is pushed wait until it recovers. Moving states
+ * walk A* paths over the nav grid (see navGrid.js and NPCSprite.navigateTo).
+ *
+ * Exports:
+ *   - NPC_STATES : State hooks by id
+ *   - NPC_TRANSITIONS : Weights for what an NPC does after finishing each state
+ *   - pickNextState(stateId) : Weighted pick from NPC_TRANSITIONS
+ */
+
+import * as THREE from 'three';
+import { getRandomWalkablePoint } from './navGrid.js';
+
+// ===========================================
+// CONFIGURATION
+// ===========================================
+
+const IDLE_TIME = [1.0, 4.0]; // Seconds [min, max]
+const WANDER_TIME = [4.0, 12.0];
+const CONVERSE_TIME = [4.0, 8.0];
+const FOLLOW_TIME = 10.0; // Default seconds spent tailing the player
+const FLEE_TIME = 5.0; // Longest a flee lasts
+const WALK_TIMEOUT = 40.0; // Give up walking somewhere after this long (end to end of the tier is ~25 s)
+
+const ARRIVE_DISTANCE_NPC = 1.5; // How close walkTo gets to another NPC
+const ARRIVE_DISTANCE_POINT = 0.4; // How close walkTo / returnToCell get to a point
+const CONVERSE_MAX_DISTANCE = 4.0; // Conversation ends if the partner drifts further
+const FOLLOW_DISTANCE = 2.5; // Followers hang back this far from the player
+const FLEE_DISTANCE = 12.0; // Fleeing stops once this far away
+const FLEE_SPEED_SCALE = 1.6; // Running, not strolling
+const WANDER_RADIUS = 8.0; // How far away a wander spot can be
+
+const PUSH_FREEZE_TIME = 0.5; // Seconds a shoved NPC is stunned
+const PUSH_SETTLE_SPEED_SQ = 0.5; // Below this squared speed a shoved NPC has stopped sliding
+
+/**
+ * What an NPC does after finishing a state on its own (no `then`).
+ * Weights per next state; they don't need to add up to 1.
+ */
+export const NPC_TRANSITIONS = {
+  idle: { wander: 0.75, idle: 0.15, returnToCell: 0.1 },
+  wander: { wander: 0.5, idle: 0.4, returnToCell: 0.1 },
+  walkTo: { idle: 1 },
+  converse: { idle: 0.5, wander: 0.5 },
+  followPlayer: { wander: 1 },
+  flee: { idle: 1 },
+  returnToCell: { idle: 1 },
+  pushed: { idle: 0.4, wander: 0.4, flee: 0.2 }
+};
+
+// ===========================================
+// HELPERS
+// ===========================================
+
+/**
+ * Random duration from a [min, max] pair
+ * @param {number[]} range
+ * @returns {number}
+ */
+function randomTime(range) {
+  return THREE.MathUtils.randFloat(range[0], range[1]);
+}
+
+/**
+ * World position of an NPC or point target
+ * @param {NPCSprite|THREE.Vector3} target
+ * @returns {THREE.Vector3}
+ */
+function getTargetPosition(target) {
+  return target.position || target;
+}
+
+/**
+ * Flat (XZ) distance between two points
+ * @param {THREE.Vector3} a
+ * @param {THREE.Vector3} b
+ * @returns {number}
+ */
+function flatDistance(a, b) {
+  return Math.hypot(b.x - a.x, b.z - a.z);
+}
+
+/**
+ * Heading (wanderYaw convention) from one point toward another
+ * @param {THREE.Vector3} from
+ * @param {THREE.Vector3} to
+ * @returns {number}
+ */
+function yawToward(from, to) {
+  return Math.atan2(to.x - from.x, to.z - from.z);
+}
+
+/**
+ * Whether an NPC is in a conversation with another
+ * @param {NPCSprite} npc
+ * @param {NPCSprite} partner
+ * @returns {boolean}
+ */
+function isConversingWith(npc, partner) {
+  return npc.stateId === 'converse' && npc.stateData.partner === partner;
+}
+
+/**
+ * Whether an NPC is still in the block (its sprite hasn't been taken out of the scene)
+ * @param {NPCSprite} npc
+ * @returns {boolean}
+ */
+function isInBlock(npc) {
+  return npc.getSprite().parent !== null;
+}
+
+/**
+ * Walk toward a point, finishing the state on arrival or timeout
+ * @param {NPCSprite} npc
+ * @param {THREE.Vector3} point
+ * @param {number} arriveDistance
+ * @param {number} deltaTime
+ */
+function walkToward(npc, point, arriveDistance, deltaTime) {
+  if (flatDistance(npc.position, point) <= arriveDistance || npc.stateTime >= WALK_TIMEOUT) {
+    npc.finishState();
+    return;
+  }
+  // The end of the path can fall short of a goal nobody can stand on (a cell)
+  if (npc.navigateTo(point, deltaTime)) {
+    npc.finishState();
+  }
+}
+
+// ===========================================
+// STATES
+// ===========================================
+
+export const NPC_STATES = {
+  idle: {
+    enter(npc) {
+      npc.stateData.duration = randomTime(IDLE_TIME);
+    },
+    update(npc) {
+      if (npc.stateTime >= npc.stateData.duration) npc.finishState();
+    },
+    exit() {}
+  },
+
+  wander: {
+    enter(npc) {
+      npc.stateData.duration = randomTime(WANDER_TIME);
+      npc.stateData.spot = getRandomWalkablePoint(npc.position, WANDER_RADIUS);
+      npc.pickNewWander();
+    },
+    update(npc, deltaTime) {
+      if (npc.stateTime >= npc.stateData.duration) {
+        npc.finishState();
+        return;
+      }
+      if (npc.stateData.spot) {
+        if (npc.navigateTo(npc.stateData.spot, deltaTime)) {
+          npc.stateData.spot = getRandomWalkablePoint(npc.position, WANDER_RADIUS) || npc.stateData.spot;
+          npc.clearPath();
+        }
+        return;
+      }
+      npc.updateWander(deltaTime);
+      const originalYaw = npc.wanderYaw;
+      const { collidedX, collidedZ } = npc.walk(deltaTime);
+      // If we hit something, immediately "bounce/turn" away
+      if (collidedX || collidedZ) {
+        npc.handleBounce(originalYaw, collidedX, collidedZ);
+      }
+    },
+    exit() {}
+  },
+
+  walkTo: {
+    enter(npc, params) {
+      if (!params.target) {
+        console.warn('walkTo needs a target');
+        npc.finishState();
+      }
+    },
+    update(npc, deltaTime) {
+      const { target, arriveDistance } = npc.stateData;
+      if (target.position && !isInBlock(target)) {
+        npc.finishState();
+        return;
+      }
+      const distance = arriveDistance || (target.position ? ARRIVE_DISTANCE_NPC : ARRIVE_DISTANCE_POINT);
+      walkToward(npc, getTargetPosition(target), distance, deltaTime);
+    },
+    exit() {}
+  },
+
+  converse: {
+    enter(npc, params) {
+      const partner = params.partner;
+      if (!partner || partner === npc) {
+        console.warn('converse needs another NPC');
+        npc.finishState();
+        return;
+      }
+      npc.stateData.duration = params.duration || randomTime(CONVERSE_TIME);
+      // The partner stops to talk back (unless they're busy being shoved)
+      if (!isConversingWith(partner, npc)) {
+        partner.requestState('converse', { partner: npc, duration: npc.stateData.duration });
+      }
+    },
+    update(npc) {
+      const partner = npc.stateData.partner;
+      const partnerLeft = !isInBlock(partner) || !isConversingWith(partner, npc) ||
+        flatDistance(npc.position, partner.position) > CONVERSE_MAX_DISTANCE;
+      if (partnerLeft || npc.stateTime >= npc.stateData.duration) {
+        npc.finishState();
+        return;
+      }
+      npc.wanderYaw = yawToward(npc.position, partner.position);
+    },
+    exit() {}
+  },
+
+  followPlayer: {
+    enter(npc, params) {
+      npc.stateData.duration = params.duration || FOLLOW_TIME;
+    },
+    update(npc, deltaTime, context) {
+      if (npc.stateTime >= npc.stateData.duration) {
+        npc.finishState();
+        return;
+      }
+      if (flatDistance(npc.position, context.playerPosition) > FOLLOW_DISTANCE) {
+        npc.navigateTo(context.playerPosition, deltaTime);
+      } else {
+        npc.wanderYaw = yawToward(npc.position, context.playerPosition);
+      }
+    },
+    exit() {}
+  },
+
+  flee: {
+    enter(npc, params) {
+      npc.stateData.duration = params.duration || FLEE_TIME;
+    },
+    update(npc, deltaTime, context) {
+      const threat = npc.stateData.from ? getTargetPosition(npc.stateData.from) : context.playerPosition;
+      if (npc.stateTime >= npc.stateData.duration || flatDistance(npc.position, threat) >= FLEE_DISTANCE) {
+        npc.finishState();
+        return;
+      }
+      // Run for a spot further off in the direction away from the threat
+      if (!npc.stateData.destination) {
+        const away = yawToward(threat, npc.position);
+        npc.stateData.destination = new THREE.Vector3(
+          npc.position.x + Math.sin(away) * FLEE_DISTANCE,
+          npc.position.y,
+          npc.position.z + Math.cos(away) * FLEE_DISTANCE
+        );
+      }
+      if (npc.navigateTo(npc.stateData.destination, deltaTime, FLEE_SPEED_SCALE)) {
+        npc.finishState();
+      }
+    },
+    exit() {}
+  },
+
+  returnToCell: {
+    enter() {},
+    update(npc, deltaTime) {
+      walkToward(npc, npc.home, ARRIVE_DISTANCE_POINT, deltaTime);
+    },
+    exit() {}
+  },
+
+  pushed: {
+    enter(npc) {
+      // Freeze NPC after being pushed; velocity was set by applyPush
+      npc.frozen = true;
+      npc.freezeTimeRemaining = PUSH_FREEZE_TIME;
+    },
+    update(npc, deltaTime) {
+      if (npc.frozen) {
+        npc.freezeTimeRemaining -= deltaTime;
+        if (npc.freezeTimeRemaining <= 0) {
+          npc.frozen = false;
+          npc.freezeTimeRemaining = 0;
+        }
+      }
+      npc.applyVelocity(deltaTime);
+      // NPCs can't walk off until they've stopped sliding
+      if (!npc.frozen && npc.velocity.lengthSq() < PUSH_SETTLE_SPEED_SQ) {
+        npc.finishState();
+      }
+    },
+    exit(npc) {
+      npc.frozen = false;
+      npc.freezeTimeRemaining = 0;
+    },
+    locked: true // requestState() waits until this state is over
+  }
+};
+
+// ===========================================
+// PUBLIC API
+// ===========================================
+
+/**
+ * Weighted pick of what to do after a state finishes
+ * @param {string} stateId - State that just finished
+ * @returns {string} Next state id
+ */
+export function pickNextState(stateId) {
+  const weights = NPC_TRANSITIONS[stateId] || NPC_TRANSITIONS.idle;
+  const entries = Object.entries(weights);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  let roll = Math.random() * total;
+  for (const [nextId, weight] of entries) {
+    roll -= weight;
+    if (roll < 0) return nextId;
+  }
+  return entries[entries.length - 1][0];
+}
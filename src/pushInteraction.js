@@ -5,7 +5,7 @@
  * Includes hand overlay animation and proximity detection.
  * 
  * Exports:
- *   - initPushInteraction(npcs, playerCamera) : Initialize the system
+ *   - initPushInteraction(npcs, playerCamera, controls, onPush) : Initialize the system
  *   - updatePushInteraction(deltaTime, playerPosition) : Update per frame
  *   - cleanupPushInteraction() : Cleanup on game end
  */
@@ -47,6 +47,7 @@ let playerPushCooldown = 0;
 
 // Track last pushed NPC
 let lastPushedNPC = null;
+let onPushCallback = null; // Called with the NPC after every successful push
 
 // UI elements
 let handOverlay = null;
@@ -431,6 +432,9 @@ function attemptPush() {
 
   // Track last pushed NPC
   lastPushedNPC = npc;
+  if (typeof onPushCallback === 'function') {
+    onPushCallback(npc);
+  }
 
   if (canAddAngerFromPush()) {
     onNPCHitPush(npc.characterName || npc.id || 'npc');
@@ -484,11 +488,13 @@ function handleKeyUp(event) {
  * @param {Array} npcsArray - Array of NPCSprite instances
  * @param {THREE.Camera} camera - Player camera
  * @param {Object} controls - Player controls (for pointer lock check)
+ * @param {Function} [onPush] - Called with the pushed NPC after each push
  */
-export function initPushInteraction(npcsArray, camera, controls) {
+export function initPushInteraction(npcsArray, camera, controls, onPush = null) {
   npcs = npcsArray;
   playerCamera = camera;
   playerControls = controls;
+  onPushCallback = onPush;
   
   // Create UI elements
   createHandOverlay();
@@ -15,6 +15,7 @@ const CONFIG = {
   baseIncrement: 0.08,
   comboBonus: 0.035,
   decayRate: 0.08,
+  insultIncrement: 0.15, // Anger from insulting an inmate in chat
   popDurationMs: 140
 };
 
@@ -52,6 +53,7 @@ let opponentNPC = null;
 let opponentStartPosition = null;
 let opponentStartRotation = null;
 let onWinCallback = null;
+let onFightEndCallback = null;
 
 // Fight audio
 let fightAudio = null;
@@ -1705,6 +1707,10 @@ function endFight(result) {
     }
   }
 
+  if (typeof onFightEndCallback === 'function') {
+    onFightEndCallback({ won: isWin, opponent: opponentNPC });
+  }
+
   // Remove input listener
   document.removeEventListener('keydown', handleDDRKeyDown, true);
   if (fight.resizeHandler) {
@@ -1787,13 +1793,16 @@ function endFight(result) {
     fight.notes = [];
   }
 
-  // Restore opponent
+  // Restore opponent; a beaten opponent runs off, a winner heads back to their spot
   if (opponentNPC && opponentStartPosition) {
     opponentNPC.position.copy(opponentStartPosition);
     if (opponentStartRotation !== null) {
       opponentNPC.getSprite().rotation.y = opponentStartRotation;
     }
   }
+  if (opponentNPC) {
+    opponentNPC.requestState(isWin ? 'flee' : 'returnToCell');
+  }
   opponentNPC = null;
   opponentStartPosition = null;
   opponentStartRotation = null;
@@ -1824,6 +1833,7 @@ export function initAngerSystem(options = {}) {
   camera = options.camera || null;
   setCameraLocked = options.setCameraLocked || null;
   onWinCallback = options.onWin || null;
+  onFightEndCallback = options.onFightEnd || null;
 
   createAngerUI();
   createFightUI();
@@ -1896,10 +1906,32 @@ export function onNPCHitPush(npcId) {
   setAngerUI(anger.value);
 }
 
+export function onNPCInsulted(npcId) {
+  // Don't accumulate anger during fight
+  if (anger.isFightActive) return;
+
+  // Counts as activity like a push, so the bar doesn't start draining straight away
+  anger.lastPushTime = performance.now();
+  anger.value = clamp01(anger.value + CONFIG.insultIncrement);
+
+  // The insulted inmate comes over to square up
+  const insulted = npcPool.find(npc => npc.characterName === npcId);
+  if (insulted) {
+    insulted.requestState('followPlayer');
+  }
+
+  popAngerFill();
+  setAngerUI(anger.value);
+}
+
 export function isFightActive() {
   return anger.isFightActive;
 }
 
+export function getFightOpponent() {
+  return anger.isFightActive ? opponentNPC : null;
+}
+
 export function canAddAngerFromPush() {
   return !anger.isFightActive;
 }
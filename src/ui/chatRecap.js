@@ -0,0 +1,47 @@
+/**
+ * Chat Recap - "previously in the GC" on the start screen
+ *
+ * Shows the last few lines saved by chat/chatStorage.js in the
+ * #start-screen-recap element. Stays hidden when there's no history.
+ */
+
+import { loadRecentChatLines } from '../chat/chatStorage.js';
+import { stripRichText } from '../chat/richText.js';
+import { makeStreamerSafe, maskProfanity } from '../chat/profanityFilter.js';
+import { getStreamerSafeSetting } from './settings.js';
+
+const RECAP_LINES = 6; // Lines shown on the start screen
+
+/**
+ * Fill the start screen recap from stored chat history
+ */
+export function showChatRecap() {
+  const recap = document.getElementById('start-screen-recap');
+  if (!recap) return;
+
+  loadRecentChatLines(RECAP_LINES).then(lines => {
+    const streamerSafe = getStreamerSafeSetting();
+    const rows = lines
+      .map(line => {
+        const text = streamerSafe ? makeStreamerSafe(line.text) : line.text;
+        if (text === null) return null;
+        const name = streamerSafe ? maskProfanity(line.name) : line.name;
+
+        const row = document.createElement('div');
+        row.className = 'recap-line';
+        const channel = line.channel === 'block' ? '' : ` #${line.channel}`;
+        row.textContent = line.kind === 'emote'
+          ? `[${line.gameTime}]${channel} * ${name} ${stripRichText(text)}`
+          : `[${line.gameTime}]${channel} ${name}: ${stripRichText(text)}`;
+        return row;
+      })
+      .filter(Boolean);
+    if (rows.length === 0) return;
+
+    const heading = document.createElement('div');
+    heading.className = 'recap-heading';
+    heading.textContent = 'previously in the GC';
+    recap.replaceChildren(heading, ...rows);
+    recap.classList.add('visible');
+  });
+}
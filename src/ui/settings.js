@@ -1,22 +1,108 @@
 /**
  * Settings UI - Top right settings panel with master volume control
  * Semi-transparent clickable text that expands to show volume slider
+ * and chat options. Chat options are saved to localStorage.
  */
 
+import { CHAT_THEMES, DEFAULT_CHAT_THEME, getChatTheme } from '../chat/chatThemes.js';
+
+const STORAGE_PREFIX = 'mdc.settings.';
+
 // Master volume value (0.0 to 1.0)
 let masterVolume = 0.3;
 
+// Chat window skin id (see chatThemes.js)
+let chatTheme = getChatTheme(loadSetting('chatTheme', DEFAULT_CHAT_THEME)).id;
+
+// Mask profanity in chat and speech bubbles (see chat/profanityFilter.js)
+let streamerSafe = loadSetting('streamerSafe', false) === true;
+
+// Read NPC chat lines aloud (see audio/chatSpeech.js)
+let chatSpeech = loadSetting('chatSpeech', false) === true;
+
+// Popped-out chat window background (see chat/chatPopout.js)
+export const POPOUT_BACKGROUNDS = [
+  { id: 'theme', label: 'Chat theme' },
+  { id: 'transparent', label: 'Transparent' },
+  { id: 'chroma', label: 'Chroma green' }
+];
+let popoutBackground = getPopoutBackgroundId(loadSetting('popoutBackground', 'theme'));
+
+// Hide the in-game chat panel while the chat is popped out
+let hideChatWhilePoppedOut = loadSetting('hideChatWhilePoppedOut', true) === true;
+
 // Callbacks to notify audio sources of volume changes
 const volumeChangeCallbacks = [];
 
+// Callbacks to notify the chat window of theme changes
+const chatThemeChangeCallbacks = [];
+
+// Callbacks to notify the chat window of streamer-safe changes
+const streamerSafeChangeCallbacks = [];
+
+// Callbacks to notify chat speech of on/off changes
+const chatSpeechChangeCallbacks = [];
+
+// Callbacks to run when the player clears saved chat history
+const clearChatHistoryCallbacks = [];
+
+// Callbacks to notify the chat pop-out of background / hide-panel changes
+const popoutBackgroundChangeCallbacks = [];
+const hideChatWhilePoppedOutChangeCallbacks = [];
+
 // DOM elements
 let settingsContainer = null;
 let settingsButton = null;
 let settingsPanel = null;
 let volumeSlider = null;
 let volumeLabel = null;
+let chatThemeSelect = null;
+let streamerSafeCheckbox = null;
+let chatSpeechCheckbox = null;
+let clearHistoryButton = null;
+let popoutBackgroundSelect = null;
+let hideChatCheckbox = null;
 let isOpen = false;
 
+const CLEARED_LABEL_MS = 1500; // How long the clear button says "cleared"
+
+/**
+ * Read a saved setting
+ * @param {string} key
+ * @param {*} fallback - Returned when nothing is saved or storage is unavailable
+ * @returns {*}
+ */
+function loadSetting(key, fallback) {
+  try {
+    const raw = localStorage.getItem(STORAGE_PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+/**
+ * Check a pop-out background id, falling back to the chat theme's own background
+ * @param {string} id
+ * @returns {string}
+ */
+function getPopoutBackgroundId(id) {
+  return POPOUT_BACKGROUNDS.some(background => background.id === id) ? id : 'theme';
+}
+
+/**
+ * Save a setting (silently skipped when storage is unavailable, e.g. private mode)
+ * @param {string} key
+ * @param {*} value - Anything JSON-serializable
+ */
+function saveSetting(key, value) {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`Could not save setting "${key}"`);
+  }
+}
+
 /**
  * Initialize the settings UI
  * Creates the settings button and panel in the DOM
@@ -34,6 +120,33 @@ export function initSettings() {
         <input type="range" id="volume-slider" min="0" max="100" value="30">
         <span id="volume-label">30%</span>
       </div>
+      <div class="settings-row">
+        <label for="chat-theme-select">Chat Theme</label>
+        <select id="chat-theme-select">
+          ${CHAT_THEMES.map(theme => `<option value="${theme.id}">${theme.label}</option>`).join('')}
+        </select>
+      </div>
+      <div class="settings-row settings-row-inline">
+        <input type="checkbox" id="streamer-safe-checkbox">
+        <label for="streamer-safe-checkbox">Streamer Safe (mask profanity)</label>
+      </div>
+      <div class="settings-row settings-row-inline">
+        <input type="checkbox" id="chat-speech-checkbox">
+        <label for="chat-speech-checkbox">Speak Chat Lines (TTS)</label>
+      </div>
+      <div class="settings-row">
+        <label for="popout-background-select">Pop-out Chat Background</label>
+        <select id="popout-background-select">
+          ${POPOUT_BACKGROUNDS.map(background => `<option value="${background.id}">${background.label}</option>`).join('')}
+        </select>
+      </div>
+      <div class="settings-row settings-row-inline">
+        <input type="checkbox" id="hide-chat-checkbox">
+        <label for="hide-chat-checkbox">Hide In-Game Chat While Popped Out</label>
+      </div>
+      <div class="settings-row">
+        <button id="clear-chat-history-button">Clear Chat History</button>
+      </div>
     </div>
   `;
   
@@ -93,6 +206,35 @@ export function initSettings() {
       gap: 8px;
     }
     
+    .settings-row + .settings-row {
+      margin-top: 14px;
+    }
+    
+    .settings-row-inline {
+      flex-direction: row;
+      align-items: center;
+    }
+    
+    .settings-row-inline input[type="checkbox"] {
+      margin: 0;
+      cursor: pointer;
+    }
+    
+    .settings-row select {
+      background: rgba(255, 255, 255, 0.1);
+      color: #fff;
+      border: 1px solid rgba(255, 255, 255, 0.3);
+      border-radius: 4px;
+      padding: 4px 6px;
+      font-size: 13px;
+      cursor: pointer;
+    }
+    
+    .settings-row select option {
+      background: #222;
+      color: #fff;
+    }
+    
     .settings-row label {
       color: rgba(255, 255, 255, 0.8);
       font-size: 13px;
@@ -130,6 +272,20 @@ export function initSettings() {
       box-shadow: 0 2px 4px rgba(0, 0, 0, 0.3);
     }
     
+    .settings-row button {
+      background: rgba(255, 255, 255, 0.1);
+      color: #fff;
+      border: 1px solid rgba(255, 255, 255, 0.3);
+      border-radius: 4px;
+      padding: 4px 6px;
+      font-size: 13px;
+      cursor: pointer;
+    }
+    
+    .settings-row button:hover {
+      background: rgba(255, 255, 255, 0.2);
+    }
+    
     #volume-label {
       color: rgba(255, 255, 255, 0.6);
       font-size: 12px;
@@ -145,6 +301,17 @@ export function initSettings() {
   settingsPanel = document.getElementById('settings-panel');
   volumeSlider = document.getElementById('volume-slider');
   volumeLabel = document.getElementById('volume-label');
+  chatThemeSelect = document.getElementById('chat-theme-select');
+  chatThemeSelect.value = chatTheme;
+  streamerSafeCheckbox = document.getElementById('streamer-safe-checkbox');
+  streamerSafeCheckbox.checked = streamerSafe;
+  chatSpeechCheckbox = document.getElementById('chat-speech-checkbox');
+  chatSpeechCheckbox.checked = chatSpeech;
+  clearHistoryButton = document.getElementById('clear-chat-history-button');
+  popoutBackgroundSelect = document.getElementById('popout-background-select');
+  popoutBackgroundSelect.value = popoutBackground;
+  hideChatCheckbox = document.getElementById('hide-chat-checkbox');
+  hideChatCheckbox.checked = hideChatWhilePoppedOut;
   
   // Event listeners
   settingsButton.addEventListener('click', togglePanel);
@@ -154,6 +321,36 @@ export function initSettings() {
     setMasterVolume(value / 100);
   });
   
+  chatThemeSelect.addEventListener('change', (e) => {
+    setChatTheme(e.target.value);
+  });
+  
+  streamerSafeCheckbox.addEventListener('change', (e) => {
+    setStreamerSafe(e.target.checked);
+  });
+  
+  chatSpeechCheckbox.addEventListener('change', (e) => {
+    setChatSpeech(e.target.checked);
+  });
+  
+  popoutBackgroundSelect.addEventListener('change', (e) => {
+    setPopoutBackground(e.target.value);
+  });
+  
+  hideChatCheckbox.addEventListener('change', (e) => {
+    setHideChatWhilePoppedOut(e.target.checked);
+  });
+  
+  clearHistoryButton.addEventListener('click', () => {
+    clearChatHistoryCallbacks.forEach(callback => callback());
+    clearHistoryButton.textContent = 'Chat History Cleared';
+    clearHistoryButton.disabled = true;
+    setTimeout(() => {
+      clearHistoryButton.textContent = 'Clear Chat History';
+      clearHistoryButton.disabled = false;
+    }, CLEARED_LABEL_MS);
+  });
+  
   // Close panel when clicking outside
   document.addEventListener('click', (e) => {
     if (isOpen && !settingsContainer.contains(e.target)) {
@@ -231,6 +428,191 @@ export function onVolumeChange(callback) {
   }
 }
 
+/**
+ * Set the chat window theme and remember it for next time
+ * @param {string} themeId - Id from CHAT_THEMES
+ */
+export function setChatTheme(themeId) {
+  chatTheme = getChatTheme(themeId).id;
+  saveSetting('chatTheme', chatTheme);
+  
+  // Update UI
+  if (chatThemeSelect) {
+    chatThemeSelect.value = chatTheme;
+  }
+  
+  // Notify all registered callbacks
+  chatThemeChangeCallbacks.forEach(callback => callback(chatTheme));
+}
+
+/**
+ * Get the current chat theme id
+ * @returns {string}
+ */
+export function getChatThemeSetting() {
+  return chatTheme;
+}
+
+/**
+ * Register a callback to be notified when the chat theme changes
+ * @param {Function} callback - Function to call with the new theme id
+ */
+export function onChatThemeChange(callback) {
+  if (typeof callback === 'function') {
+    chatThemeChangeCallbacks.push(callback);
+  }
+}
+
+/**
+ * Turn streamer-safe mode on or off and remember it for next time
+ * @param {boolean} enabled
+ */
+export function setStreamerSafe(enabled) {
+  streamerSafe = !!enabled;
+  saveSetting('streamerSafe', streamerSafe);
+  
+  // Update UI
+  if (streamerSafeCheckbox) {
+    streamerSafeCheckbox.checked = streamerSafe;
+  }
+  
+  // Notify all registered callbacks
+  streamerSafeChangeCallbacks.forEach(callback => callback(streamerSafe));
+}
+
+/**
+ * Check whether streamer-safe mode is on
+ * @returns {boolean}
+ */
+export function getStreamerSafeSetting() {
+  return streamerSafe;
+}
+
+/**
+ * Register a callback to be notified when streamer-safe mode changes
+ * @param {Function} callback - Function to call with the new on/off value
+ */
+export function onStreamerSafeChange(callback) {
+  if (typeof callback === 'function') {
+    streamerSafeChangeCallbacks.push(callback);
+  }
+}
+
+/**
+ * Turn spoken chat lines on or off and remember it for next time
+ * @param {boolean} enabled
+ */
+export function setChatSpeech(enabled) {
+  chatSpeech = !!enabled;
+  saveSetting('chatSpeech', chatSpeech);
+  
+  // Update UI
+  if (chatSpeechCheckbox) {
+    chatSpeechCheckbox.checked = chatSpeech;
+  }
+  
+  // Notify all registered callbacks
+  chatSpeechChangeCallbacks.forEach(callback => callback(chatSpeech));
+}
+
+/**
+ * Check whether chat lines are spoken aloud
+ * @returns {boolean}
+ */
+export function getChatSpeechSetting() {
+  return chatSpeech;
+}
+
+/**
+ * Register a callback to be notified when spoken chat is turned on or off
+ * @param {Function} callback - Function to call with the new on/off value
+ */
+export function onChatSpeechChange(callback) {
+  if (typeof callback === 'function') {
+    chatSpeechChangeCallbacks.push(callback);
+  }
+}
+
+/**
+ * Set the popped-out chat window's background and remember it for next time
+ * @param {string} backgroundId - Id from POPOUT_BACKGROUNDS
+ */
+export function setPopoutBackground(backgroundId) {
+  popoutBackground = getPopoutBackgroundId(backgroundId);
+  saveSetting('popoutBackground', popoutBackground);
+  
+  // Update UI
+  if (popoutBackgroundSelect) {
+    popoutBackgroundSelect.value = popoutBackground;
+  }
+  
+  // Notify all registered callbacks
+  popoutBackgroundChangeCallbacks.forEach(callback => callback(popoutBackground));
+}
+
+/**
+ * Get the popped-out chat window's background id
+ * @returns {string}
+ */
+export function getPopoutBackgroundSetting() {
+  return popoutBackground;
+}
+
+/**
+ * Register a callback to be notified when the pop-out background changes
+ * @param {Function} callback - Function to call with the new background id
+ */
+export function onPopoutBackgroundChange(callback) {
+  if (typeof callback === 'function') {
+    popoutBackgroundChangeCallbacks.push(callback);
+  }
+}
+
+/**
+ * Choose whether the in-game chat panel hides while the chat is popped out
+ * @param {boolean} enabled
+ */
+export function setHideChatWhilePoppedOut(enabled) {
+  hideChatWhilePoppedOut = !!enabled;
+  saveSetting('hideChatWhilePoppedOut', hideChatWhilePoppedOut);
+  
+  // Update UI
+  if (hideChatCheckbox) {
+    hideChatCheckbox.checked = hideChatWhilePoppedOut;
+  }
+  
+  // Notify all registered callbacks
+  hideChatWhilePoppedOutChangeCallbacks.forEach(callback => callback(hideChatWhilePoppedOut));
+}
+
+/**
+ * Check whether the in-game chat panel hides while popped out
+ * @returns {boolean}
+ */
+export function getHideChatWhilePoppedOutSetting() {
+  return hideChatWhilePoppedOut;
+}
+
+/**
+ * Register a callback to be notified when the hide-while-popped-out option changes
+ * @param {Function} callback - Function to call with the new on/off value
+ */
+export function onHideChatWhilePoppedOutChange(callback) {
+  if (typeof callback === 'function') {
+    hideChatWhilePoppedOutChangeCallbacks.push(callback);
+  }
+}
+
+/**
+ * Register a callback to run when the player clears saved chat history
+ * @param {Function} callback - Function to call (no arguments)
+ */
+export function onClearChatHistory(callback) {
+  if (typeof callback === 'function') {
+    clearChatHistoryCallbacks.push(callback);
+  }
+}
+
 /**
  * Show the settings UI (called after game starts)
  */
@@ -0,0 +1,39 @@
+/**
+ * Start Screen Carousel - cycles character portraits on the start screen
+ * Portraits come from the character manifest (entries with a "portrait").
+ */
+
+import { getPortraits } from '../characters/characterManifest.js';
+
+const CAROUSEL_INTERVAL_MS = 700; // Time each portrait stays on screen
+
+let carouselTimer = null;
+
+/**
+ * Start cycling portraits in the #carousel-image element
+ */
+export function startCarousel() {
+  const carouselImage = document.getElementById('carousel-image');
+  const images = getPortraits();
+  if (!carouselImage || images.length === 0 || carouselTimer !== null) return;
+
+  let currentImageIndex = 0;
+
+  function updateCarouselImage() {
+    carouselImage.src = images[currentImageIndex];
+    currentImageIndex = (currentImageIndex + 1) % images.length;
+  }
+
+  updateCarouselImage();
+  carouselTimer = setInterval(updateCarouselImage, CAROUSEL_INTERVAL_MS);
+}
+
+/**
+ * Stop the carousel (once the start screen is gone)
+ */
+export function stopCarousel() {
+  if (carouselTimer !== null) {
+    clearInterval(carouselTimer);
+    carouselTimer = null;
+  }
+}
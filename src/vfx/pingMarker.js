@@ -0,0 +1,125 @@
+/**
+ * PING MARKER MODULE
+ *
+ * A bobbing arrow over an NPC's head, drawn through walls, so the player can
+ * find someone picked from the buddy list. One ping at a time; a new ping
+ * moves the marker. It follows the NPC and fades out after PING_DURATION.
+ *
+ * Exports:
+ *   - initPingMarker(scene)
+ *   - pingNpc(npc)
+ *   - updatePingMarker(deltaTime)
+ */
+
+import * as THREE from 'three';
+
+// ===========================================
+// CONSTANTS
+// ===========================================
+
+const PING_DURATION = 4.0; // Seconds the marker stays up
+const FADE_TIME = 0.8; // Seconds of fade at the end
+const HEIGHT_ABOVE_HEAD = 0.6; // Units above the top of the sprite
+const BOB_AMPLITUDE = 0.15; // Units
+const BOB_SPEED = 6.0; // Radians per second
+const MARKER_SIZE = 0.6; // Sprite width/height in units
+const MARKER_COLOR = '#ffd400';
+
+// ===========================================
+// STATE
+// ===========================================
+
+let sceneRef = null;
+let markerSprite = null;
+let targetNpc = null;
+let timeRemaining = 0;
+let elapsed = 0;
+
+// ===========================================
+// TEXTURE GENERATION
+// ===========================================
+
+/**
+ * Draws a downward arrow with a dark outline on a canvas
+ * @returns {THREE.CanvasTexture}
+ */
+function generateMarkerTexture() {
+  const size = 64;
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext('2d');
+
+  ctx.beginPath();
+  ctx.moveTo(size * 0.15, size * 0.2);
+  ctx.lineTo(size * 0.85, size * 0.2);
+  ctx.lineTo(size * 0.5, size * 0.85);
+  ctx.closePath();
+  ctx.fillStyle = MARKER_COLOR;
+  ctx.fill();
+  ctx.lineWidth = 4;
+  ctx.strokeStyle = '#000000';
+  ctx.stroke();
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  return texture;
+}
+
+// ===========================================
+// PUBLIC API
+// ===========================================
+
+/**
+ * Creates the (hidden) marker sprite
+ * @param {THREE.Scene} scene
+ */
+export function initPingMarker(scene) {
+  sceneRef = scene;
+  const material = new THREE.SpriteMaterial({
+    map: generateMarkerTexture(),
+    transparent: true,
+    depthTest: false, // Visible through walls and other inmates
+    depthWrite: false
+  });
+  markerSprite = new THREE.Sprite(material);
+  markerSprite.scale.set(MARKER_SIZE, MARKER_SIZE, 1);
+  markerSprite.renderOrder = 999;
+  markerSprite.visible = false;
+  sceneRef.add(markerSprite);
+}
+
+/**
+ * Show the marker over an NPC
+ * @param {NPCSprite} npc
+ */
+export function pingNpc(npc) {
+  if (!markerSprite) return;
+  targetNpc = npc;
+  timeRemaining = PING_DURATION;
+  elapsed = 0;
+  markerSprite.visible = true;
+  markerSprite.material.opacity = 1;
+}
+
+/**
+ * Move the marker with its NPC, bob it and fade it out (call every frame)
+ * @param {number} deltaTime - Time since last frame in seconds
+ */
+export function updatePingMarker(deltaTime) {
+  if (!markerSprite || !targetNpc) return;
+
+  timeRemaining -= deltaTime;
+  elapsed += deltaTime;
+  // Stop early if the NPC has left the block (sprite taken out of the scene)
+  if (timeRemaining <= 0 || !targetNpc.getSprite().parent) {
+    markerSprite.visible = false;
+    targetNpc = null;
+    return;
+  }
+
+  const sprite = targetNpc.getSprite();
+  markerSprite.position.copy(sprite.position);
+  markerSprite.position.y += sprite.scale.y / 2 + HEIGHT_ABOVE_HEAD + Math.sin(elapsed * BOB_SPEED) * BOB_AMPLITUDE;
+  markerSprite.material.opacity = Math.min(1, timeRemaining / FADE_TIME);
+}
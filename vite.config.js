@@ -4,5 +4,14 @@ export default defineConfig({
   server: {
     port: 3000,
     open: true
+  },
+  build: {
+    rollupOptions: {
+      // The chat pop-out (src/chat/chatPopout.js) is its own page
+      input: {
+        main: 'index.html',
+        chatPopout: 'chat-popout.html'
+      }
+    }
   }
 });